@@ -0,0 +1,169 @@
+// bdd_generator/api-calls.js
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+const METHODS_WITH_BODY = ['post', 'put', 'patch'];
+// Identifiers treated as HTTP client wrappers even when their definition is not visible (e.g. imported api modules)
+const WRAPPER_NAME_PATTERN = /^(api|http|client|request|httpClient|apiClient|axiosInstance|instance)$/i;
+
+// Local names bound to axios and to axios.create() instances (with their static baseURL, if any)
+function collectHttpClients(ast) {
+  const clients = { axios: new Set(['axios']), instances: {} };
+  for (const statement of ast.program.body) {
+    if (statement.type === 'ImportDeclaration' && statement.source.value === 'axios') {
+      statement.specifiers
+        .filter(specifier => specifier.type === 'ImportDefaultSpecifier')
+        .forEach(specifier => clients.axios.add(specifier.local.name));
+    }
+  }
+
+  const visit = node => {
+    if (!node || typeof node.type !== 'string') return;
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init?.type === 'CallExpression') {
+      const callee = node.init.callee;
+      if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && clients.axios.has(callee.object.name)
+        && callee.property.name === 'create') {
+        const config = node.init.arguments[0];
+        const baseUrlProperty = config?.type === 'ObjectExpression'
+          ? config.properties.find(p => p.type === 'ObjectProperty' && (p.key.name || p.key.value) === 'baseURL')
+          : null;
+        clients.instances[node.id.name] = { baseUrl: baseUrlProperty ? urlPattern(baseUrlProperty.value) : null };
+      }
+    }
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(visit);
+      else if (child && typeof child.type === 'string') visit(child);
+    }
+  };
+  visit(ast.program);
+  return clients;
+}
+
+// Parameter name for a dynamic URL segment: user.userId -> userId, id -> id
+function parameterName(expression) {
+  if (expression.type === 'Identifier') return expression.name;
+  if (expression.type === 'MemberExpression' && !expression.computed) return expression.property.name;
+  if (expression.type === 'CallExpression') return parameterName(expression.callee);
+  return 'param';
+}
+
+// URL pattern of a string, template literal or concatenation, with dynamic parts as {name}
+function urlPattern(node, scope) {
+  if (!node) return null;
+  switch (node.type) {
+    case 'StringLiteral':
+      return node.value;
+    case 'TemplateLiteral':
+      return node.quasis.map((quasi, index) => {
+        const expression = node.expressions[index];
+        return quasi.value.cooked + (expression ? `{${parameterName(expression)}}` : '');
+      }).join('');
+    case 'BinaryExpression':
+      if (node.operator !== '+') return null;
+      return `${urlPattern(node.left, scope) ?? `{${parameterName(node.left)}}`}${urlPattern(node.right, scope) ?? `{${parameterName(node.right)}}`}`;
+    case 'Identifier': {
+      const init = scope?.getBinding(node.name)?.path.node.init;
+      return init && init !== node ? urlPattern(init, scope) : `{${node.name}}`;
+    }
+    default:
+      return null;
+  }
+}
+
+// Split a URL pattern into origin and a normalised path (no query string, leading slash, no trailing slash)
+function normalizeUrl(url, baseUrl = null) {
+  const full = baseUrl && !/^(https?:)?\/\//.test(url) && !url.startsWith('{') ? `${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}` : url;
+  const match = full.match(/^((?:https?:)?\/\/[^/]+|\{[^}]+\}(?=\/))?(.*)$/);
+  const origin = match[1] || null;
+  let urlPath = match[2].split(/[?#]/)[0];
+  if (!urlPath.startsWith('/')) urlPath = `/${urlPath}`;
+  if (urlPath.length > 1) urlPath = urlPath.replace(/\/+$/, '');
+  return { origin, path: urlPath };
+}
+
+// Keys of a request body: { username, password } -> ['username', 'password']
+function bodyKeys(node, scope) {
+  if (!node) return [];
+  if (node.type === 'ObjectExpression') {
+    return node.properties.map(property => {
+      if (property.type === 'SpreadElement') return `...${parameterName(property.argument)}`;
+      return property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+    });
+  }
+  if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression'
+    && node.callee.object.name === 'JSON' && node.callee.property.name === 'stringify') {
+    return bodyKeys(node.arguments[0], scope);
+  }
+  if (node.type === 'NewExpression' && node.callee.name === 'FormData') return ['FormData'];
+  if (node.type === 'Identifier') {
+    const init = scope?.getBinding(node.name)?.path.node.init;
+    return init ? bodyKeys(init, scope) : [node.name];
+  }
+  return [];
+}
+
+// Value of a property in an object literal config ({ method: 'POST', body: ... })
+function configProperty(config, name) {
+  if (config?.type !== 'ObjectExpression') return null;
+  return config.properties.find(p => p.type === 'ObjectProperty' && (p.key.name || p.key.value) === name)?.value || null;
+}
+
+function staticMethod(node) {
+  if (node?.type === 'StringLiteral') return node.value.toUpperCase();
+  return null;
+}
+
+// Describe an HTTP call made by axios, an axios instance, a wrapper object or fetch, or return null.
+// Returns { method, path, origin, bodyKeys, client }.
+function detectApiCall(callPath, clients) {
+  const { callee, arguments: callArgs } = callPath.node;
+  const scope = callPath.scope;
+  let method = null;
+  let urlNode = null;
+  let bodyNode = null;
+  let baseUrl = null;
+  let client = null;
+
+  if (callee.type === 'Identifier' && callee.name === 'fetch') {
+    client = 'fetch';
+    urlNode = callArgs[0];
+    const init = callArgs[1];
+    method = staticMethod(configProperty(init, 'method')) || 'GET';
+    bodyNode = configProperty(init, 'body');
+  } else if (callee.type === 'Identifier' && clients.axios.has(callee.name)) {
+    // axios(config) or axios(url, config)
+    client = 'axios';
+    const config = callArgs[0]?.type === 'ObjectExpression' ? callArgs[0] : callArgs[1];
+    urlNode = callArgs[0]?.type === 'ObjectExpression' ? configProperty(config, 'url') : callArgs[0];
+    method = staticMethod(configProperty(config, 'method')) || 'GET';
+    bodyNode = configProperty(config, 'data');
+  } else if (callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'Identifier') {
+    const objectName = callee.object.name;
+    const property = callee.property.name;
+    const isClient = clients.axios.has(objectName) || clients.instances[objectName] || WRAPPER_NAME_PATTERN.test(objectName);
+    if (!isClient) return null;
+    client = objectName;
+    baseUrl = clients.instances[objectName]?.baseUrl || null;
+    if (HTTP_METHODS.includes(property)) {
+      method = property.toUpperCase();
+      urlNode = callArgs[0];
+      bodyNode = METHODS_WITH_BODY.includes(property) ? callArgs[1] : configProperty(callArgs[1], 'data');
+    } else if (property === 'request') {
+      const config = callArgs[0];
+      urlNode = configProperty(config, 'url');
+      method = staticMethod(configProperty(config, 'method')) || 'GET';
+      bodyNode = configProperty(config, 'data');
+    } else {
+      return null;
+    }
+  } else {
+    return null;
+  }
+
+  const url = urlPattern(urlNode, scope);
+  if (!url) return null;
+  const { origin, path } = normalizeUrl(url, baseUrl);
+  return { method, path, origin, bodyKeys: bodyKeys(bodyNode, scope), client };
+}
+
+export { collectHttpClients, detectApiCall, normalizeUrl, urlPattern };
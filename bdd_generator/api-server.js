@@ -0,0 +1,176 @@
+// bdd_generator/api-server.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const express = require('express');
+const crypto = require('crypto');
+import { REVIEW_STATES } from './review.js';
+
+// Error carrying the HTTP status the API should answer with
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Forward rejected promises from async route handlers to the error middleware
+const asyncRoute = handler => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// Track generation jobs and run them one at a time, since they share the cache and feature files
+function createJobQueue() {
+  const jobs = new Map();
+  let queue = Promise.resolve();
+
+  const toJson = job => ({
+    id: job.id,
+    type: job.type,
+    params: job.params,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error,
+  });
+
+  return {
+    enqueue(type, params, run) {
+      const job = { id: crypto.randomUUID(), type, params, status: 'queued', createdAt: new Date().toISOString(), startedAt: null, finishedAt: null, result: null, error: null };
+      jobs.set(job.id, job);
+      queue = queue.then(async () => {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        try {
+          job.result = await run();
+          job.status = 'succeeded';
+        } catch (error) {
+          console.error(`[api] Job ${job.id} failed:`, error);
+          job.status = 'failed';
+          job.error = error.message;
+        }
+        job.finishedAt = new Date().toISOString();
+      });
+      return toJson(job);
+    },
+    // Run a request that changes the same files after the queued jobs and before later ones, and
+    // resolve with its result; it is not listed as a job
+    exclusive(run) {
+      const result = queue.then(run);
+      queue = result.catch(() => {});
+      return result;
+    },
+    get(id) {
+      const job = jobs.get(id);
+      return job ? toJson(job) : null;
+    },
+    list() {
+      return [...jobs.values()].map(toJson).reverse();
+    },
+  };
+}
+
+// Build the express app exposing the generator. `handlers` supplies the generator operations:
+// findComponent(component), generate({ component, force }), getDesignGraph(), getCodeGraph(),
+// listFeatures(), readFeature(fileName), loadMemory(), listReviews(), reviewScenario({ featureFile, state,
+// reason, reviewer }) and acceptProposal({ featureFile, reviewer }).
+function createApiServer(handlers) {
+  const app = express();
+  const jobs = createJobQueue();
+  app.use(express.json());
+
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Trigger generation for all components, or one with { "component": "Dashboard" }
+  app.post('/api/generate', asyncRoute(async (req, res) => {
+    const { component = null, force = false } = req.body || {};
+    if (component !== null && typeof component !== 'string') {
+      throw httpError(400, '"component" must be a string');
+    }
+    if (component !== null && !(await handlers.findComponent(component))) {
+      throw httpError(404, `Component ${component} not found`);
+    }
+    const job = jobs.enqueue('generate', { component, force: Boolean(force) }, () => handlers.generate({ component, force: Boolean(force) }));
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+  }));
+
+  app.get('/api/jobs', (req, res) => {
+    res.json(jobs.list());
+  });
+
+  app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) throw httpError(404, `Job ${req.params.id} not found`);
+    res.json(job);
+  });
+
+  app.get('/api/graphs/design', asyncRoute(async (req, res) => {
+    res.json(await handlers.getDesignGraph());
+  }));
+
+  app.get('/api/graphs/code', asyncRoute(async (req, res) => {
+    res.json(await handlers.getCodeGraph());
+  }));
+
+  app.get('/api/features', asyncRoute(async (req, res) => {
+    res.json(await handlers.listFeatures());
+  }));
+
+  app.get('/api/features/:fileName', asyncRoute(async (req, res) => {
+    const content = await handlers.readFeature(req.params.fileName);
+    if (content === null) throw httpError(404, `Feature file ${req.params.fileName} not found`);
+    res.type('text/plain').send(content);
+  }));
+
+  app.get('/api/memory', asyncRoute(async (req, res) => {
+    res.json(await handlers.loadMemory());
+  }));
+
+  // Memory is kept per component id; the component may be given by id, name or alias
+  app.get('/api/memory/:component', asyncRoute(async (req, res) => {
+    const component = await handlers.findComponent(req.params.component);
+    if (!component) throw httpError(404, `Component ${req.params.component} not found`);
+    const memory = await handlers.loadMemory();
+    res.json(memory[component.id] || []);
+  }));
+
+  app.get('/api/reviews', asyncRoute(async (req, res) => {
+    res.json(await handlers.listReviews());
+  }));
+
+  // Record a review decision: { "state": "approved" | "rejected" | "draft", "reason": "...", "reviewer": "..." }
+  app.post('/api/reviews/:fileName', asyncRoute(async (req, res) => {
+    const { state, reason = null, reviewer = null } = req.body || {};
+    if (!REVIEW_STATES.includes(state)) throw httpError(400, `"state" must be one of ${REVIEW_STATES.join(', ')}`);
+    if (state === 'rejected' && (typeof reason !== 'string' || reason.trim() === '')) throw httpError(400, 'A "reason" is required to reject a scenario');
+    // Waits for running generations, which rewrite reviews.json and the cache too
+    res.json(await jobs.exclusive(async () => {
+      const reviews = await handlers.listReviews();
+      if (!reviews.some(review => review.featureFile === req.params.fileName)) throw httpError(404, `Feature file ${req.params.fileName} not found`);
+      return handlers.reviewScenario({ featureFile: req.params.fileName, state, reason, reviewer });
+    }));
+  }));
+
+  // Replace an approved scenario with the change proposed for it by the last regeneration
+  app.post('/api/reviews/:fileName/accept-proposal', asyncRoute(async (req, res) => {
+    res.json(await jobs.exclusive(async () => {
+      const review = (await handlers.listReviews()).find(item => item.featureFile === req.params.fileName);
+      if (!review?.proposal) throw httpError(404, `No proposed change for ${req.params.fileName}`);
+      return handlers.acceptProposal({ featureFile: req.params.fileName, reviewer: (req.body || {}).reviewer || null });
+    }));
+  }));
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+  });
+
+  app.use((error, req, res, next) => {
+    const status = error.status || 500;
+    if (status >= 500) console.error('[api] Request failed:', error);
+    res.status(status).json({ error: error.message });
+  });
+
+  return app;
+}
+
+export { createApiServer, httpError };
@@ -0,0 +1,593 @@
+// bdd_generator/code-graph.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parse } = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+import { collectHttpClients, detectApiCall } from './api-calls.js';
+import { stateFlowVisitor, collectEffectNames } from './react-state.js';
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+const ELEMENT_TAGS = ['button', 'input', 'form', 'select', 'textarea', 'a', 'Link', 'NavLink'];
+const LINK_TAGS = ['a', 'Link', 'NavLink', 'Navigate'];
+const MAX_REEXPORT_DEPTH = 5;
+// Raised when node keys change, so cached graphs with the old keys are rebuilt
+const CODE_GRAPH_VERSION = 3;
+
+function parseSource(code) {
+  return parse(code, { sourceType: 'module', plugins: ['jsx', 'typescript'] });
+}
+
+function md5(text) {
+  return crypto.createHash('md5').update(text).digest('hex');
+}
+
+// Whether a file name is a JavaScript/TypeScript source file (tests and type declarations excluded)
+function isSourceFile(fileName) {
+  return SOURCE_EXTENSIONS.includes(path.extname(fileName)) && !/\.(test|spec)\.[jt]sx?$|\.d\.ts$/.test(fileName);
+}
+
+// Recursively list source files under dir, skipping dependencies, hidden folders and tests
+async function listSourceFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listSourceFiles(fullPath));
+    } else if (isSourceFile(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Resolve a relative import to a known project file, or null for packages and unknown files
+function resolveImport(fromFile, specifier, knownFiles) {
+  if (!specifier.startsWith('.')) return null;
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [
+    base,
+    ...SOURCE_EXTENSIONS.map(ext => base + ext),
+    ...SOURCE_EXTENSIONS.map(ext => path.join(base, `index${ext}`)),
+  ];
+  return candidates.find(candidate => knownFiles.has(candidate)) || null;
+}
+
+// Name of a JSX tag (<Foo>, <foo>, <Foo.Bar>)
+function jsxName(nameNode) {
+  if (nameNode.type === 'JSXIdentifier') return nameNode.name;
+  if (nameNode.type === 'JSXMemberExpression') return `${jsxName(nameNode.object)}.${nameNode.property.name}`;
+  return null;
+}
+
+// String value of a literal or expression-free template literal
+function staticString(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  if (node.type === 'JSXExpressionContainer') return staticString(node.expression);
+  return null;
+}
+
+function findAttribute(openingElement, name) {
+  return openingElement.attributes.find(attr => attr.type === 'JSXAttribute' && attr.name.name === name) || null;
+}
+
+// Visible text of a JSX element (direct text children only)
+function elementText(node) {
+  const text = node.children
+    .filter(child => child.type === 'JSXText')
+    .map(child => child.value.trim())
+    .filter(Boolean)
+    .join(' ');
+  return text || null;
+}
+
+// Name of the handler referenced by an event attribute such as onClick={handleLogout}
+function handlerName(attribute) {
+  const expression = attribute?.value?.expression;
+  if (!expression) return null;
+  if (expression.type === 'Identifier') return expression.name;
+  if (expression.type === 'MemberExpression' && !expression.computed) return expression.property.name;
+  if (expression.type === 'ArrowFunctionExpression' || expression.type === 'FunctionExpression') return 'inline';
+  return null;
+}
+
+// Name of the closest named function (e.g. const handleLogin = async () => ...) enclosing a path.
+// Effect callbacks are named through effectNames (effect#1, ...).
+function enclosingFunctionName(nodePath, componentName, effectNames = null) {
+  const fn = nodePath.getFunctionParent();
+  if (!fn) return null;
+  if (effectNames && fn.parentPath?.isCallExpression() && effectNames.has(fn.parentPath.node)) return effectNames.get(fn.parentPath.node);
+  if (fn.node.id?.name) return fn.node.id.name === componentName ? null : fn.node.id.name;
+  const declarator = fn.parentPath;
+  if (declarator?.isVariableDeclarator() && declarator.node.id.type === 'Identifier') {
+    return declarator.node.id.name === componentName ? null : declarator.node.id.name;
+  }
+  return enclosingFunctionName(fn.parentPath, componentName, effectNames);
+}
+
+function isComponentName(name) {
+  return typeof name === 'string' && /^[A-Z]/.test(name);
+}
+
+// Unwrap memo(...), forwardRef(...) and similar wrappers around a component function
+function unwrapComponentInit(init) {
+  if (!init) return null;
+  if (init.type === 'ArrowFunctionExpression' || init.type === 'FunctionExpression') return init;
+  if (init.type === 'CallExpression') return unwrapComponentInit(init.arguments[0]);
+  return null;
+}
+
+// Top-level React component declarations in a module, with their source ranges
+function findComponentDeclarations(ast, fallbackName) {
+  const components = [];
+  for (const statement of ast.program.body) {
+    const declaration = ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(statement.type) ? statement.declaration : statement;
+    if (!declaration) continue;
+
+    if (['FunctionDeclaration', 'ArrowFunctionExpression', 'FunctionExpression', 'ClassDeclaration'].includes(declaration.type)) {
+      const name = declaration.id?.name || (statement.type === 'ExportDefaultDeclaration' ? fallbackName : null);
+      if (isComponentName(name)) components.push({ name, start: declaration.start, end: declaration.end });
+    } else if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier' && isComponentName(declarator.id.name) && unwrapComponentInit(declarator.init)) {
+          components.push({ name: declarator.id.name, start: declarator.start, end: declarator.end });
+        }
+      }
+    }
+  }
+  return components;
+}
+
+// Join a nested route path onto its parent's path
+function joinRoutePath(parent, child) {
+  if (!child) return parent || '/';
+  if (child.startsWith('/')) return child;
+  const joined = `${(parent || '').replace(/\/+$/, '')}/${child}`;
+  return joined.startsWith('/') ? joined : `/${joined}`;
+}
+
+// Analyse one module: imports, exports, components, UI elements, navigation, rendered components,
+// routes, API calls and React state/data flow
+function analyzeModule(filePath, code) {
+  const ast = parseSource(code);
+  // Name for an anonymous default export: the file name, or the folder name for index files,
+  // in PascalCase (user-profile/index.tsx -> UserProfile)
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const fallbackName = (baseName === 'index' ? path.basename(path.dirname(filePath)) : baseName)
+    .replace(/(^|[-_.\s]+)(\w)/g, (match, separator, letter) => letter.toUpperCase());
+  const components = findComponentDeclarations(ast, fallbackName);
+  const componentAt = position => components.find(c => position >= c.start && position <= c.end)?.name || null;
+  const httpClients = collectHttpClients(ast);
+  const effectNames = collectEffectNames(ast, componentAt);
+  const handlerAt = (nodePath, component) => enclosingFunctionName(nodePath, component, effectNames);
+
+  const result = {
+    filePath,
+    imports: {},
+    exports: { default: null, named: {}, reexports: [] },
+    components: components.map(c => c.name),
+    componentDeclarations: components,
+    elements: [],
+    navigations: [],
+    renders: [],
+    routes: [],
+    apiCalls: [],
+  };
+
+  for (const statement of ast.program.body) {
+    if (statement.type === 'ImportDeclaration') {
+      for (const specifier of statement.specifiers) {
+        const imported = specifier.type === 'ImportDefaultSpecifier' ? 'default'
+          : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+            : specifier.imported.name || specifier.imported.value;
+        result.imports[specifier.local.name] = { source: statement.source.value, imported };
+      }
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      const declaration = statement.declaration;
+      if (declaration.type === 'Identifier') {
+        result.exports.default = declaration.name;
+      } else if (declaration.type === 'CallExpression') {
+        // export default memo(Login) / withRouter(Login)
+        const wrapped = declaration.arguments.find(arg => arg.type === 'Identifier');
+        result.exports.default = wrapped?.name || null;
+      } else {
+        result.exports.default = declaration.id?.name || fallbackName;
+      }
+    } else if (statement.type === 'ExportNamedDeclaration') {
+      if (statement.declaration?.type === 'VariableDeclaration') {
+        statement.declaration.declarations.forEach(d => { if (d.id.type === 'Identifier') result.exports.named[d.id.name] = d.id.name; });
+      } else if (statement.declaration?.id) {
+        result.exports.named[statement.declaration.id.name] = statement.declaration.id.name;
+      }
+      for (const specifier of statement.specifiers || []) {
+        const exported = specifier.exported.name || specifier.exported.value;
+        const local = specifier.local?.name || 'default';
+        if (statement.source) {
+          result.exports.reexports.push({ exported, imported: local, source: statement.source.value });
+        } else {
+          result.exports.named[exported] = local;
+        }
+      }
+    } else if (statement.type === 'ExportAllDeclaration') {
+      result.exports.reexports.push({ exported: '*', imported: '*', source: statement.source.value });
+    }
+  }
+
+  // Route paths of enclosing <Route> elements, for nested routes
+  const parentRoutePath = jsxPath => {
+    const segments = [];
+    let current = jsxPath.parentPath;
+    while (current) {
+      if (current.isJSXElement() && jsxName(current.node.openingElement.name) === 'Route') {
+        const routePath = staticString(findAttribute(current.node.openingElement, 'path')?.value);
+        if (routePath) segments.unshift(routePath);
+      }
+      current = current.parentPath;
+    }
+    return segments.reduce((parent, segment) => joinRoutePath(parent, segment), '');
+  };
+
+  // Route paths of enclosing route objects ({ path, children: [...] }), for nested route configs
+  const parentObjectRoutePath = objectPath => {
+    const segments = [];
+    let current = objectPath.parentPath;
+    while (current) {
+      if (current.isObjectExpression()) {
+        const pathProperty = current.node.properties.find(p => p.type === 'ObjectProperty' && p.key.name === 'path');
+        const routePath = staticString(pathProperty?.value);
+        if (routePath) segments.unshift(routePath);
+      }
+      current = current.parentPath;
+    }
+    return segments.reduce((parent, segment) => joinRoutePath(parent, segment), '');
+  };
+
+  const labels = {};
+  const moduleVisitor = {
+    JSXElement(jsxPath) {
+      const opening = jsxPath.node.openingElement;
+      const tag = jsxName(opening.name);
+      const component = componentAt(jsxPath.node.start);
+      if (!tag) return;
+
+      if (tag === 'Route') {
+        const routePath = staticString(findAttribute(opening, 'path')?.value);
+        const isIndex = Boolean(findAttribute(opening, 'index'));
+        const elementValue = findAttribute(opening, 'element')?.value?.expression;
+        const componentValue = (findAttribute(opening, 'component') || findAttribute(opening, 'Component'))?.value?.expression;
+        const local = elementValue?.type === 'JSXElement' ? jsxName(elementValue.openingElement.name)
+          : componentValue?.type === 'Identifier' ? componentValue.name
+            : null;
+        if (local && (routePath || isIndex)) {
+          result.routes.push({ path: joinRoutePath(parentRoutePath(jsxPath), routePath), local });
+        }
+        return;
+      }
+
+      if (isComponentName(tag) && component && !tag.includes('.')) {
+        result.renders.push({ component, local: tag });
+      }
+
+      if (LINK_TAGS.includes(tag)) {
+        const target = staticString((findAttribute(opening, 'to') || findAttribute(opening, 'href'))?.value);
+        if (component && target && target.startsWith('/')) {
+          result.navigations.push({ component, route: target, handler: null, via: tag });
+        }
+      }
+
+      if (component && tag === 'label') {
+        // <label htmlFor="amount">Amount</label>, applied to the matching element once the module is read
+        const target = staticString((findAttribute(opening, 'htmlFor') || findAttribute(opening, 'for'))?.value);
+        const text = elementText(jsxPath.node);
+        if (target && text) labels[`${component}#${target}`] = text;
+      }
+
+      if (component && ELEMENT_TAGS.includes(tag)) {
+        const text = elementText(jsxPath.node);
+        const id = staticString(findAttribute(opening, 'id')?.value);
+        // <label>Amount <input /></label>, or a <label> without htmlFor directly before the element
+        const siblings = jsxPath.parentPath.isJSXElement() ? jsxPath.parent.children.filter(child => child.type === 'JSXElement') : [];
+        const previous = siblings[siblings.indexOf(jsxPath.node) - 1];
+        const wrappingLabel = jsxPath.findParent(parent => parent.isJSXElement() && jsxName(parent.node.openingElement.name) === 'label')?.node
+          || (previous && jsxName(previous.openingElement.name) === 'label' && !findAttribute(previous.openingElement, 'htmlFor') ? previous : null);
+        const onClick = findAttribute(opening, 'onClick');
+        const onSubmit = findAttribute(opening, 'onSubmit');
+        result.elements.push({
+          component,
+          tag: tag.toLowerCase(),
+          id,
+          text,
+          name: staticString(findAttribute(opening, 'name')?.value),
+          inputType: staticString(findAttribute(opening, 'type')?.value),
+          label: wrappingLabel ? elementText(wrappingLabel) : null,
+          placeholder: staticString(findAttribute(opening, 'placeholder')?.value),
+          ariaLabel: staticString(findAttribute(opening, 'aria-label')?.value),
+          handler: handlerName(onClick || onSubmit),
+          hasAction: Boolean(onClick || onSubmit),
+        });
+      }
+    },
+    ObjectExpression(objectPath) {
+      // Route objects for createBrowserRouter / useRoutes: { path: '/x', element: <X /> }
+      const properties = objectPath.node.properties.filter(p => p.type === 'ObjectProperty' && p.key.type === 'Identifier');
+      const byName = Object.fromEntries(properties.map(p => [p.key.name, p.value]));
+      const routePath = staticString(byName.path);
+      const isIndex = byName.index?.type === 'BooleanLiteral' && byName.index.value;
+      const target = byName.element || byName.Component || byName.component;
+      if (!target || !(routePath || isIndex)) return;
+      const local = target.type === 'JSXElement' ? jsxName(target.openingElement.name)
+        : target.type === 'Identifier' ? target.name
+          : null;
+      if (local) {
+        result.routes.push({ path: joinRoutePath(parentObjectRoutePath(objectPath), routePath), local });
+      }
+    },
+    CallExpression(callPath) {
+      const apiCall = detectApiCall(callPath, httpClients);
+      if (apiCall) {
+        const component = componentAt(callPath.node.start);
+        if (component) result.apiCalls.push({ component, handler: handlerAt(callPath, component), ...apiCall });
+        return;
+      }
+
+      const callee = callPath.node.callee;
+      const isNavigate = callee.type === 'Identifier' && callee.name === 'navigate';
+      const isHistoryPush = callee.type === 'MemberExpression' && ['push', 'replace'].includes(callee.property.name)
+        && callee.object.type === 'Identifier' && callee.object.name === 'history';
+      if (!isNavigate && !isHistoryPush) return;
+      const route = staticString(callPath.node.arguments[0]);
+      const component = componentAt(callPath.node.start);
+      if (route && component) {
+        result.navigations.push({ component, route, handler: handlerAt(callPath, component), via: isNavigate ? 'navigate' : 'history' });
+      }
+    },
+  };
+
+  traverse(ast, traverse.visitors.merge([
+    moduleVisitor,
+    stateFlowVisitor({ code, componentAt, handlerAt, effectNames, result }),
+  ]));
+
+  for (const element of result.elements) {
+    if (!element.label && element.id) element.label = labels[`${element.component}#${element.id}`] || null;
+  }
+  return result;
+}
+
+// Match a concrete path such as /users/42 against route patterns such as /users/:id
+function matchRoute(route, routePatterns) {
+  const cleanRoute = route.split(/[?#]/)[0].replace(/(.)\/+$/, '$1');
+  if (routePatterns.includes(cleanRoute)) return cleanRoute;
+  return routePatterns.find(pattern => {
+    const regex = new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/:[^/]+/g, '[^/]+').replace(/\*$/, '.*')}$`);
+    return regex.test(cleanRoute);
+  }) || null;
+}
+
+// Key of a component node: its file relative to srcRoot plus its name, e.g. components/Login.js#Login,
+// so components sharing a name in different folders never collide
+function componentNodeKey(srcRoot, filePath, name) {
+  return `${path.relative(srcRoot, filePath).split(path.sep).join('/')}#${name}`;
+}
+
+// Build one knowledge graph for every module under srcRoot: components with their files and
+// routes (from the router configuration), UI elements and the handlers they trigger, rendered
+// child components, HTTP API calls, and navigations resolved to the component that renders the target route.
+async function buildProjectCodeGraph(srcRoot, cache) {
+  const files = await listSourceFiles(srcRoot);
+  const sources = {};
+  for (const file of files) {
+    sources[file] = await fs.readFile(file, 'utf-8');
+  }
+  const projectHash = md5(files.map(file => `${path.relative(srcRoot, file)}:${md5(sources[file])}`).join('\n'));
+
+  const cached = cache.knowledgeGraph.code;
+  if (cached && cached.version === CODE_GRAPH_VERSION && cached.root === srcRoot && cached.hash === projectHash && cached.graph) {
+    console.log(`Using cached code knowledge graph for ${srcRoot}`);
+    return cached.graph;
+  }
+
+  console.log(`Building project code knowledge graph for ${srcRoot} (${files.length} modules)`);
+  const knownFiles = new Set(files);
+  const modules = {};
+  for (const file of files) {
+    try {
+      modules[file] = analyzeModule(file, sources[file]);
+    } catch (error) {
+      console.warn(`Skipping ${file}: ${error.message}`);
+    }
+  }
+
+  // Resolve a module-local binding to the component it refers to, following imports and re-exports
+  const resolveExport = (file, exportName, depth) => {
+    const module = modules[file];
+    if (!module || depth > MAX_REEXPORT_DEPTH) return null;
+    const local = exportName === 'default' ? module.exports.default : module.exports.named[exportName];
+    if (local) return resolveBinding(file, local, depth + 1);
+    for (const reexport of module.exports.reexports) {
+      const target = resolveImport(file, reexport.source, knownFiles);
+      if (!target) continue;
+      if (reexport.exported === exportName) return resolveExport(target, reexport.imported, depth + 1);
+      if (reexport.exported === '*') {
+        const resolved = resolveExport(target, exportName, depth + 1);
+        if (resolved) return resolved;
+      }
+    }
+    return null;
+  };
+  const resolveBinding = (file, local, depth = 0) => {
+    const module = modules[file];
+    if (!module || depth > MAX_REEXPORT_DEPTH) return null;
+    if (module.components.includes(local)) return { name: local, file };
+    const imported = module.imports[local];
+    if (!imported) return null;
+    const target = resolveImport(file, imported.source, knownFiles);
+    return target ? resolveExport(target, imported.imported, depth + 1) : null;
+  };
+
+  const graph = { nodes: {}, edges: [], baseUrl: null };
+  const addEdge = edge => {
+    if (!graph.edges.some(e => e.from === edge.from && e.to === edge.to && e.relation === edge.relation)) graph.edges.push(edge);
+  };
+  // Nodes a component owns are keyed below its key, e.g. components/Dashboard.js#Dashboard.handleTransfer
+  const addHandler = (component, handler) => {
+    if (!handler || handler === 'inline') return null;
+    const key = `${component}.${handler}`;
+    if (!graph.nodes[key]) {
+      graph.nodes[key] = { type: 'handler', component, name: handler };
+      addEdge({ from: component, to: key, relation: 'defines' });
+    }
+    return key;
+  };
+
+  const keyOf = target => componentNodeKey(srcRoot, target.file, target.name);
+  for (const module of Object.values(modules)) {
+    for (const name of module.components) {
+      graph.nodes[keyOf({ file: module.filePath, name })] = { type: 'component', name, file: path.relative(srcRoot, module.filePath) };
+    }
+  }
+
+  // Routes from the router configuration
+  const routeToComponent = {};
+  for (const module of Object.values(modules)) {
+    for (const route of module.routes) {
+      const target = resolveBinding(module.filePath, route.local);
+      graph.nodes[route.path] = { type: 'route' };
+      if (!target) {
+        console.warn(`Route ${route.path} renders ${route.local}, which could not be resolved to a component`);
+        continue;
+      }
+      const targetKey = keyOf(target);
+      routeToComponent[route.path] = targetKey;
+      if (!graph.nodes[targetKey].route) graph.nodes[targetKey].route = route.path;
+      addEdge({ from: targetKey, to: route.path, relation: 'at-route' });
+    }
+  }
+
+  for (const module of Object.values(modules)) {
+    // Records of the module name their component locally; the graph uses component keys
+    const own = record => ({ ...record, component: keyOf({ file: module.filePath, name: record.component }) });
+    const states = module.states.map(own);
+    const effects = module.effects.map(own);
+    // State, effects and storage first, so effect nodes exist before API calls made from effects are linked
+    const stateKeys = {};
+    for (const state of states) {
+      const key = `${state.component}.state.${state.name}`;
+      stateKeys[`${state.component}:${state.name}`] = key;
+      stateKeys[`${state.component}:${state.setter}`] = key;
+      graph.nodes[key] = { type: 'state', component: state.component, name: state.name, setter: state.setter, hook: state.hook, initial: state.initial };
+      addEdge({ from: state.component, to: key, relation: 'has-state' });
+      for (const storageKey of state.storageKeys) {
+        addEdge({ from: key, to: storageKey, relation: 'initialised-from' });
+      }
+    }
+
+    for (const effect of effects) {
+      const key = `${effect.component}.${effect.name}`;
+      graph.nodes[key] = { type: 'effect', component: effect.component, name: effect.name, dependencies: effect.dependencies };
+      addEdge({ from: effect.component, to: key, relation: 'has-effect' });
+      for (const name of effect.dependencyNames) {
+        const stateKey = stateKeys[`${effect.component}:${name}`];
+        if (stateKey) addEdge({ from: key, to: stateKey, relation: 'depends-on' });
+      }
+    }
+
+    for (const update of module.stateUpdates.map(own)) {
+      const stateKey = stateKeys[`${update.component}:${update.setter}`];
+      if (!stateKey) continue;
+      const source = addHandler(update.component, update.handler) || update.component;
+      const existing = graph.edges.find(e => e.from === source && e.to === stateKey && e.relation === 'sets');
+      if (existing) {
+        if (update.value && !existing.values.includes(update.value)) existing.values.push(update.value);
+      } else {
+        graph.edges.push({ from: source, to: stateKey, relation: 'sets', values: update.value ? [update.value] : [] });
+      }
+    }
+
+    for (const access of module.storage.map(own)) {
+      const key = `${access.storage}:${access.key}`;
+      graph.nodes[key] = { type: 'storage', storage: access.storage, key: access.key };
+      addEdge({ from: addHandler(access.component, access.handler) || access.component, to: key, relation: access.operation });
+    }
+
+    module.conditionals.map(own).forEach((conditional, index) => {
+      const key = `${conditional.component}.conditional#${index + 1}`;
+      const { component, names, ...properties } = conditional;
+      graph.nodes[key] = { type: 'conditional', component, ...properties };
+      addEdge({ from: component, to: key, relation: 'renders-conditionally' });
+      for (const name of names) {
+        const stateKey = stateKeys[`${component}:${name}`];
+        if (stateKey) addEdge({ from: stateKey, to: key, relation: 'controls' });
+      }
+    });
+
+    // Elements without an id, text or label are keyed by their tag and position among the component's
+    // other such elements (Login:form-1), so edits elsewhere in the file leave their key alone. A label
+    // used twice in a component keys the later elements by tag and position too (Login:Submit:button-2).
+    const unlabelled = {};
+    const labelled = {};
+    for (const element of module.elements.map(own)) {
+      const label = element.id || element.text || element.label || element.ariaLabel || element.placeholder || element.name;
+      const tagKey = `${element.component}:${label ? `${label}:` : ''}${element.tag}`;
+      const counts = label ? labelled : unlabelled;
+      counts[tagKey] = (counts[tagKey] || 0) + 1;
+      let key = label ? `${element.component}:${label}` : `${tagKey}-${counts[tagKey]}`;
+      if (label && graph.nodes[key]) key = `${tagKey}-${counts[tagKey]}`;
+      const { component, ...properties } = element;
+      graph.nodes[key] = { type: 'element', component, ...properties };
+      addEdge({ from: component, to: key, relation: 'contains' });
+      const handlerKey = addHandler(component, element.handler);
+      if (handlerKey) addEdge({ from: key, to: handlerKey, relation: 'triggers' });
+    }
+
+    for (const call of module.apiCalls.map(own)) {
+      const apiKey = `${call.method} ${call.path}`;
+      const existing = graph.nodes[apiKey];
+      graph.nodes[apiKey] = {
+        type: 'api',
+        method: call.method,
+        path: call.path,
+        origin: existing?.origin || call.origin,
+        bodyKeys: [...new Set([...(existing?.bodyKeys || []), ...call.bodyKeys])],
+      };
+      addEdge({ from: call.component, to: apiKey, relation: 'uses', handler: call.handler, bodyKeys: call.bodyKeys, client: call.client });
+      const handlerKey = addHandler(call.component, call.handler);
+      if (handlerKey) addEdge({ from: handlerKey, to: apiKey, relation: 'calls' });
+    }
+
+    for (const effect of effects) {
+      for (const name of effect.calls) {
+        const handlerKey = `${effect.component}.${name}`;
+        if (graph.nodes[handlerKey]?.type === 'handler') addEdge({ from: `${effect.component}.${effect.name}`, to: handlerKey, relation: 'runs' });
+      }
+    }
+
+    for (const render of module.renders.map(own)) {
+      const target = resolveBinding(module.filePath, render.local);
+      if (target && keyOf(target) !== render.component) {
+        addEdge({ from: render.component, to: keyOf(target), relation: 'renders' });
+      }
+    }
+
+    for (const navigation of module.navigations.map(own)) {
+      const routePattern = matchRoute(navigation.route, Object.keys(routeToComponent));
+      const target = routePattern ? routeToComponent[routePattern] : null;
+      if (target) {
+        addEdge({ from: navigation.component, to: target, relation: 'navigates-to', route: routePattern, handler: navigation.handler, via: navigation.via });
+      } else {
+        graph.nodes[navigation.route] = graph.nodes[navigation.route] || { type: 'route' };
+        addEdge({ from: navigation.component, to: navigation.route, relation: 'navigates-to', handler: navigation.handler, via: navigation.via });
+      }
+    }
+  }
+
+  cache.knowledgeGraph.code = { version: CODE_GRAPH_VERSION, root: srcRoot, hash: projectHash, graph };
+  return graph;
+}
+
+export { buildProjectCodeGraph, CODE_GRAPH_VERSION, componentNodeKey, analyzeModule, listSourceFiles, isSourceFile, resolveImport, parseSource, staticString, findAttribute, jsxName, enclosingFunctionName };
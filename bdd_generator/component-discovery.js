@@ -0,0 +1,151 @@
+// bdd_generator/component-discovery.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const fs = require('fs').promises;
+const path = require('path');
+const traverse = require('@babel/traverse').default;
+import { analyzeModule, listSourceFiles, parseSource, resolveImport } from './code-graph.js';
+
+// Stable identity of a component: its file relative to the components directory plus its name,
+// e.g. auth/LoginForm.tsx#LoginForm, so several components per file and equal basenames in
+// different folders never collide
+function componentId(relativeFile, name) {
+  return `${relativeFile.split(path.sep).join('/')}#${name}`;
+}
+
+// Feature file prefix for a component: its folders and name, e.g. auth-loginform. Components at the
+// top level keep the plain lower-cased name (login-...)
+function featurePrefix(component) {
+  const folders = path.dirname(component.file).split(/[\\/]/).filter(folder => folder && folder !== '.');
+  return [...folders, component.name].join('-').toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+}
+
+// Top-level statement containing a declaration, so the source keeps `export` and its doc comment
+function enclosingStatement(ast, declaration) {
+  return ast.program.body.find(statement => statement.start <= declaration.start && statement.end >= declaration.end) || declaration;
+}
+
+// For each top-level statement, the indexes of the top-level statements declaring the module-scope
+// bindings it refers to (imports, helpers, constants)
+function statementReferences(ast) {
+  const body = ast.program.body;
+  const statementAt = position => body.findIndex(statement => statement.start <= position && statement.end >= position);
+  const references = body.map(() => new Set());
+  traverse(ast, {
+    ReferencedIdentifier(identifierPath) {
+      const binding = identifierPath.scope.getBinding(identifierPath.node.name);
+      if (!binding || binding.scope.block !== ast.program) return;
+      const from = statementAt(identifierPath.node.start);
+      const to = statementAt(binding.path.node.start);
+      if (from !== -1 && to !== -1 && from !== to) references[from].add(to);
+    },
+  });
+  return references;
+}
+
+// Source of a component: its declaration plus, in source order, the imports, helpers and constants it
+// uses directly or through those helpers. Other components of the module are left to their own entries.
+function componentSource(code, ast, statement, references, componentStatements) {
+  const body = ast.program.body;
+  const included = new Set([body.indexOf(statement)]);
+  const pending = [...included];
+  while (pending.length > 0) {
+    for (const index of references[pending.pop()] || []) {
+      if (included.has(index) || componentStatements.has(index)) continue;
+      included.add(index);
+      pending.push(index);
+    }
+  }
+  return [...included].sort((a, b) => a - b).map(index => code.slice(body[index].start, body[index].end)).join('\n\n');
+}
+
+function docstringOf(statement) {
+  const comment = (statement.leadingComments || []).slice(-1)[0];
+  return comment ? comment.value.replace(/\*/g, '').trim() : '';
+}
+
+// Discover every React component under componentsDir (recursively; .js, .jsx, .ts and .tsx), following
+// default and named exports. Files declaring several components yield one entry each; barrel files
+// (index.ts re-exporting other modules) add aliases to the components they re-export.
+// Returns [{ id, name, file, filePath, exports, aliases, code, docstring }], where code is the
+// component's declaration with the module-level code it depends on.
+async function discoverComponents(componentsDir) {
+  const files = await listSourceFiles(componentsDir);
+  const knownFiles = new Set(files);
+  const modules = {};
+  for (const file of files) {
+    const code = await fs.readFile(file, 'utf-8');
+    try {
+      modules[file] = { code, analysis: analyzeModule(file, code), ast: parseSource(code) };
+    } catch (error) {
+      console.warn(`Skipping ${file}: ${error.message}`);
+    }
+  }
+
+  const components = [];
+  const byFileAndName = {};
+  for (const [file, { code, analysis, ast }] of Object.entries(modules)) {
+    const { exports } = analysis;
+    const references = statementReferences(ast);
+    const componentStatements = new Set(analysis.componentDeclarations.map(d => ast.program.body.indexOf(enclosingStatement(ast, d))));
+    const exportedLocals = [exports.default, ...Object.values(exports.named)].filter(Boolean);
+    // Modules that export none of their components (e.g. an entry script) still expose them all
+    const declarations = analysis.componentDeclarations.some(d => exportedLocals.includes(d.name))
+      ? analysis.componentDeclarations.filter(d => exportedLocals.includes(d.name))
+      : analysis.componentDeclarations;
+
+    for (const declaration of declarations) {
+      const statement = enclosingStatement(ast, declaration);
+      const relativeFile = path.relative(componentsDir, file);
+      const component = {
+        id: componentId(relativeFile, declaration.name),
+        name: declaration.name,
+        file: relativeFile,
+        filePath: file,
+        exports: [
+          ...(exports.default === declaration.name ? ['default'] : []),
+          ...Object.keys(exports.named).filter(name => exports.named[name] === declaration.name),
+        ],
+        aliases: [],
+        code: componentSource(code, ast, statement, references, componentStatements),
+        docstring: docstringOf(statement) || 'No docstring provided.',
+      };
+      components.push(component);
+      byFileAndName[`${file}#${declaration.name}`] = component;
+    }
+  }
+
+  // Follow barrel re-exports: export { default as Login } from './LoginPage' and import X from './X'; export { X }
+  const exportedComponent = (file, exportName) => {
+    const analysis = modules[file]?.analysis;
+    if (!analysis) return null;
+    const local = exportName === 'default' ? analysis.exports.default : analysis.exports.named[exportName];
+    return local ? byFileAndName[`${file}#${local}`] || null : null;
+  };
+  for (const [file, { analysis }] of Object.entries(modules)) {
+    const aliasTargets = [
+      ...analysis.exports.reexports.filter(r => r.exported !== '*').map(r => ({ exported: r.exported, source: r.source, imported: r.imported })),
+      ...Object.entries(analysis.exports.named)
+        .filter(([, local]) => analysis.imports[local])
+        .map(([exported, local]) => ({ exported, ...analysis.imports[local] })),
+    ];
+    for (const { exported, source, imported } of aliasTargets) {
+      const target = resolveImport(file, source, knownFiles);
+      const component = target ? exportedComponent(target, imported) : null;
+      if (component && exported !== component.name && !component.aliases.includes(exported)) component.aliases.push(exported);
+    }
+  }
+
+  return components.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Find a discovered component by id, name or barrel alias (case-insensitive), or null
+function findComponent(components, query) {
+  const wanted = query.toLowerCase();
+  return components.find(c => c.id.toLowerCase() === wanted)
+    || components.find(c => c.name.toLowerCase() === wanted)
+    || components.find(c => c.aliases.some(alias => alias.toLowerCase() === wanted))
+    || null;
+}
+
+export { discoverComponents, findComponent, featurePrefix, componentId };
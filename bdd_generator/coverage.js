@@ -0,0 +1,205 @@
+// bdd_generator/coverage.js
+import { resolveFeatureSelectors } from './selector-resolver.js';
+
+const NODE_KINDS = ['element', 'route', 'navigation', 'api'];
+
+// Whether a concrete path matches a route pattern such as /transactions/:userId
+function routeMatches(pattern, urlPath) {
+  const normalise = value => (value.length > 1 ? value.replace(/\/+$/, '') : value);
+  const source = normalise(pattern).split('/')
+    .map(segment => (/^(:|\{)/.test(segment) ? '[^/]+' : segment.replace(/[.*+?^$()|[\]\\{}]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${source}$`).test(normalise(urlPath));
+}
+
+// Paths of the URLs a step mentions: "at http://localhost:3000/dashboard" -> ['/dashboard']
+function stepPaths(text) {
+  return [...text.matchAll(/\bhttps?:\/\/[^\s'"]+/g)].map(match => {
+    try {
+      return new URL(match[0].replace(/[.,;]+$/, '')).pathname;
+    } catch (error) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+// Whether a step refers to a component's page, by URL or by name ("the dashboard page")
+function mentionsPage(step, componentName, routes) {
+  if (stepPaths(step.text).some(urlPath => routes.some(route => routeMatches(route, urlPath)))) return true;
+  if (!componentName) return false;
+  return new RegExp(`\\b${componentName.replace(/([a-z])([A-Z])/g, '$1 $2')}\\s+(page|screen|view)\\b`, 'i').test(step.text);
+}
+
+// Compare a component's part of the merged knowledge graph with its feature files and report which
+// element, route, navigation and API nodes at least one scenario exercises.
+// features is [{ fileName, content }]. Returns { component, features, unparseable, nodes: { element, route, navigation, api }, summary }
+// where each node entry is { key, label, covered, coveredBy: [{ featureFile, scenario, line }] } and unparseable
+// lists the feature files that could not be read as [{ featureFile, error }]; they cover nothing.
+function computeComponentCoverage(graph, componentKey, features) {
+  const outgoing = (from, relation) => graph.edges.filter(edge => edge.from === from && edge.relation === relation);
+  const routesOf = name => outgoing(name, 'at-route').map(edge => edge.to).concat(graph.nodes[name]?.route ? [graph.nodes[name].route] : []);
+
+  // Flatten the scenarios of every feature file, with the elements the selector resolver found per step
+  const scenarios = [];
+  const unparseable = [];
+  for (const { fileName, content } of features) {
+    let resolved;
+    try {
+      ({ scenarios: resolved } = resolveFeatureSelectors(fileName, content, graph, componentKey));
+    } catch (error) {
+      unparseable.push({ featureFile: fileName, error: error.message });
+      continue;
+    }
+    resolved.forEach(scenario => scenarios.push({ featureFile: fileName, ...scenario }));
+  }
+  const hit = (scenario, step) => ({ featureFile: scenario.featureFile, scenario: scenario.name, line: step ? step.line : scenario.line });
+
+  // Handlers the scenarios trigger: through referenced elements, and a form's submit handler
+  // through a referenced submit button of the same component
+  const triggeredHandlers = new Map();
+  const elementHits = new Map();
+  const formHandlers = outgoing(componentKey, 'contains')
+    .filter(edge => graph.nodes[edge.to]?.tag === 'form')
+    .flatMap(edge => outgoing(edge.to, 'triggers').map(trigger => ({ form: edge.to, handler: trigger.to })));
+  for (const scenario of scenarios) {
+    for (const step of scenario.steps) {
+      for (const { element: elementKey } of step.elements) {
+        if (!elementHits.has(elementKey)) elementHits.set(elementKey, []);
+        elementHits.get(elementKey).push(hit(scenario, step));
+        const element = graph.nodes[elementKey];
+        const handlers = outgoing(elementKey, 'triggers').map(edge => edge.to);
+        if (element?.component === componentKey && element.tag === 'button' && (!element.inputType || element.inputType === 'submit')) {
+          formHandlers.forEach(({ form, handler }) => {
+            handlers.push(handler);
+            if (!elementHits.has(form)) elementHits.set(form, []);
+            elementHits.get(form).push(hit(scenario, step));
+          });
+        }
+        for (const handler of handlers) {
+          if (!triggeredHandlers.has(handler)) triggeredHandlers.set(handler, []);
+          triggeredHandlers.get(handler).push(hit(scenario, step));
+        }
+      }
+    }
+  }
+
+  const name = key => (graph.nodes[key]?.type === 'component' ? graph.nodes[key].name || key : '');
+  const ownRoutes = [...new Set(routesOf(componentKey))];
+  const pageVisits = scenarios.flatMap(scenario => scenario.steps
+    .filter(step => mentionsPage(step, name(componentKey), ownRoutes))
+    .map(step => hit(scenario, step)));
+
+  const entry = (key, label, coveredBy) => ({ key, label, covered: coveredBy.length > 0, coveredBy });
+  const nodes = { element: [], route: [], navigation: [], api: [] };
+
+  for (const { to: key } of outgoing(componentKey, 'contains')) {
+    const element = graph.nodes[key];
+    nodes.element.push(entry(key, `${element.tag} ${element.label || element.text || element.id || ''}`.trim(), elementHits.get(key) || []));
+  }
+
+  for (const route of ownRoutes) {
+    nodes.route.push(entry(route, route, scenarios.flatMap(scenario => scenario.steps
+      .filter(step => stepPaths(step.text).some(urlPath => routeMatches(route, urlPath)))
+      .map(step => hit(scenario, step)))));
+  }
+
+  // A navigation is covered when a scenario reaches the target page after its first When step
+  const navigationTargets = new Map();
+  for (const edge of outgoing(componentKey, 'navigates-to')) {
+    if (!navigationTargets.has(edge.to)) navigationTargets.set(edge.to, edge);
+  }
+  for (const [target, edge] of navigationTargets) {
+    const targetRoutes = graph.nodes[target]?.type === 'route' ? [target] : [...new Set([...routesOf(target), ...(edge.route ? [edge.route] : [])])];
+    const coveredBy = [];
+    for (const scenario of scenarios) {
+      const firstWhen = scenario.steps.findIndex(step => step.keyword === 'When');
+      if (firstWhen === -1) continue;
+      const reached = scenario.steps.slice(firstWhen + 1).find(step => mentionsPage(step, name(target), targetRoutes));
+      if (reached) coveredBy.push(hit(scenario, reached));
+    }
+    nodes.navigation.push(entry(`${componentKey} -> ${target}`, `${name(target) || target}${edge.handler ? ` via ${edge.handler}` : edge.via ? ` via ${edge.via}` : ''}`, coveredBy));
+  }
+
+  // APIs called from handlers count when a scenario triggers the handler; APIs called on load
+  // (from effects or functions they run) count when a scenario visits the page
+  const effectHandlers = new Set(outgoing(componentKey, 'has-effect').flatMap(edge => [edge.to, ...outgoing(edge.to, 'runs').map(run => run.to)]));
+  const apiHits = new Map();
+  for (const edge of outgoing(componentKey, 'uses')) {
+    const handlerKey = edge.handler && edge.handler !== 'inline' ? `${componentKey}.${edge.handler}` : null;
+    const onLoad = !handlerKey || effectHandlers.has(handlerKey) || /^effect#/.test(edge.handler);
+    const coveredBy = onLoad ? pageVisits : triggeredHandlers.get(handlerKey) || [];
+    apiHits.set(edge.to, [...(apiHits.get(edge.to) || []), ...coveredBy]);
+  }
+  for (const [key, coveredBy] of apiHits) {
+    nodes.api.push(entry(key, key, coveredBy));
+  }
+
+  const summary = {};
+  for (const kind of NODE_KINDS) {
+    const covered = nodes[kind].filter(node => node.covered).length;
+    summary[kind] = { covered, total: nodes[kind].length };
+  }
+  const covered = NODE_KINDS.reduce((sum, kind) => sum + summary[kind].covered, 0);
+  const total = NODE_KINDS.reduce((sum, kind) => sum + summary[kind].total, 0);
+  summary.overall = { covered, total, percent: total === 0 ? 100 : Math.round((covered / total) * 1000) / 10 };
+
+  return { component: componentKey, features: features.map(f => f.fileName), unparseable, nodes, summary };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[char]));
+}
+
+// Render a coverage report (as returned by the generator's coverage command) as a standalone HTML page
+function renderCoverageHtml(report) {
+  const percent = ({ covered, total }) => (total === 0 ? '–' : `${Math.round((covered / total) * 100)}%`);
+  const rows = report.components.map(component => `
+      <tr>
+        <td><a href="#${escapeHtml(component.id)}">${escapeHtml(component.id)}</a></td>
+        ${NODE_KINDS.map(kind => `<td>${component.summary[kind].covered}/${component.summary[kind].total} (${percent(component.summary[kind])})</td>`).join('')}
+        <td><strong>${component.summary.overall.percent}%</strong></td>
+      </tr>`).join('');
+
+  const sections = report.components.map(component => `
+    <section id="${escapeHtml(component.id)}">
+      <h2>${escapeHtml(component.id)} <small>${component.summary.overall.percent}%</small></h2>
+      <p>Feature files: ${component.features.map(escapeHtml).join(', ') || 'none'}</p>
+      ${component.unparseable.map(file => `<p class="unparseable">Unparseable, not counted: ${escapeHtml(file.featureFile)} (${escapeHtml(file.error)})</p>`).join('\n      ')}
+      ${NODE_KINDS.filter(kind => component.nodes[kind].length > 0).map(kind => `
+      <h3>${kind[0].toUpperCase()}${kind.slice(1)}s</h3>
+      <table>
+        <tr><th>Node</th><th>Status</th><th>Covered by</th></tr>
+        ${component.nodes[kind].map(node => `
+        <tr class="${node.covered ? 'covered' : 'uncovered'}">
+          <td><code>${escapeHtml(node.key)}</code><br><small>${escapeHtml(node.label)}</small></td>
+          <td>${node.covered ? 'covered' : 'not covered'}</td>
+          <td>${node.coveredBy.map(by => `${escapeHtml(by.featureFile)}:${by.line} (${escapeHtml(by.scenario)})`).join('<br>')}</td>
+        </tr>`).join('')}
+      </table>`).join('')}
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>BDD coverage report</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; margin-bottom: 1.5rem; }
+    th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+    tr.covered td:nth-child(2) { color: #1a7f37; }
+    tr.uncovered td:nth-child(2), .unparseable { color: #cf222e; font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>BDD coverage report</h1>
+  <p>Generated ${escapeHtml(report.generatedAt)}. Overall: ${report.summary.covered}/${report.summary.total} nodes (${report.summary.percent}%).</p>
+  <table>
+    <tr><th>Component</th>${NODE_KINDS.map(kind => `<th>${kind}s</th>`).join('')}<th>Overall</th></tr>${rows}
+  </table>${sections}
+</body>
+</html>
+`;
+}
+
+export { computeComponentCoverage, renderCoverageHtml };
@@ -0,0 +1,542 @@
+// bdd_generator/design-ingestion.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const fs = require('fs').promises;
+const path = require('path');
+const pdfParse = require('pdf-parse');
+
+const BULLET = /^\s*(?:[•◦▪‣●○■□–*+-]|o(?=\s)|\d+[.)](?=\s))\s*/;
+// Headings naming a page ("Login Screen") and parents whose sections are pages ("2. Components")
+const PAGE_TITLE = /\s+(page|screen|view|component|form|dialog|modal)$/i;
+const PAGE_PARENT = /\b(components?|screens?|pages?|views?|user interface|ui|wireframes?)\b/i;
+const SMALL_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+const NAVIGATION = /\b(?:redirect(?:s|ed)?|navigat(?:e|es|ed|ion)|takes?|taken|go(?:es)?|returns?|returned|leads?|brings?|sends?|moves?|links?)\b(?:(?!\b(?:redirect|navigat|takes?|go|goes|returns?|leads?|brings?|sends?|moves?|links?)\b)[^.;])*?\bto\s+(?:the\s+)?(\/[\w\-/{}:]*|[A-Za-z][\w-]*(?:\s+[A-Za-z][\w-]*){0,2})/gi;
+const AUTHENTICATION = /\b(?:(?:must|need to|needs to|has to|have to)\s+(?:be\s+)?(?:log(?:ged)?|sign(?:ed)?)\s*in|requires?\s+(?:a\s+)?(?:login|log-in|logging in|signing in|sign-in|authentication)|after\s+(?:logging|signing)\s+in|authenticated\s+users?|logged[- ]in\s+users?|post-login|post-authentication)\b/i;
+const LANDING = /\b(?:landing page|entry point|first page|home ?page|start page|initial page|users start at)\b/i;
+const TEST_DATA_CONTEXT = /\b(?:test|sample|example|default|valid|invalid|demo|seed(?:ed)?)\b/i;
+
+const decodeEntities = text => text
+  .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;|&apos;|&rsquo;|&lsquo;/g, '\'')
+  .replace(/&ldquo;|&rdquo;/g, '"').replace(/&ndash;|&mdash;/g, '-').replace(/&hellip;/g, '...').replace(/&bull;/g, '•')
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+// Group heading/content items ({ heading: { title, level } } or { line }) into sections with their heading path
+function buildSections(items) {
+  const sections = [];
+  const stack = [];
+  let current = { title: '', level: 0, headings: [], page: items[0]?.page ?? null, lines: [] };
+  for (const item of items) {
+    if (item.heading) {
+      if (current.title || current.lines.length > 0) sections.push(current);
+      while (stack.length > 0 && stack[stack.length - 1].level >= item.heading.level) stack.pop();
+      stack.push(item.heading);
+      current = { title: item.heading.title, level: item.heading.level, headings: stack.map(h => h.title), page: item.page ?? null, lines: [] };
+    } else if (item.line.trim()) {
+      current.lines.push(item.line.trim());
+    }
+  }
+  if (current.title || current.lines.length > 0) sections.push(current);
+  return sections;
+}
+
+function parseMarkdown(text) {
+  const items = [];
+  const lines = text.split(/\r?\n/);
+  let inFence = false;
+  const inline = line => line.replace(/!?\[([^\]]*)\]\(([^)]*)\)/g, '$1 ($2)').replace(/(\*\*|__|`)/g, '');
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    const atx = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    const setext = !inFence && line.trim() && !BULLET.test(line) && lines[index + 1]?.match(/^\s*(=+|-+)\s*$/);
+    if (atx) {
+      items.push({ heading: { title: inline(atx[2]), level: atx[1].length } });
+    } else if (setext) {
+      items.push({ heading: { title: inline(line.trim()), level: setext[1].startsWith('=') ? 1 : 2 } });
+    } else if (!/^\s*(=+|-+)\s*$/.test(line) || inFence) {
+      items.push({ line: inline(line).replace(BULLET, match => (match.trim() ? '• ' : match)) });
+    }
+  });
+  return buildSections(items);
+}
+
+// HTML, including Word's "Save as Web Page" output, where headings may be <p class=MsoHeading2> or MsoTitle paragraphs
+function parseHtml(html) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '');
+  const items = [];
+  let buffer = '';
+  let heading = null;
+  let headingTag = null;
+  const flush = () => {
+    const text = decodeEntities(buffer).replace(/\s+/g, ' ').trim();
+    if (text && heading) items.push({ heading: { title: text, level: heading } });
+    else if (text) items.push({ line: text });
+    buffer = '';
+  };
+
+  const tagPattern = /<(\/?)([a-zA-Z][\w:]*)([^>]*)>|([^<]+)/g;
+  let match;
+  while ((match = tagPattern.exec(body)) !== null) {
+    const [, closing, rawTag, attributes, text] = match;
+    if (text !== undefined) {
+      buffer += text;
+      continue;
+    }
+    const tag = rawTag.toLowerCase();
+    const wordHeading = attributes.match(/class=["']?Mso(?:Heading(\d)|Title)\b/i);
+    if (closing && tag === headingTag) {
+      flush();
+      heading = headingTag = null;
+    } else if (!closing && (/^h[1-6]$/.test(tag) || (tag === 'p' && wordHeading))) {
+      flush();
+      heading = tag === 'p' ? Number(wordHeading[1] || 1) : Number(tag[1]);
+      headingTag = tag;
+    } else if (['p', 'div', 'br', 'tr', 'ul', 'ol', 'table', 'section', 'article', 'li'].includes(tag)) {
+      flush();
+      if (tag === 'li' && !closing) buffer = '• ';
+    } else if (['td', 'th'].includes(tag) && closing) {
+      buffer += ' | ';
+    }
+  }
+  flush();
+  return buildSections(items);
+}
+
+// Title Case line: every word capitalised except small words ("Transfer Funds", "Account Details")
+function isTitleCase(line) {
+  const words = line.split(/\s+/);
+  return words.length <= 6 && words.some(word => /[A-Za-z]/.test(word))
+    && words.every((word, index) => /^[A-Z0-9(]/.test(word) || (index > 0 && SMALL_WORDS.has(word.toLowerCase())));
+}
+
+// Heading level of a line in free-form text, or 0: numbered titles ("2.1 Login") by their depth,
+// short upper-case lines as 1 and short Title Case lines as 2. Bulleted lines and sentences are content.
+function headingLevel(line) {
+  if (!line || /^[•◦▪‣●○■□–*+-]/.test(line) || /^o\s/.test(line) || /[.,:;!?]$/.test(line) || line.includes(':')) return 0;
+  const numbered = line.match(/^(\d+(?:\.\d+)*)\.?\s+(\S.*)$/);
+  if (numbered) return numbered[2].split(/\s+/).length <= 8 && /^[A-Z]/.test(numbered[2]) ? numbered[1].split('.').length : 0;
+  if (/^\d/.test(line)) return 0;
+  if (/[A-Z]/.test(line) && line === line.toUpperCase() && line.split(/\s+/).length <= 8) return 1;
+  return isTitleCase(line) ? 2 : 0;
+}
+
+// Text extracted from a PDF or plain-text file, one string per page
+function parsePlainText(pages) {
+  const items = [];
+  pages.forEach((pageText, pageIndex) => {
+    for (const rawLine of pageText.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+      const level = headingLevel(line);
+      const previous = items[items.length - 1];
+      if (level > 0 && level !== 1 && previous?.heading && !previous.heading.numbered && !/^\d/.test(line)) {
+        // A title wrapped over two lines ("Banking Application Design" / "Document")
+        previous.heading.title = `${previous.heading.title} ${line}`;
+      } else if (level > 0) {
+        items.push({ page: pageIndex + 1, heading: { title: line, level, numbered: /^\d/.test(line) } });
+      } else {
+        items.push({ page: pageIndex + 1, line: line.replace(BULLET, match => (match.trim() ? '• ' : match)) });
+      }
+    }
+  });
+  return buildSections(items);
+}
+
+async function readPdfPages(buffer) {
+  const pages = [];
+  await pdfParse(buffer, {
+    // Same line joining as pdf-parse's default renderer, but keeping each page's text apart
+    pagerender: pageData => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false }).then(content => {
+      let lastY;
+      let text = '';
+      for (const item of content.items) {
+        text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages.push(text);
+      return text;
+    }),
+  });
+  return pages;
+}
+
+// Read a design document (Markdown, HTML such as DOCX exports, PDF or plain text) into sections
+// that follow its heading structure. Returns { source, format, text, sections: [{ title, level, headings, page, lines }] },
+// where page is the PDF page a section starts on (null for other formats).
+async function readDesignDocument(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.pdf') {
+    const pages = await readPdfPages(await fs.readFile(filePath));
+    return { source: filePath, format: 'pdf', text: pages.join('\n'), sections: parsePlainText(pages) };
+  }
+  const text = await fs.readFile(filePath, 'utf-8');
+  if (['.md', '.markdown'].includes(extension)) return { source: filePath, format: 'markdown', text, sections: parseMarkdown(text) };
+  if (['.html', '.htm', '.xhtml'].includes(extension)) return { source: filePath, format: 'html', text, sections: parseHtml(text) };
+  if (['.txt', '.text'].includes(extension)) return { source: filePath, format: 'text', text, sections: parsePlainText([text]) };
+  throw new Error(`Unsupported design document format: ${filePath} (expected .md, .html, .pdf or .txt)`);
+}
+
+// One chunk per section, with its heading path as context; long sections are split at line
+// boundaries into chunks of about maxChars characters
+function chunkDocument(document, { maxChars = 1500 } = {}) {
+  const chunks = [];
+  for (const section of document.sections) {
+    let lines = [];
+    const push = () => {
+      chunks.push({ index: chunks.length, title: section.title, level: section.level, headings: section.headings, page: section.page, lines });
+      lines = [];
+    };
+    for (const line of section.lines) {
+      if (lines.length > 0 && lines.join('\n').length + line.length > maxChars) push();
+      lines.push(line);
+    }
+    if (lines.length > 0 || section.title) push();
+  }
+  return chunks.map(chunk => ({ ...chunk, text: [...chunk.headings, ...chunk.lines].join('\n') }));
+}
+
+// "2.1 Login Screen" -> "Login Screen"
+function headingText(title) {
+  return title.replace(/^\d+(?:\.\d+)*\.?\s+/, '').trim();
+}
+
+// Component-style name of a page title: "Login Screen" -> Login, "transfer funds" -> TransferFunds
+function pageName(title) {
+  return headingText(title).replace(PAGE_TITLE, '').split(/[^A-Za-z0-9]+/).filter(Boolean)
+    .map(word => (word === word.toUpperCase() || word === word.toLowerCase() ? word[0].toUpperCase() + word.slice(1).toLowerCase() : word[0].toUpperCase() + word.slice(1)))
+    .join('');
+}
+
+// Lines of a chunk rejoined where a line merely wraps the previous one (as PDF text does: the
+// next line continues in lower case, with a digit or with punctuation), then split into sentences
+function sentencesOf(chunk) {
+  const paragraphs = [];
+  for (const line of chunk.lines) {
+    if (paragraphs.length > 0 && !/^[A-Z•]/.test(line) && !/[.:!?]$/.test(paragraphs[paragraphs.length - 1])) {
+      paragraphs[paragraphs.length - 1] += ` ${line}`;
+    } else {
+      paragraphs.push(line);
+    }
+  }
+  return paragraphs.flatMap(paragraph => paragraph.replace(/^•\s*/, '').split(/(?<=[.!?;])\s+(?=[A-Z“"])/)).filter(Boolean);
+}
+
+// Noisy-or of two independent confidences for the same fact
+function combineConfidence(a, b) {
+  return Math.round((1 - (1 - a) * (1 - b)) * 100) / 100;
+}
+
+// Extract design facts from document chunks without relying on fixed phrases. Each fact is
+// { type, subject, value, confidence, source: { document, page, section, chunk }, evidence }, with type one of
+// page, route, navigation, api, precondition, landing-page, test-data and base-url; subject is the page it describes.
+function extractDesignFacts(chunks, documentName) {
+  const facts = [];
+  const add = (chunk, type, subject, value, confidence, evidence) => facts.push({
+    type,
+    subject,
+    value,
+    confidence,
+    source: { document: documentName, page: chunk.page, section: headingText(chunk.title), chunk: chunk.index },
+    evidence: evidence.trim().slice(0, 200),
+  });
+
+  // Pages first, so other facts can be attributed to them and navigation targets resolved
+  const chunkPages = new Map();
+  for (const chunk of chunks) {
+    const title = headingText(chunk.title);
+    if (!title) continue;
+    const parent = chunk.headings.length > 1 ? headingText(chunk.headings[chunk.headings.length - 2]) : '';
+    const signals = [
+      PAGE_TITLE.test(title) && 0.9,
+      PAGE_PARENT.test(parent) && !PAGE_PARENT.test(title) && 0.8,
+      chunk.lines.some(line => /^•?\s*(route|url|path|(ui\s+)?elements)\s*:/i.test(line)) && 0.7,
+    ].filter(Boolean);
+    if (signals.length === 0 || !pageName(title)) continue;
+    const confidence = signals.reduce(combineConfidence);
+    chunkPages.set(chunk.index, pageName(title));
+    add(chunk, 'page', pageName(title), { title }, confidence, chunk.title);
+  }
+  const pages = [...new Set(chunkPages.values())];
+  const loginPage = pages.find(page => /^(login|signin|logon)$/i.test(page)) || null;
+  // Page named in a phrase: "the Dashboard", "Signup page", "transfer funds screen"
+  const mentionedPage = phrase => {
+    const wanted = pageName(phrase.replace(/^the\s+/i, ''));
+    return pages.find(page => page.toLowerCase() === wanted.toLowerCase())
+      || pages.find(page => wanted.toLowerCase().startsWith(page.toLowerCase()))
+      || null;
+  };
+  const pagesIn = sentence => pages.filter(page => new RegExp(`\\b${page.replace(/([a-z])([A-Z])/g, '$1\\s*$2')}\\b`, 'i').test(sentence));
+
+  // Routes are needed to resolve "redirects to /dashboard"
+  const routes = {};
+  for (const chunk of chunks) {
+    const subject = chunkPages.get(chunk.index);
+    for (const sentence of sentencesOf(chunk)) {
+      const legacy = sentence.match(/Route:\s*([A-Za-z]+)\s+at\s+(\/[\w\-/{}:]*)/i);
+      const labelled = sentence.match(/^(?:route|url|path)\s*:\s*(?:https?:\/\/[^/\s]+)?(\/[\w\-/{}:]*)/i);
+      const phrase = sentence.match(/\b(?:page|screen|view|served|located|available|reachable|found)\s+(?:is\s+)?(?:at|under|on)\s+(?:https?:\/\/[^/\s]+)?(\/[\w\-/{}:]*)/i);
+      const owner = legacy ? mentionedPage(legacy[1]) || pageName(legacy[1]) : subject;
+      const route = legacy?.[2] || labelled?.[1] || phrase?.[1];
+      if (!owner || !route || route.startsWith('/api/')) continue;
+      add(chunk, 'route', owner, { path: route }, legacy || labelled ? 0.9 : 0.7, sentence);
+      if (!routes[route]) routes[route] = owner;
+    }
+  }
+  const routeTarget = route => routes[route.replace(/(.)\/$/, '$1')] || null;
+
+  for (const chunk of chunks) {
+    const chunkSubject = chunkPages.get(chunk.index) || null;
+    for (const sentence of sentencesOf(chunk)) {
+      // Outside page sections a sentence speaks about the single page it names, if any
+      const named = pagesIn(sentence);
+      const subject = chunkSubject || (named.length === 1 ? named[0] : null);
+
+      for (const match of sentence.matchAll(/\b(GET|POST|PUT|PATCH|DELETE)\s+(\/[\w\-/{}:<>.]*\w)/g)) {
+        add(chunk, 'api', chunkSubject, { method: match[1].toUpperCase(), path: normalisePath(match[2]) }, /\b(api|endpoint)s?\b/i.test(sentence) ? 0.95 : 0.85, sentence);
+      }
+      for (const match of sentence.matchAll(/(\/api\/[\w\-/{}:<>.]*\w)/g)) {
+        if (!new RegExp(`\\b(GET|POST|PUT|PATCH|DELETE)\\s+${match[1].replace(/[.*+?^$()|[\]\\{}]/g, '\\$&')}`).test(sentence)) {
+          add(chunk, 'api', chunkSubject, { method: null, path: normalisePath(match[1]) }, 0.5, sentence);
+        }
+      }
+
+      const testIdNavigation = [...sentence.matchAll(/navigates-to\s+([A-Za-z]+)\s+with\s+button\s+data-testid="([^"]+)"/gi)];
+      for (const match of testIdNavigation) {
+        if (subject) add(chunk, 'navigation', subject, { target: mentionedPage(match[1]) || pageName(match[1]), navigationId: match[2] }, 0.95, sentence);
+      }
+      if (chunkSubject && testIdNavigation.length === 0) {
+        for (const match of sentence.matchAll(NAVIGATION)) {
+          const target = match[1].startsWith('/') ? routeTarget(match[1]) || match[1] : mentionedPage(match[1]);
+          if (!target || target === chunkSubject) continue;
+          const trigger = sentence.match(/[“"']([^”"']+)[”"']\s+(button|link|tab|menu item)/i);
+          const value = { target, ...(trigger ? { trigger: `${trigger[1]} ${trigger[2].toLowerCase()}` } : {}) };
+          add(chunk, 'navigation', chunkSubject, value, target.startsWith('/') ? 0.5 : trigger ? 0.85 : 0.8, sentence);
+        }
+      }
+
+      const required = sentence.match(/\bRequires:\s*([A-Za-z][\w ]*)/i);
+      if (subject && subject !== loginPage && required) {
+        add(chunk, 'precondition', subject, { requires: mentionedPage(required[1]) || required[1].trim() }, 0.9, sentence);
+      } else if (subject && subject !== loginPage && AUTHENTICATION.test(sentence)) {
+        add(chunk, 'precondition', subject, { requires: loginPage || 'authentication' }, chunkSubject ? 0.7 : 0.6, sentence);
+      }
+
+      if (LANDING.test(sentence)) {
+        const landing = chunkSubject || named.find(page => new RegExp(`\\b${page}\\s+(page|screen)\\b`, 'i').test(sentence)) || (named.length === 1 ? named[0] : null);
+        if (landing) add(chunk, 'landing-page', landing, {}, chunkSubject ? 0.8 : 0.7, sentence);
+      }
+
+      const credentials = sentence.match(/\b(?:username|user name|email|login)\s*(?:is|:|=|of)?\s*[“"']([^”"']+)[”"'],?\s*(?:and|with)?\s*(?:a\s+|the\s+)?password\s*(?:is|:|=|of)?\s*[“"']([^”"']+)[”"']/i);
+      if (credentials) {
+        add(chunk, 'test-data', subject, { username: credentials[1], password: credentials[2] }, 0.9, sentence);
+      } else if (TEST_DATA_CONTEXT.test(sentence)) {
+        for (const match of sentence.matchAll(/\b([a-z][a-z ]{1,20}?)\s*(?:is|:|=|of|as)\s*[“"']([^”"']+)[”"']/gi)) {
+          add(chunk, 'test-data', subject, { field: match[1].trim().toLowerCase(), value: match[2] }, 0.6, sentence);
+        }
+      }
+
+      const baseUrl = sentence.match(/\bBase URL\s*(?:is|:)?\s*(https?:\/\/[^\s,;)]+)/i);
+      const localUrl = sentence.match(/\bhttps?:\/\/(?:localhost|127\.0\.0\.1)(?::\d+)?(?=[/\s,;).]|$)/i);
+      if (baseUrl) add(chunk, 'base-url', null, { url: baseUrl[1].replace(/[/.]+$/, '') }, 0.95, sentence);
+      else if (localUrl) add(chunk, 'base-url', null, { url: localUrl[0] }, 0.6, sentence);
+    }
+  }
+  return facts;
+}
+
+// Path parameters as the code graph writes them: /users/:id and /users/<id> -> /users/{id}
+function normalisePath(apiPath) {
+  return apiPath.replace(/\/:(\w+)/g, '/{$1}').replace(/<(\w+)>/g, '{$1}').replace(/(.)\/$/, '$1');
+}
+
+// Merge repeated facts (same type, subject and value) into one whose confidence combines theirs
+// and which lists every source. Accepts extracted facts and already merged ones (graph.facts).
+function mergeFacts(facts) {
+  const merged = new Map();
+  for (const fact of facts) {
+    const { source, sources = [source], evidence, ...rest } = fact;
+    const key = JSON.stringify([fact.type, fact.subject, fact.value]);
+    const existing = merged.get(key);
+    if (existing) {
+      existing.confidence = combineConfidence(existing.confidence, fact.confidence);
+      existing.sources.push(...sources);
+      existing.evidence.push(...[].concat(evidence));
+    } else {
+      merged.set(key, { ...rest, sources: [...sources], evidence: [].concat(evidence) });
+    }
+  }
+  return [...merged.values()];
+}
+
+// Where a fact was stated: { document, page, section } per source
+function provenance(fact) {
+  const seen = new Set();
+  return fact.sources
+    .map(({ document, page, section }) => ({ document, page, section }))
+    .filter(source => !seen.has(JSON.stringify(source)) && seen.add(JSON.stringify(source)));
+}
+
+// Facts of one type ordered by precedence: facts from later documents (change documents listed after
+// the base spec) first, then by confidence
+function rankedFacts(facts, type, documents) {
+  const rank = fact => Math.max(...fact.sources.map(source => documents.indexOf(source.document)));
+  return facts.filter(fact => fact.type === type).sort((a, b) => rank(b) - rank(a) || b.confidence - a.confidence);
+}
+
+// Facts that cannot all hold, grouped by what they describe: routes and credentials per page, the
+// method of an API path, the landing page and the base URL
+const CONFLICTING_FACTS = {
+  route: { group: fact => fact.subject, value: fact => fact.value.path, describe: (subject, value) => `${subject} at ${value}` },
+  'landing-page': { group: () => 'landing page', value: fact => fact.subject, describe: (subject, value) => `${value} as landing page` },
+  'base-url': { group: () => 'base URL', value: fact => fact.value.url, describe: (subject, value) => `base URL ${value}` },
+  api: { group: fact => fact.value.path, value: fact => fact.value.method, describe: (subject, value) => `${value} ${subject}` },
+  'test-data': { group: fact => (fact.value.username !== undefined ? `${fact.subject} credentials` : null), value: fact => `${fact.value.username} / ${fact.value.password}`, describe: (subject, value) => `${subject} ${value}` },
+};
+
+// Conflicts between facts, within or across documents. Returns [{ kind, subject, values, resolution, message }]
+// where values are [{ value, confidence, sources }] and resolution is the value the graph uses.
+function findDesignConflicts(facts, documents = []) {
+  const conflicts = [];
+  for (const [kind, { group, value, describe }] of Object.entries(CONFLICTING_FACTS)) {
+    const groups = new Map();
+    for (const fact of rankedFacts(facts, kind, documents)) {
+      const subject = group(fact);
+      const factValue = value(fact);
+      if (subject === null || factValue === null || factValue === undefined) continue;
+      if (!groups.has(subject)) groups.set(subject, new Map());
+      const values = groups.get(subject);
+      if (!values.has(factValue)) values.set(factValue, { value: factValue, confidence: fact.confidence, sources: [] });
+      values.get(factValue).sources.push(...provenance(fact));
+    }
+    for (const [subject, values] of groups) {
+      if (values.size < 2) continue;
+      const [resolution, ...others] = values.values();
+      const where = ({ sources }) => [...new Set(sources.map(source => `${path.basename(source.document)}${source.page ? ` p.${source.page}` : ''}`))].join(', ');
+      conflicts.push({
+        kind,
+        subject,
+        values: [...values.values()],
+        resolution: resolution.value,
+        message: `${others.map(other => `${describe(subject, other.value)} (${where(other)})`).join(' and ')} conflicts with ${describe(subject, resolution.value)} (${where(resolution)}); using ${resolution.value}`,
+      });
+    }
+  }
+  return conflicts;
+}
+
+// Build a design knowledge graph from extracted facts. documents lists the design documents in
+// precedence order; where facts conflict, the later document's (then the more confident) fact wins.
+// Nodes and edges carry the confidence of the facts behind them and their sources (document, page and
+// section); graph.facts keeps the merged facts.
+function buildDesignGraph(facts, { documents = [] } = {}) {
+  const merged = mergeFacts(facts);
+  const graph = { nodes: {}, edges: [], baseUrl: null, facts: merged };
+  const best = type => rankedFacts(merged, type, documents);
+  const addSources = (target, fact) => {
+    target.sources = [...(target.sources || []), ...provenance(fact)]
+      .filter((source, index, all) => all.findIndex(other => JSON.stringify(other) === JSON.stringify(source)) === index);
+    return target;
+  };
+  const component = (name, fact, confidence = 0.5) => {
+    graph.nodes[name] = graph.nodes[name] || { type: 'component', confidence };
+    return addSources(graph.nodes[name], fact);
+  };
+  const addEdge = (edge, fact) => {
+    const existing = graph.edges.find(other => other.from === edge.from && other.to === edge.to && other.relation === edge.relation
+      && JSON.stringify({ ...other, confidence: 0, sources: 0 }) === JSON.stringify({ ...other, ...edge, confidence: 0, sources: 0 }));
+    if (existing) {
+      existing.confidence = Math.max(existing.confidence, fact.confidence);
+      addSources(existing, fact);
+    } else {
+      graph.edges.push(addSources({ ...edge, confidence: fact.confidence }, fact));
+    }
+  };
+
+  for (const fact of best('page')) component(fact.subject, fact, fact.confidence);
+
+  // One route per page; the others are reported as conflicts
+  for (const fact of best('route')) {
+    const node = component(fact.subject, fact);
+    if (node.route && node.route !== fact.value.path) continue;
+    node.route = fact.value.path;
+    graph.nodes[fact.value.path] = addSources(graph.nodes[fact.value.path] || { type: 'route', confidence: fact.confidence }, fact);
+    addEdge({ from: fact.subject, to: fact.value.path, relation: 'at-route' }, fact);
+  }
+
+  // One method per API path; a path mentioned without a method takes the method it has elsewhere
+  const apiFacts = best('api');
+  const methods = {};
+  apiFacts.filter(fact => fact.value.method).forEach(fact => { methods[fact.value.path] = methods[fact.value.path] || fact.value.method; });
+  for (const fact of apiFacts) {
+    if (fact.value.method && fact.value.method !== methods[fact.value.path]) continue;
+    const method = methods[fact.value.path] || 'GET';
+    const key = `${method} ${fact.value.path}`;
+    const node = graph.nodes[key] = graph.nodes[key] || { type: 'api', method, path: fact.value.path, confidence: 0 };
+    node.confidence = node.confidence ? combineConfidence(node.confidence, fact.confidence) : fact.confidence;
+    addSources(node, fact);
+    if (fact.subject) {
+      component(fact.subject, fact);
+      addEdge({ from: fact.subject, to: key, relation: 'uses' }, fact);
+    }
+  }
+
+  for (const fact of best('navigation')) {
+    if (fact.value.target.startsWith('/')) graph.nodes[fact.value.target] = addSources(graph.nodes[fact.value.target] || { type: 'route', confidence: fact.confidence }, fact);
+    else component(fact.value.target, fact);
+    const { target, ...details } = fact.value;
+    addEdge({ from: fact.subject, to: target, relation: 'navigates-to', ...details }, fact);
+  }
+
+  for (const fact of best('precondition')) {
+    const node = component(fact.subject, fact);
+    node.requiresLogin = true;
+    addEdge({ from: fact.subject, to: fact.value.requires, relation: 'requires' }, fact);
+  }
+
+  // A single landing page: the best-supported one, else the page at / or a Login page
+  const landingFact = best('landing-page')[0];
+  const landing = landingFact?.subject
+    || Object.keys(graph.nodes).find(name => graph.nodes[name].type === 'component' && graph.nodes[name].route === '/')
+    || (graph.nodes.Login ? 'Login' : null);
+  if (landing) {
+    graph.nodes[landing] = graph.nodes[landing] || { type: 'component', confidence: 0.5 };
+    graph.nodes[landing].isLandingPage = true;
+  }
+
+  for (const fact of best('test-data')) {
+    const owner = fact.subject || landing;
+    if (!owner) continue;
+    const node = component(owner, fact);
+    if (fact.value.username !== undefined) {
+      if (!node.credentials) node.credentials = { username: fact.value.username, password: fact.value.password };
+    } else {
+      node.testData = [...(node.testData || []), { ...fact.value, confidence: fact.confidence }];
+    }
+  }
+
+  graph.baseUrl = best('base-url')[0]?.value.url || null;
+  return graph;
+}
+
+// Merge the design graphs of several documents, given in precedence order (a base spec first, then
+// change documents), into one graph. Returns { graph, conflicts }, where graph.documents lists the
+// documents and conflicts describes every point on which the documents disagree.
+function mergeDesignDocuments(documents) {
+  const order = documents.map(({ document }) => document);
+  if (documents.length === 1) {
+    // Nothing to merge; also keeps graphs cached before facts were stored usable
+    return { graph: { ...documents[0].graph, documents: order }, conflicts: findDesignConflicts(documents[0].graph.facts || [], order) };
+  }
+  const facts = documents.flatMap(({ graph }) => graph.facts || []);
+  const graph = buildDesignGraph(facts, { documents: order });
+  graph.documents = order;
+  return { graph, conflicts: findDesignConflicts(graph.facts, order) };
+}
+
+export { readDesignDocument, chunkDocument, extractDesignFacts, buildDesignGraph, mergeDesignDocuments, findDesignConflicts, combineConfidence };
@@ -0,0 +1,129 @@
+// bdd_generator/drift.js
+
+// Findings that make the implementation contradict the design are errors; things the design does not
+// mention are warnings
+const DRIFT_KINDS = {
+  'page-without-component': 'error',
+  'route-mismatch': 'error',
+  'api-not-called': 'error',
+  'api-method-mismatch': 'error',
+  'component-without-route': 'warning',
+  'undocumented-navigation': 'warning',
+};
+const SEVERITIES = ['warning', 'error'];
+// Values of --drift-fail-on: the lowest severity that fails the command, or none to never fail
+const FAIL_ON_LEVELS = [...SEVERITIES, 'none'];
+
+// Names are compared loosely, so "Sign Up" in a document matches the Signup component
+const normaliseName = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+// Route and API path parameters are compared by position only: /users/:id matches /users/{userId}
+const normalisePath = value => (value.length > 1 ? value.replace(/\/+$/, '') : value).replace(/(:[\w]+|\{[^}]*\})/g, '{}');
+
+function componentsOf(graph) {
+  return Object.entries(graph.nodes).filter(([, node]) => node.type === 'component').map(([key]) => key);
+}
+
+function routesOf(graph, name) {
+  const routes = graph.edges.filter(edge => edge.from === name && edge.relation === 'at-route').map(edge => edge.to);
+  if (graph.nodes[name]?.route) routes.push(graph.nodes[name].route);
+  return [...new Set(routes)];
+}
+
+// Compare the design graph with the code graph and list where they disagree: design pages without a
+// component, routed components the design gives no route, routes that differ, design APIs the code
+// never calls (or calls with another method) and code navigations the design does not describe.
+// Returns { summary: { errors, warnings, byKind }, findings: [{ kind, severity, subject, message, design, code }] }.
+function detectDrift(designGraph, codeGraph) {
+  const findings = [];
+  const add = (kind, subject, message, design = null, code = null) => findings.push({ kind, severity: DRIFT_KINDS[kind], subject, message, design, code });
+  const designInfo = key => (designGraph.nodes[key] ? { key, confidence: designGraph.nodes[key].confidence, sources: designGraph.nodes[key].sources || [] } : { key });
+  const codeInfo = key => ({ key, file: codeGraph.nodes[key]?.file || null });
+
+  // Code components are keyed by id and design pages by name; pages are matched to components by name
+  const label = key => codeGraph.nodes[key]?.name || key;
+  const codeComponents = new Map();
+  for (const key of componentsOf(codeGraph)) {
+    const name = normaliseName(label(key));
+    codeComponents.set(name, [...(codeComponents.get(name) || []), key]);
+  }
+  const designComponents = new Map(componentsOf(designGraph).map(name => [normaliseName(name), name]));
+  const designName = key => designComponents.get(normaliseName(label(key)));
+
+  for (const page of designComponents.values()) {
+    const components = codeComponents.get(normaliseName(page)) || [];
+    if (components.length === 0) {
+      add('page-without-component', page, `Design page ${page} has no component in the code`, designInfo(page));
+      continue;
+    }
+    // Where several components share the page's name, one of them at the design's route is enough
+    const designRoutes = routesOf(designGraph, page);
+    const routed = components.filter(component => routesOf(codeGraph, component).length > 0);
+    const matches = component => designRoutes.some(route => routesOf(codeGraph, component).map(normalisePath).includes(normalisePath(route)));
+    if (designRoutes.length > 0 && routed.length > 0 && !routed.some(matches)) {
+      for (const component of routed) {
+        const codeRoutes = routesOf(codeGraph, component);
+        add('route-mismatch', component, `${label(component)} is at ${codeRoutes.join(', ')} in the code but at ${designRoutes.join(', ')} in the design`,
+          { ...designInfo(page), routes: designRoutes }, { ...codeInfo(component), routes: codeRoutes });
+      }
+    }
+  }
+
+  for (const component of componentsOf(codeGraph)) {
+    const codeRoutes = routesOf(codeGraph, component);
+    if (codeRoutes.length === 0) continue;
+    const page = designName(component);
+    if (!page || routesOf(designGraph, page).length === 0) {
+      add('component-without-route', component, `${label(component)} is routed at ${codeRoutes.join(', ')} but the design ${page ? 'gives it no route' : 'does not describe it'}`,
+        page ? designInfo(page) : null, { ...codeInfo(component), routes: codeRoutes });
+    }
+  }
+
+  const codeApis = Object.values(codeGraph.nodes).filter(node => node.type === 'api');
+  for (const [key, api] of Object.entries(designGraph.nodes).filter(([, node]) => node.type === 'api')) {
+    const samePath = codeApis.filter(node => normalisePath(node.path) === normalisePath(api.path));
+    const users = designGraph.edges.filter(edge => edge.to === key && edge.relation === 'uses').map(edge => edge.from);
+    if (samePath.some(node => node.method === api.method)) continue;
+    if (samePath.length > 0) {
+      add('api-method-mismatch', key, `The design calls ${key} but the code calls ${samePath.map(node => `${node.method} ${node.path}`).join(', ')}`,
+        { ...designInfo(key), components: users }, { key: `${samePath[0].method} ${samePath[0].path}` });
+    } else {
+      add('api-not-called', key, `Design API ${key}${users.length > 0 ? ` (used by ${users.join(', ')})` : ''} is never called by the code`,
+        { ...designInfo(key), components: users });
+    }
+  }
+
+  // A code navigation is described when the design navigates from the same page to the target
+  // component or to its route
+  for (const edge of codeGraph.edges.filter(other => other.relation === 'navigates-to')) {
+    const page = designName(edge.from);
+    const targetRoutes = codeGraph.nodes[edge.to]?.type === 'route' ? [edge.to] : [...routesOf(codeGraph, edge.to), ...(edge.route ? [edge.route] : [])];
+    const described = page && designGraph.edges.some(other => other.from === page && other.relation === 'navigates-to'
+      && (normaliseName(other.to) === normaliseName(label(edge.to))
+        || (other.to.startsWith('/') && targetRoutes.some(route => normalisePath(route) === normalisePath(other.to)))
+        || routesOf(designGraph, other.to).some(route => targetRoutes.some(target => normalisePath(target) === normalisePath(route)))));
+    if (!described) {
+      const trigger = edge.handler ? ` from ${edge.handler}` : edge.via ? ` via ${edge.via}` : '';
+      add('undocumented-navigation', `${edge.from} -> ${edge.to}`, `${label(edge.from)} navigates to ${label(edge.to)}${trigger} but the design does not describe it`,
+        page ? designInfo(page) : null, { ...codeInfo(edge.from), target: edge.to, route: edge.route || null, handler: edge.handler || null, via: edge.via || null });
+    }
+  }
+
+  const byKind = Object.fromEntries(Object.keys(DRIFT_KINDS).map(kind => [kind, findings.filter(finding => finding.kind === kind).length]));
+  return {
+    summary: {
+      errors: findings.filter(finding => finding.severity === 'error').length,
+      warnings: findings.filter(finding => finding.severity === 'warning').length,
+      byKind,
+    },
+    findings,
+  };
+}
+
+// Whether a drift report has findings at or above the given severity ('error', 'warning' or 'none')
+function driftExceeds(report, severity) {
+  if (!FAIL_ON_LEVELS.includes(severity)) throw new Error(`Unknown drift severity "${severity}"; expected one of ${FAIL_ON_LEVELS.join(', ')}`);
+  if (severity === 'none') return false;
+  return report.findings.some(finding => SEVERITIES.indexOf(finding.severity) >= SEVERITIES.indexOf(severity));
+}
+
+export { detectDrift, driftExceeds, DRIFT_KINDS, FAIL_ON_LEVELS };
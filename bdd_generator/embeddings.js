@@ -0,0 +1,55 @@
+// bdd_generator/embeddings.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+
+const EMBEDDERS = ['transformers', 'hash'];
+const TRANSFORMERS_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const DIMENSIONS = 384; // Both embedders, so the vector store layout does not depend on the choice
+
+// FNV-1a hash of a string, as an unsigned 32-bit integer
+function fnv1a(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Offline embedder: words and word pairs are hashed into signed buckets and the vector is normalised.
+// Texts sharing vocabulary score high, which is enough for deduplication and the fixture runs in CI;
+// it knows nothing of synonyms.
+function createHashEmbedder({ dimensions = DIMENSIONS } = {}) {
+  return async text => {
+    const vector = new Array(dimensions).fill(0);
+    const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+    for (const feature of features) {
+      const hash = fnv1a(feature);
+      vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  };
+}
+
+// Sentence embedder on all-MiniLM-L6-v2; transformers is loaded here and fetches the model on first use
+async function createTransformersEmbedder() {
+  const { pipeline } = require('@xenova/transformers');
+  const extractor = await pipeline('feature-extraction', TRANSFORMERS_MODEL);
+  return async text => Array.from((await extractor(text, { pooling: 'mean', normalize: true })).data);
+}
+
+// Embedder named by --embedder / BDD_EMBEDDER / model.embedder. Without one, fixture runs use the hash
+// embedder so they need no network; the other providers use transformers.
+function resolveEmbedderName(args, env = process.env, settings = {}, provider = settings.provider) {
+  const name = String(args.embedder || env.BDD_EMBEDDER || settings.embedder || (provider === 'fixture' ? 'hash' : 'transformers')).toLowerCase();
+  if (!EMBEDDERS.includes(name)) throw new Error(`Unknown embedder "${name}"; expected ${EMBEDDERS.join(', ')}`);
+  return name;
+}
+
+async function createEmbedder(name) {
+  return name === 'hash' ? createHashEmbedder() : createTransformersEmbedder();
+}
+
+export { createEmbedder, createHashEmbedder, resolveEmbedderName, EMBEDDERS, DIMENSIONS };
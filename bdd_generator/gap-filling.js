@@ -0,0 +1,64 @@
+// bdd_generator/gap-filling.js
+import { featureScenarios } from './playwright-specs.js';
+
+// Uncovered nodes of a component's coverage report, grouped by kind: { element, navigation, api }.
+// Routes are left out; a scenario covering any element, navigation or API of a page visits it anyway.
+function coverageGaps(coverage) {
+  return {
+    element: coverage.nodes.element.filter(node => !node.covered),
+    navigation: coverage.nodes.navigation.filter(node => !node.covered),
+    api: coverage.nodes.api.filter(node => !node.covered),
+  };
+}
+
+function gapCount(gaps) {
+  return gaps.element.length + gaps.navigation.length + gaps.api.length;
+}
+
+// Keys of the nodes a coverage report marks as covered
+function coveredKeys(coverage) {
+  return new Set(Object.values(coverage.nodes).flat().filter(node => node.covered).map(node => node.key));
+}
+
+function buildGapPrompt({ componentName, gaps, features, componentContext, baseUrl, additionalInfo }) {
+  const scenarioNames = features.flatMap(({ content }) => featureScenarios(content).scenarios.map(scenario => `- ${scenario.name}`));
+  const listGaps = nodes => nodes.map(node => `- ${node.label} (${node.key})`).join('\n    ') || 'None.';
+
+  return `
+    The BDD scenarios below already exist for the ${componentName} component, but no scenario exercises the UI elements, navigations and API calls listed under "Uncovered". Write additional scenarios in Gherkin format that cover them.
+    - Target only the uncovered elements, navigations and API calls; do not repeat the existing scenarios.
+    - Mention every element you interact with by its label or visible text with a generic word (e.g., "the 'Sign up' link", "the username field").
+    - To cover a navigation, end on the target page and name it or its URL in a Then step (e.g., "Then I should be on the signup page at ${baseUrl}/signup").
+    - To cover an API call, perform the interaction that triggers it and check its outcome.
+    - Use the complete URL in Given steps by combining the base URL and route from the context.
+    - Return a single Feature titled like the existing one and containing only the new scenarios; keep its Background if it has one.
+    - Every scenario needs a name, must start with a Given or When step and must contain a Then step.
+    - Do not include implementation details, automation code or markdown fences—output raw Gherkin text only.
+
+    **Existing Scenarios:**
+    ${scenarioNames.join('\n    ') || 'None.'}
+
+    **Existing Feature Example:**
+    ${features[0]?.content || 'None.'}
+
+    **Uncovered Elements:**
+    ${listGaps(gaps.element)}
+
+    **Uncovered Navigations:**
+    ${listGaps(gaps.navigation)}
+
+    **Uncovered API Calls:**
+    ${listGaps(gaps.api)}
+
+    **Combined Knowledge Graph Context for Component:**
+    ${componentContext}
+
+    **Base URL:**
+    ${baseUrl}
+
+    **Additional Info:**
+    ${additionalInfo}
+  `;
+}
+
+export { coverageGaps, gapCount, coveredKeys, buildGapPrompt };
@@ -3,23 +3,36 @@ import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 const fs = require('fs').promises;
 const path = require('path');
-const { parse } = require('@babel/parser');
-const traverse = require('@babel/traverse').default;
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { pipeline } = require('@xenova/transformers');
 const dotenv = require('dotenv');
 import { fileURLToPath } from 'url';
-const pdfParse = require('pdf-parse');
 const minimist = require('minimist');
-
-// Load environment variables from .env file
+import { createLLMProvider, resolveLLMOptions } from './llm-providers.js';
+import { parseGherkin, validateGherkin } from './gherkin-validator.js';
+import { watchPaths } from './watch-mode.js';
+import { createApiServer } from './api-server.js';
+import { buildBackendKnowledgeGraph, linkBackendToCodeGraph } from './spring-backend.js';
+import { discoverComponents, findComponent, featurePrefix } from './component-discovery.js';
+import { generatePlaywrightSpec, describeSelectors } from './playwright-specs.js';
+import { resolveFeatureSelectors, describeStepSelectors } from './selector-resolver.js';
+import { computeComponentCoverage, renderCoverageHtml } from './coverage.js';
+import { coverageGaps, gapCount, coveredKeys, buildGapPrompt } from './gap-filling.js';
+import { dedupeScenarios } from './scenario-dedup.js';
+import { openVectorStore } from './vector-store.js';
+import { createEmbedder, resolveEmbedderName } from './embeddings.js';
+import { readDesignDocument, chunkDocument, extractDesignFacts, buildDesignGraph, mergeDesignDocuments } from './design-ingestion.js';
+import { buildProjectCodeGraph, CODE_GRAPH_VERSION, componentNodeKey, isSourceFile } from './code-graph.js';
+import { detectDrift, driftExceeds, FAIL_ON_LEVELS } from './drift.js';
+import { exportGraph, EXPORT_FORMATS } from './graph-export.js';
+import { diffComponentFeatures, componentGraphChanges, renderDiffMarkdown } from './scenario-diff.js';
+import { loadReviews, saveReviews, reviewState, setReviewState, componentReviews, applyReviews, reviewFeedback } from './review.js';
+import { codeFingerprints, analyseImpact, buildImpactPrompt } from './impact-analysis.js';
+import { gitRoot, gitRange, changedFiles, rangeCommits, renderPullRequestComment } from './git-changes.js';
+import { loadProjectConfig, applyCliSettings, findConfigFile, matchesGlobs, renderPromptTemplate } from './project-config.js';
+
+// Load environment variables from .env file (optional; CI can pass them directly)
 const envConfig = dotenv.config();
 if (envConfig.error) {
-  throw new Error('Failed to load .env file: ' + envConfig.error.message);
-}
-
-if (!process.env.GOOGLE_API_KEY) {
-  throw new Error('GOOGLE_API_KEY is not defined in .env file');
+  console.log('No .env file loaded:', envConfig.error.message);
 }
 
 // Parse command-line arguments
@@ -28,44 +41,128 @@ if (!process.env.GOOGLE_API_KEY) {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const args = minimist(process.argv.slice(2));
-const COMPONENTS_DIR = args.components ? path.resolve(args.components) : path.resolve(__dirname, '../frontend/src/components');
-const DESIGN_PDF_PATH = args.design ? path.resolve(args.design) : null; // Allow null if not provided
-const CACHE_FILE = path.resolve(__dirname, './cache.json');
-const FEATURES_DIR = path.resolve(__dirname, '../tests/features');
-const MEMORY_FILE = path.resolve(__dirname, './memory-history.json');
-const additional_info = args['additional_info'] ? args['additional_info'] : 'Use previous history and context for generating tests and getting test info'; // Custom default
+const USAGE = 'Usage: node generate-bdd.js --components <path> [--src <path>] [--backend <path>] [--design <document> ...] --additional_info "changes" [--provider gemini|openai|fixture] [--embedder transformers|hash] [--model <name>] [--llm-base-url <url>] [--fixtures <dir>] [--record-fixtures <dir>] [--repair-attempts <n>] [--watch] [--watch-debounce <ms>] [--serve] [--host <address>] [--port <n>] [--playwright] [--coverage] [--fill-gaps [--coverage-target <percent>] [--gap-attempts <n>]] [--dedup-threshold <0-1>] [--no-dedup] [--no-impact] [--drift [--drift-fail-on error|warning|none]] [--export [cypher,graphml,dot] [--export-dir <dir>]] [--review | --approve <feature> | --reject <feature> --reason "..." | --accept-proposal <feature>] [--reviewer <name>] [--since <ref> | --diff <range> [--pr-comment <file>]] [--config <file>] [--output <dir>] [--features <dir>] [--cache <file>] [--memory <file>] [--base-url <url>] [--min-positive <n>] [--min-negative <n>]';
+// Project settings from --config or a bdd-generator.config.json/.yaml in the working directory; CLI flags override them
+let config;
+try {
+  config = loadProjectConfig(args.config ? path.resolve(args.config) : findConfigFile(process.cwd()));
+  // BDD_API_PORT sits between the file and --port
+  const portFromEnvironment = args.port === undefined && process.env.BDD_API_PORT !== undefined;
+  applyCliSettings(config, portFromEnvironment ? { ...args, port: Number(process.env.BDD_API_PORT) } : args, portFromEnvironment ? { port: 'BDD_API_PORT' } : {});
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+const OUTPUT_DIR = args.output ? path.resolve(args.output) : config.paths.output || path.resolve(__dirname, '../tests'); // Feature files, specs, selector maps and reports
+const COMPONENTS_DIR = args.components ? path.resolve(args.components) : config.paths.components || path.resolve(__dirname, '../sample_project/frontend/src/components');
+const SRC_DIR = args.src ? path.resolve(args.src) : config.paths.src || path.dirname(COMPONENTS_DIR); // Project root holding App.js and the router
+const BACKEND_DIR = args.backend ? path.resolve(args.backend) : config.paths.backend || null; // Spring Boot sources, e.g. backend/src/main/java
+const DESIGN_PATHS = args.design !== undefined // Markdown, HTML, PDF or text design documents, base spec first; may be empty
+  ? [].concat(args.design).flatMap(value => String(value).split(',')).filter(Boolean).map(value => path.resolve(value))
+  : config.paths.design || [];
+const CACHE_FILE = args.cache ? path.resolve(args.cache) : config.paths.cache || path.resolve(__dirname, './cache.json');
+const FEATURES_DIR = args.features ? path.resolve(args.features) : config.paths.features || path.join(OUTPUT_DIR, 'features');
+const PLAYWRIGHT_DIR = path.join(OUTPUT_DIR, 'playwright');
+const SELECTORS_DIR = path.join(OUTPUT_DIR, 'selectors');
+const COVERAGE_DIR = path.join(OUTPUT_DIR, 'coverage');
+const DEDUP_REPORT_FILE = path.join(OUTPUT_DIR, 'dedup-report.json');
+const DESIGN_CONFLICTS_FILE = path.join(OUTPUT_DIR, 'design-conflicts.json');
+const DRIFT_REPORT_FILE = path.join(OUTPUT_DIR, 'drift-report.json');
+const REVIEWS_FILE = path.join(OUTPUT_DIR, 'reviews.json'); // Review state of each feature file
+const SCENARIO_DIFF_FILE = path.join(OUTPUT_DIR, 'scenario-diff.json'); // Scenario- and step-level changes of the last regeneration
+const IMPACT_REPORT_FILE = path.join(OUTPUT_DIR, 'impact-report.json'); // Code changes behind the last impact-scoped regeneration
+const PROPOSALS_DIR = path.join(OUTPUT_DIR, 'proposals'); // Proposed changes to approved scenarios, as diffs
+const PR_COMMENT_FILE = args['pr-comment'] ? path.resolve(args['pr-comment']) : path.join(OUTPUT_DIR, 'pr-comment.md'); // Summary of a git-aware run
+const EXPORT_DIR = args['export-dir'] ? path.resolve(args['export-dir']) : path.join(OUTPUT_DIR, 'graph');
+const MEMORY_FILE = args.memory ? path.resolve(args.memory) : config.paths.memory || path.resolve(__dirname, './memory-history.json');
+const VECTOR_STORE_DIR = config.paths.vectorStore || path.resolve(__dirname, './vector-store'); // Component, scenario and design chunk embeddings
+const BASE_URL = args['base-url'] || config.baseUrl || null; // Overrides the base URL found in the design documents
+const additional_info = args['additional_info'] ? args['additional_info'] : config.additionalInfo || 'Use previous history and context for generating tests and getting test info'; // Custom default
+const SCENARIO_QUOTAS = { // Positive and negative scenarios a generated feature needs at least
+  minPositive: config.scenarios.minPositive ?? 2,
+  minNegative: config.scenarios.minNegative ?? 2,
+};
+const SIMILAR_CONTEXT_THRESHOLD = config.thresholds.similarContext ?? 0.8; // Similarity above which another component's scenarios go into the prompt
+const DESIGN_FACT_THRESHOLD = config.thresholds.designFact ?? 0.6; // Similarity above which a design section is the landing page or requires login
+const MAX_REPAIR_ATTEMPTS = config.generation.repairAttempts ?? 2; // LLM repair rounds for invalid Gherkin
+const WATCH_MODE = Boolean(args.watch);
+const WATCH_DEBOUNCE_MS = config.watch.debounce ?? 300;
+const SERVE_MODE = Boolean(args.serve);
+const PLAYWRIGHT_MODE = Boolean(args.playwright); // Also turn each feature file into a Playwright spec
+const COVERAGE_MODE = Boolean(args.coverage); // Only report which graph nodes the existing feature files cover
+const FILL_GAPS_MODE = Boolean(args['fill-gaps']); // Add scenarios for uncovered graph nodes to the existing features
+const COVERAGE_TARGET = config.coverage.target ?? 90; // Percent at which gap filling stops
+const GAP_ATTEMPTS = config.coverage.gapAttempts ?? 3; // Gap-filling requests per component
+const DEDUP_ENABLED = args.dedup !== false; // --no-dedup keeps near-duplicate scenarios
+const IMPACT_ANALYSIS = args.impact !== false; // --no-impact regenerates every scenario of a changed component
+const DRIFT_MODE = Boolean(args.drift); // Only compare the design graph with the code graph
+const DRIFT_FAIL_ON = args['drift-fail-on'] || 'error'; // Lowest finding severity that fails the drift command: error, warning or none
+if (!FAIL_ON_LEVELS.includes(DRIFT_FAIL_ON)) {
+  // Checked up front: a typo would otherwise make the drift check pass whatever it finds
+  console.error(`Error: --drift-fail-on must be one of ${FAIL_ON_LEVELS.join(', ')}, not "${DRIFT_FAIL_ON}"`);
+  process.exit(1);
+}
+const EXPORT_MODE = Boolean(args.export); // Only write the merged design and code graphs as Cypher, GraphML and DOT
+const EXPORT_FORMAT_LIST = typeof args.export === 'string' ? args.export.split(',').map(format => format.trim()) : Object.keys(EXPORT_FORMATS); // --export cypher,dot limits the formats
+const unknownFormats = EXPORT_FORMAT_LIST.filter(format => !EXPORT_FORMATS[format]);
+if (EXPORT_MODE && unknownFormats.length > 0) {
+  // Checked before the graphs are built, so no format is written when another one is misspelt
+  console.error(`Error: unknown --export format(s) ${unknownFormats.join(', ')}; expected ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+const GIT_MODE = Boolean(args.since || args.diff); // Regenerate only the components and design documents changed since a ref or in a range
+const REVIEW_MODE = Boolean(args.review || args.approve || args.reject || args['accept-proposal']); // List reviews, or approve/reject a feature file
+const DEDUP_THRESHOLD = config.thresholds.dedup ?? 0.9; // Cosine similarity above which scenarios are duplicates
+let EMBEDDER; // Sentence embedder for similarity search: transformers (downloads its model) or the offline hash embedder
+try {
+  EMBEDDER = resolveEmbedderName(args, process.env, config.model, resolveLLMOptions(args, process.env, config.model).provider);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+const API_PORT = config.api.port ?? 4000;
+const API_HOST = args.host || process.env.BDD_API_HOST || '127.0.0.1'; // The API has no authentication, so it only listens locally unless told otherwise
 
 // Parse test credentials (e.g., --test-credentials "user,pass")
 // const [TEST_USER, TEST_PASSWORD] = (args['test-credentials'] || 'user,pass').split(',').map(s => s.trim());
 
-// Validate provided paths (only if design PDF is provided)
+// Validate provided paths (only if a design document is provided)
 async function validatePaths() {
   try {
     await fs.access(COMPONENTS_DIR);
-    if (DESIGN_PDF_PATH) {
-      await fs.access(DESIGN_PDF_PATH);
+    if (BACKEND_DIR) await fs.access(BACKEND_DIR);
+    if (DESIGN_PATHS.length > 0) {
+      for (const designPath of DESIGN_PATHS) await fs.access(designPath);
     } else {
-      console.log('No design PDF provided; will attempt to use cached design knowledge graph');
+      console.log('No design document provided; will attempt to use cached design knowledge graph');
     }
   } catch (error) {
     console.error('Error: Invalid path provided.');
     console.error(`Components directory: ${COMPONENTS_DIR}`);
-    if (DESIGN_PDF_PATH) console.error(`Design PDF: ${DESIGN_PDF_PATH}`);
-    console.error('Usage: node generate-tests.js --components <path> [--design <pdf-path>] --additional_info "changes"');
+    if (BACKEND_DIR) console.error(`Backend directory: ${BACKEND_DIR}`);
+    DESIGN_PATHS.forEach(designPath => console.error(`Design document: ${designPath}`));
+    console.error(USAGE);
     process.exit(1);
   }
 }
 
-// Initialize Gemini API with gemini-2.0-flash
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+// The LLM provider selected via --provider / LLM_PROVIDER (defaults to Gemini), created on first use so
+// commands that never call the model (coverage, drift, export, review) run without its credentials
+let llmProvider;
+function getLLM() {
+  if (!llmProvider) llmProvider = createLLMProvider(resolveLLMOptions(args, process.env, config.model));
+  return llmProvider;
+}
 
-// Initialize embedding model
+// Initialize the embedder; transformers is only loaded when it is the embedder in use, so commands without
+// embeddings and fixture runs on the hash embedder do not need it or the network
 let embedder;
 async function initializeModels() {
   if (!embedder) {
-    console.log('Initializing embedder...');
-    embedder = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
+    console.log(`Initializing ${EMBEDDER} embedder...`);
+    embedder = await createEmbedder(EMBEDDER);
     console.log('Embedder initialized');
   }
   return { embedder };
@@ -74,8 +171,14 @@ async function initializeModels() {
 // Generate embedding for code or text
 async function generateEmbedding(text) {
   const { embedder } = await initializeModels();
-  const result = await embedder(text, { pooling: 'mean', normalize: true });
-  return Array.from(result.data);
+  return embedder(text);
+}
+
+// Open the persistent vector store once per process
+let vectorStore;
+async function getVectorStore() {
+  if (!vectorStore) vectorStore = await openVectorStore(VECTOR_STORE_DIR, { model: EMBEDDER });
+  return vectorStore;
 }
 
 // Cosine similarity function
@@ -97,16 +200,35 @@ async function loadCache() {
     const cache = JSON.parse(data);
     if (!cache.files) cache.files = {};
     if (!cache.knowledgeGraph) cache.knowledgeGraph = { design: {}, code: {} };
+    // Older caches stored one code graph per file; the project graph replaces them
+    if (!cache.knowledgeGraph.code || !cache.knowledgeGraph.code.graph) cache.knowledgeGraph.code = {};
+    // Older code graphs keyed components by name and unlabelled elements by source offset; they are rebuilt
+    // rather than compared with, so the changed keys are not reported as code changes
+    if (cache.knowledgeGraph.code.version !== CODE_GRAPH_VERSION) cache.knowledgeGraph.code = {};
     if (!cache.tests) cache.tests = {};
+    if (!cache.playwright) cache.playwright = {};
+    // Older caches kept transformers embeddings as JSON arrays; component embeddings move to the vector store
+    const store = await getVectorStore();
+    for (const [componentId, entry] of Object.entries(cache.files)) {
+      if (!entry.embedding) continue;
+      if (!path.isAbsolute(componentId) && EMBEDDER === 'transformers') store.upsert(`component:${componentId}`, entry.embedding, { kind: 'component', componentId, componentName: entry.componentName });
+      delete entry.embedding;
+    }
+    delete cache.scenarioEmbeddings;
+    // Older caches keyed entries by absolute file path; entries are now keyed by component id
+    for (const store of [cache.files, cache.tests]) {
+      Object.keys(store).filter(key => path.isAbsolute(key)).forEach(key => delete store[key]);
+    }
     return cache;
   } catch (error) {
     console.log('Cache not found or invalid, initializing new cache:', error.message);
-    return { files: {}, knowledgeGraph: { design: {}, code: {} }, tests: {} };
+    return { files: {}, knowledgeGraph: { design: {}, code: {} }, tests: {}, playwright: {} };
   }
 }
 
 async function saveCache(cache) {
   await fs.writeFile(CACHE_FILE, JSON.stringify(cache, null, 2));
+  if (vectorStore) await vectorStore.save();
 }
 
 // Load memory history from JSON file
@@ -125,72 +247,37 @@ async function saveMemoryHistory(history) {
   await fs.writeFile(MEMORY_FILE, JSON.stringify(history, null, 2));
 }
 
-// Extract docstring from component code
-async function extractDocstring(code, componentName) {
-  const ast = parse(code, { sourceType: 'module', plugins: ['jsx', 'typescript'] });
-  let docstring = '';
-  traverse(ast, {
-    FunctionDeclaration(path) {
-      if (path.node.id.name === componentName && path.node.leadingComments) {
-        const comment = path.node.leadingComments.find(c => c.type === 'CommentBlock' || c.type === 'CommentLine');
-        if (comment) docstring = comment.value.replace(/\*/g, '').trim();
-      }
-    },
-    VariableDeclaration(path) {
-      if (path.node.declarations[0]?.id.name === componentName && path.node.leadingComments) {
-        const comment = path.node.leadingComments.find(c => c.type === 'CommentBlock' || c.type === 'CommentLine');
-        if (comment) docstring = comment.value.replace(/\*/g, '').trim();
-      }
-    },
+// Retrieve the most similar other component that has generated tests from the vector store
+async function retrieveSimilarContext(currentEmbedding, cache, componentId) {
+  if (!currentEmbedding) return null;
+  const store = await getVectorStore();
+  const [bestMatch] = store.query(currentEmbedding, {
+    k: 1,
+    filter: { kind: 'component', componentId: id => id !== componentId && Boolean(cache.tests[id]) },
+    minScore: SIMILAR_CONTEXT_THRESHOLD,
   });
-  return docstring || 'No docstring provided.';
-}
-
-// Extract React component code
-async function extractComponentCode(code, componentName) {
-  const ast = parse(code, { sourceType: 'module', plugins: ['jsx', 'typescript'] });
-  let componentCode = code;
-  for (const node of ast.program.body) {
-    if (
-      (node.type === 'FunctionDeclaration' && node.id.name === componentName) ||
-      (node.type === 'VariableDeclaration' &&
-        node.declarations[0]?.id.name === componentName &&
-        (node.declarations[0].init.type === 'ArrowFunctionExpression' || node.declarations[0].init.type === 'FunctionExpression'))
-    ) {
-      componentCode = code.slice(node.start, node.end);
-      break;
-    } else if (node.type === 'ExportDefaultDeclaration' && node.declaration.name === componentName) {
-      componentCode = code.slice(node.start, node.end);
-      break;
-    }
-  }
-  return componentCode;
-}
-
-// Retrieve similar context using in-memory cache
-async function retrieveSimilarContext(currentCode, cache, filePath) {
-  const currentEmbedding = await generateEmbedding(currentCode);
-  let bestMatch = null;
-  let highestSimilarity = -1;
-
-  for (const [cachedPath, entry] of Object.entries(cache.files)) {
-    if (entry.embedding) {
-      const similarity = cosineSimilarity(currentEmbedding, entry.embedding);
-      if (similarity > highestSimilarity) {
-        highestSimilarity = similarity;
-        bestMatch = { filePath: cachedPath, code: entry.code, tests: cache.tests[cachedPath], similarity };
-      }
-    }
-  }
 
-  if (highestSimilarity > 0.8) {
-    console.log(`Retrieved similar context from ${bestMatch.filePath} with similarity ${highestSimilarity}`);
-    return bestMatch;
+  if (bestMatch) {
+    const matchedId = bestMatch.metadata.componentId;
+    console.log(`Retrieved similar context from ${matchedId} with similarity ${bestMatch.score}`);
+    return { componentId: matchedId, code: cache.files[matchedId]?.code || '', tests: cache.tests[matchedId], similarity: bestMatch.score };
   }
-  console.log('No sufficiently similar context found for', filePath);
+  console.log('No sufficiently similar context found for', componentId);
   return null;
 }
 
+// Embed the scenario of a feature file, reusing its stored embedding while the scenario is unchanged
+async function embedScenario(text, { fileName, componentName }) {
+  const store = await getVectorStore();
+  const id = `scenario:${fileName}`;
+  const hash = require('crypto').createHash('md5').update(text).digest('hex');
+  const stored = store.get(id);
+  if (stored && stored.metadata.hash === hash) return Array.from(stored.vector);
+  const embedding = await generateEmbedding(text);
+  store.upsert(id, embedding, { kind: 'scenario', featureFile: fileName, componentName, hash });
+  return embedding;
+}
+
 // Clean markdown fences from test code
 function cleanTestCode(testCode) {
   let cleaned = testCode.trim();
@@ -200,374 +287,360 @@ function cleanTestCode(testCode) {
   return cleaned.trim();
 }
 
-// Split Gherkin text into separate feature files
-function splitGherkinIntoFeatures(gherkinText, componentName) {
-  const lines = gherkinText.split('\n');
-  const features = [];
-  let currentFeature = { header: [], scenarios: [] };
-  let currentScenario = null;
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    if (trimmedLine.startsWith('Feature:')) {
-      if (currentFeature.scenarios.length > 0) {
-        features.push(currentFeature);
-        currentFeature = { header: [], scenarios: [] };
-      }
-      currentFeature.header.push(line);
-    } else if (trimmedLine.startsWith('Scenario:')) {
-      if (currentScenario) {
-        currentFeature.scenarios.push(currentScenario);
-      }
-      currentScenario = [line];
-    } else if (currentScenario) {
-      currentScenario.push(line);
-    } else {
-      currentFeature.header.push(line);
-    }
-  }
-  if (currentScenario) {
-    currentFeature.scenarios.push(currentScenario);
-  }
-  if (currentFeature.header.length > 0 || currentFeature.scenarios.length > 0) {
-    features.push(currentFeature);
-  }
+// Build a prompt asking the model to fix Gherkin that failed validation
+function buildRepairPrompt(testCode, errors, requirement = `Keep a single Feature with at least ${SCENARIO_QUOTAS.minPositive} positive scenarios (successful cases) and ${SCENARIO_QUOTAS.minNegative} negative scenarios (failure cases).`) {
+  return `
+    The following Gherkin failed validation. Fix every listed problem and return the complete corrected feature.
+    - ${requirement}
+    - Every scenario needs a name, must start with a Given or When step and must contain a Then step.
+    - Every step must start with Given, When, Then, And or But.
+    - Do not include markdown fences or explanations—output raw Gherkin text only.
 
-  const featureFiles = [];
-  features.forEach(feature => {
-    feature.scenarios.forEach((scenario, index) => {
-      const scenarioName = scenario[0].trim().replace('Scenario:', '').trim().toLowerCase().replace(/\s+/g, '-');
-      const fileName = `${componentName.toLowerCase()}-${scenarioName}.feature`;
-      const content = [...feature.header, '', ...scenario].join('\n');
-      featureFiles.push({ fileName, content });
-    });
-  });
+    **Validation Errors:**
+    ${errors.map(error => `- ${error}`).join('\n    ')}
 
-  return featureFiles;
+    **Gherkin To Repair:**
+    ${testCode}
+  `;
 }
 
-// Chunk PDF text into sections
-function chunkPdfText(text) {
-  const chunks = [];
-  const lines = text.split('\n');
-  let currentChunk = [];
-  for (const line of lines) {
-    if (line.match(/^\d+\.\s/) || line.match(/^\d+\.\d+\s/)) {
-      if (currentChunk.length > 0) {
-        chunks.push(currentChunk.join(' '));
-        currentChunk = [];
-      }
-    }
-    currentChunk.push(line.trim());
-  }
-  if (currentChunk.length > 0) {
-    chunks.push(currentChunk.join(' '));
+// Split Gherkin text into separate feature files, one per scenario or scenario outline.
+// The feature header and any Background (feature- or rule-level) are copied into every file;
+// tags stay with the block that follows them and outlines keep their Examples tables.
+// reservedNames lists file names already in use, which get a numeric suffix instead.
+function splitGherkinIntoFeatures(gherkinText, filePrefix, reservedNames = []) {
+  const { document, errors } = parseGherkin(gherkinText);
+  if (!document || !document.feature) {
+    throw new Error(`Cannot split Gherkin for ${filePrefix}: ${errors.length > 0 ? errors.join('; ') : 'no Feature found'}`);
   }
-  return chunks;
-}
 
-// Extract entities and relationships from PDF chunks
-async function extractEntitiesAndRelations(chunk) {
-  const entities = { components: [], routes: [], apis: [], actions: [], credentials: null, baseUrl: null };
-  const relations = [];
-
-  const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
-
-  const queries = {
-    landingPage: "is the first page",
-    navigation: "navigates-to",
-    requiresLogin: "requires login",
-    route: "at ",
-    api: "API:",
+  const lines = gherkinText.split('\n');
+  // First line of a node, including its tags and the comment lines directly above them
+  const startLine = node => {
+    let line = Math.min(node.location.line, ...(node.tags || []).map(tag => tag.location.line));
+    while (line > 1 && /^\s*#/.test(lines[line - 2]) && !/^\s*#\s*language:/.test(lines[line - 2])) line--;
+    return line;
+  };
+  const childNode = child => child.background || child.scenario || child.rule;
+  const trimBlock = block => {
+    const trimmed = [...block];
+    while (trimmed.length > 0 && trimmed[trimmed.length - 1].trim() === '') trimmed.pop();
+    return trimmed;
+  };
+  // Lines of children[index], up to where the next child (or its tags) begins
+  const blockLines = (children, index, endLine) => {
+    const nextStart = index + 1 < children.length ? startLine(childNode(children[index + 1])) - 1 : endLine;
+    return trimBlock(lines.slice(startLine(childNode(children[index])) - 1, nextStart));
+  };
+  // Header lines of a feature or rule, up to its first child
+  const headerLines = (node, fromLine, endLine) => {
+    const firstChild = node.children[0];
+    return trimBlock(lines.slice(fromLine - 1, firstChild ? startLine(childNode(firstChild)) - 1 : endLine));
   };
 
-  const chunkEmbedding = await generateEmbedding(chunk);
-
-  const componentRegex = /([A-Z][a-zA-Z]+)\s+Page/gi;
-  let match;
-  while ((match = componentRegex.exec(chunk)) !== null) {
-    const componentName = match[1];
-    if (!entities.components.includes(componentName) && componentName !== "first" && componentName !== "other") {
-      entities.components.push(componentName);
-    }
-  }
-
-  for (const component of entities.components) {
-    const componentContext = chunk.toLowerCase().includes(component.toLowerCase()) ? chunk : '';
-
-    if (componentContext) {
-      const landingEmbedding = await generateEmbedding(queries.landingPage);
-      if (cosineSimilarity(chunkEmbedding, landingEmbedding) > 0.6) {
-        console.log(`Detected ${component} as landing page in chunk: ${chunk}`);
-      }
-
-      const navEmbedding = await generateEmbedding(queries.navigation);
-      if (cosineSimilarity(chunkEmbedding, navEmbedding) > 0.6) {
-        const navMatches = [...chunk.matchAll(/navigates-to\s+([A-Za-z]+)\s+with\s+button\s+data-testid="([^"]+)"/gi)];
-        for (const navMatch of navMatches) {
-          const targetComponent = capitalize(navMatch[1]);
-          const navigationId = navMatch[2];
-          if (!entities.components.includes(targetComponent)) {
-            entities.components.push(targetComponent);
-          }
-          relations.push({ from: component, to: targetComponent, relation: 'navigates-to', navigationId });
-          console.log(`Detected navigation: ${component} -> ${targetComponent} with ${navigationId}`);
-        }
-      }
-
-      const reqEmbedding = await generateEmbedding(queries.requiresLogin);
-      if (cosineSimilarity(chunkEmbedding, reqEmbedding) > 0.6 || chunk.match(/Requires:\s*Login/i)) {
-        relations.push({ from: component, to: 'Login', relation: 'requires' });
+  const scenarioBlocks = [];
+  const collect = (children, endLine, context) => {
+    let background = [];
+    children.forEach((child, index) => {
+      const block = blockLines(children, index, endLine);
+      if (child.background) {
+        background = block;
+      } else if (child.scenario) {
+        scenarioBlocks.push({ name: child.scenario.name, lines: [...context, ...(background.length > 0 ? [...background, ''] : []), ...block] });
+      } else if (child.rule) {
+        const ruleEnd = index + 1 < children.length ? startLine(childNode(children[index + 1])) - 1 : endLine;
+        const ruleHeader = headerLines(child.rule, startLine(child.rule), ruleEnd);
+        collect(child.rule.children, ruleEnd, [...context, ...(background.length > 0 ? [...background, ''] : []), ...ruleHeader, '']);
       }
+    });
+  };
 
-      const routeMatch = chunk.match(/Route:\s*[A-Za-z]+\s+at\s+([\/][a-z\/]*)/i);
-      if (routeMatch) {
-        entities.routes.push(routeMatch[1]);
-        relations.push({ from: component, to: routeMatch[1], relation: 'at-route' });
-      }
+  const feature = document.feature;
+  const header = headerLines(feature, 1, lines.length);
+  collect(feature.children, lines.length, []);
 
-      const apiEmbedding = await generateEmbedding(queries.api);
-      if (cosineSimilarity(chunkEmbedding, apiEmbedding) > 0.6) {
-        const apiMatch = chunk.match(/(GET|POST|PUT|DELETE)?\s*\/api\/[a-z\/<>-]+/i);
-        if (apiMatch) {
-          const apiPath = apiMatch[0].trim();
-          entities.apis.push(apiPath);
-          relations.push({ from: component, to: apiPath, relation: 'uses' });
-        }
-      }
+  const featureFiles = [];
+  const usedNames = new Set(reservedNames);
+  for (const scenario of scenarioBlocks) {
+    const scenarioName = scenario.name.trim().toLowerCase().replace(/[\\/:*?"<>|']/g, '').replace(/\s+/g, '-');
+    let fileName = `${filePrefix}-${scenarioName}.feature`;
+    for (let suffix = 2; usedNames.has(fileName); suffix++) {
+      fileName = `${filePrefix}-${scenarioName}-${suffix}.feature`;
     }
+    usedNames.add(fileName);
+    const content = [...header, '', ...scenario.lines].join('\n');
+    featureFiles.push({ fileName, content });
   }
 
-  const credentialsMatch = chunk.match(/username "([^"]+)" and password "([^"]+)"/);
-  if (credentialsMatch && entities.components.length > 0) {
-    entities.credentials = { username: credentialsMatch[1], password: credentialsMatch[2] };
-  }
-
-  const baseUrlMatch = chunk.match(/Base URL: (http:\/\/localhost:[0-9]+)/i);
-  if (baseUrlMatch) entities.baseUrl = baseUrlMatch[1];
-
-  return { entities, relations };
+  return featureFiles;
 }
 
-// Build design knowledge graph from PDF
-async function buildDesignKnowledgeGraph(pdfPath, cache) {
-  const pdfBuffer = await fs.readFile(pdfPath);
-  const fullText = (await pdfParse(pdfBuffer)).text;
-  const pdfHash = require('crypto').createHash('md5').update(fullText).digest('hex');
-  if (cache.knowledgeGraph.design[pdfPath] && cache.knowledgeGraph.design[pdfPath].hash === pdfHash) {
+// Build the design knowledge graph from a design document (Markdown, HTML, PDF or text). The
+// document is chunked by its headings, the chunks are indexed in the vector store, and pages,
+// routes, navigations, APIs, preconditions and test data are extracted with a confidence each.
+async function buildDesignKnowledgeGraph(designPath, cache) {
+  const document = await readDesignDocument(designPath);
+  const designHash = require('crypto').createHash('md5').update(document.text).digest('hex');
+  if (cache.knowledgeGraph.design[designPath] && cache.knowledgeGraph.design[designPath].hash === designHash) {
     console.log('Using cached design knowledge graph');
-    return cache.knowledgeGraph.design[pdfPath].graph;
+    return cache.knowledgeGraph.design[designPath].graph;
   }
 
-  console.log('Building design knowledge graph with semantic search...');
-  const chunks = chunkPdfText(fullText);
-  const graph = { nodes: {}, edges: [], baseUrl: null };
+  console.log(`Building design knowledge graph from ${document.format} document...`);
+  const chunks = chunkDocument(document);
+  const facts = extractDesignFacts(chunks, designPath);
 
+  // Index the chunks so prompts can retrieve the design text relevant to a component
+  const store = await getVectorStore();
+  store.removeWhere({ kind: 'design-chunk', source: designPath });
+  const chunkEmbeddings = [];
   for (const chunk of chunks) {
-    // console.log('Processing chunk:', chunk);
-    const { entities, relations } = await extractEntitiesAndRelations(chunk);
-
-    for (const component of entities.components) {
-      graph.nodes[component] = graph.nodes[component] || { type: 'component' };
-      if (entities.credentials && cosineSimilarity(await generateEmbedding(chunk), await generateEmbedding("is the first page")) > 0.6) {
-        graph.nodes[component].credentials = entities.credentials;
-        graph.nodes[component].isLandingPage = true;
-      }
-    }
-
-    entities.routes.forEach(route => {
-      graph.nodes[route] = { type: 'route' };
-    });
-
-    entities.apis.forEach(api => {
-      const method = api.match(/(GET|POST|PUT|DELETE)/i)?.[0] || 'GET';
-      graph.nodes[api] = { type: 'api', method };
-    });
-
-    entities.actions.forEach(action => {
-      graph.nodes[action] = { type: 'action' };
-    });
-
-    if (entities.baseUrl && !graph.baseUrl) {
-      graph.baseUrl = entities.baseUrl;
-    }
-
-    relations.forEach(rel => {
-      if (rel.relation === 'at-route') {
-        graph.nodes[rel.from].route = rel.to;
-      } else if (rel.relation === 'requires') {
-        graph.nodes[rel.from].requiresLogin = true;
-      }
-      graph.edges.push(rel);
+    chunkEmbeddings[chunk.index] = await generateEmbedding(chunk.text);
+    store.upsert(`design:${designPath}#${chunk.index}`, chunkEmbeddings[chunk.index], {
+      kind: 'design-chunk', source: designPath, chunk: chunk.index, section: chunk.title, page: chunk.page, text: chunk.text,
     });
   }
 
-  const landingQueryEmbedding = await generateEmbedding("is the first page");
-  let landingPageSet = false;
-  for (const node of Object.keys(graph.nodes)) {
-    if (graph.nodes[node].type === 'component') {
-      const nodeContext = fullText.toLowerCase().includes(node.toLowerCase()) ? fullText : '';
-      if (nodeContext && (cosineSimilarity(await generateEmbedding(nodeContext), landingQueryEmbedding) > 0.6 || nodeContext.includes(`${node.toLowerCase()} at /`))) {
-        graph.nodes[node].isLandingPage = true;
-        landingPageSet = true;
-        console.log(`Identified ${node} as landing page via semantic search or route /`);
-      }
+  // Page sections that read like the landing page or a page behind login, even without the usual phrases
+  const landingEmbedding = await generateEmbedding('is the first page');
+  const loginEmbedding = await generateEmbedding('requires login');
+  for (const pageFact of facts.filter(fact => fact.type === 'page')) {
+    const { chunk: chunkIndex } = pageFact.source;
+    const landingSimilarity = cosineSimilarity(chunkEmbeddings[chunkIndex], landingEmbedding);
+    if (landingSimilarity > DESIGN_FACT_THRESHOLD) {
+      facts.push({ ...pageFact, type: 'landing-page', value: {}, confidence: Math.round(landingSimilarity * 100) / 100, evidence: 'semantically similar to "is the first page"' });
+    }
+    const loginSimilarity = cosineSimilarity(chunkEmbeddings[chunkIndex], loginEmbedding);
+    if (loginSimilarity > DESIGN_FACT_THRESHOLD && !/^(login|signin)$/i.test(pageFact.subject)) {
+      facts.push({ ...pageFact, type: 'precondition', value: { requires: 'Login' }, confidence: Math.round(loginSimilarity * 100) / 100, evidence: 'semantically similar to "requires login"' });
     }
   }
 
-  if (!landingPageSet && graph.nodes['Login']) {
-    graph.nodes['Login'].isLandingPage = true;
-    console.log('No landing page detected; defaulting to Login');
+  const graph = buildDesignGraph(facts);
+  for (const fact of graph.facts.filter(fact => fact.confidence < DESIGN_FACT_THRESHOLD)) {
+    console.log(`Low-confidence design fact (${fact.confidence}): ${fact.type} ${fact.subject || ''} ${JSON.stringify(fact.value)}`);
   }
-
-  // console.log('Graph nodes:', JSON.stringify(graph.nodes, null, 2));
-  // console.log('Graph edges:', JSON.stringify(graph.edges, null, 2));
+  console.log(`Extracted ${graph.facts.length} design facts from ${chunks.length} chunks`);
   console.log('Base URL:', graph.baseUrl);
 
-  cache.knowledgeGraph.design[pdfPath] = { hash: pdfHash, graph };
+  cache.knowledgeGraph.design[designPath] = { hash: designHash, graph };
   await saveCache(cache);
   return graph;
 }
 
-// Build enhanced code knowledge graph from component code
-async function buildCodeKnowledgeGraph(filePath, code, componentName, cache) {
-  const codeHash = require('crypto').createHash('md5').update(code).digest('hex');
-  if (cache.knowledgeGraph.code[filePath] && cache.knowledgeGraph.code[filePath].hash === codeHash) {
-    console.log(`Using cached code knowledge graph for ${filePath}`);
-    return cache.knowledgeGraph.code[filePath].graph;
+// Build the graph of every design document and merge them in the order given, so a change document
+// listed after the base spec overrides it. Without --design the documents of the previous run are
+// reused from the cache; designPaths can name them to rebuild changed ones. Points on which the documents disagree are logged and written to
+// DESIGN_CONFLICTS_FILE. Returns null when there is no design graph at all.
+async function resolveDesignGraph(cache, designPaths = DESIGN_PATHS) {
+  const designCache = cache.knowledgeGraph.design;
+  const documents = [];
+  if (designPaths.length > 0) {
+    for (const designPath of designPaths) {
+      console.log(`Building design knowledge graph from ${designPath}`);
+      documents.push({ document: designPath, graph: await buildDesignKnowledgeGraph(designPath, cache) });
+    }
+    cache.knowledgeGraph.designDocuments = designPaths;
+    await saveCache(cache);
+  } else {
+    const previous = (cache.knowledgeGraph.designDocuments || Object.keys(designCache)).filter(designPath => designCache[designPath]);
+    previous.forEach(designPath => documents.push({ document: designPath, graph: designCache[designPath].graph }));
+    if (documents.length === 0) return null;
+    console.log(`Using cached design knowledge graph of ${previous.join(', ')}`);
   }
 
-  console.log(`Building code knowledge graph for ${componentName}`);
-  const graph = { nodes: {}, edges: [], baseUrl: null };
+  const { graph, conflicts } = mergeDesignDocuments(documents);
+  for (const conflict of conflicts) console.warn(`Design conflict (${conflict.kind}): ${conflict.message}`);
+  await fs.mkdir(path.dirname(DESIGN_CONFLICTS_FILE), { recursive: true });
+  await fs.writeFile(DESIGN_CONFLICTS_FILE, JSON.stringify({ generatedAt: new Date().toISOString(), documents: graph.documents, conflicts }, null, 2));
+  if (conflicts.length > 0) console.warn(`${conflicts.length} design conflict(s); see ${DESIGN_CONFLICTS_FILE}`);
+  return graph;
+}
 
-  const ast = parse(code, { sourceType: 'module', plugins: ['jsx', 'typescript'] });
-  graph.nodes[componentName] = { type: 'component' };
+// Build the project code graph, linked to the backend endpoints when --backend is given
+async function buildCodeGraph(cache) {
+  const codeGraph = await buildProjectCodeGraph(SRC_DIR, cache);
+  if (!BACKEND_DIR) return codeGraph;
+  const backendGraph = await buildBackendKnowledgeGraph(BACKEND_DIR, cache);
+  return linkBackendToCodeGraph(codeGraph, backendGraph);
+}
 
-  traverse(ast, {
-    JSXElement(path) {
-      const elementName = path.node.openingElement.name.name.toLowerCase();
-      if (['button', 'input', 'form'].includes(elementName)) {
-        const text = path.node.children.find(child => child.type === 'JSXText')?.value?.trim();
-        const id = path.node.openingElement.attributes.find(attr => attr.name.name === 'id')?.value?.value;
-        const onClick = path.node.openingElement.attributes.find(attr => attr.name.name === 'onClick');
-        const key = text || id || `${elementName}-${path.node.start}`;
-        graph.nodes[key] = { type: 'element', tag: elementName, text };
-        graph.edges.push({ from: componentName, to: key, relation: 'contains' });
-        if (onClick) graph.nodes[key].hasAction = true;
-      }
-    },
-    CallExpression(path) {
-      if (path.node.callee.name === 'navigate' || (path.node.callee.property && path.node.callee.property.name === 'push')) {
-        const route = path.node.arguments[0]?.value;
-        if (route) {
-          graph.nodes[route] = { type: 'route' };
-          graph.edges.push({ from: componentName, to: route, relation: 'navigates-to' });
-        }
-      }
-    },
-  });
+// Key of a discovered component's node in the code graph
+function graphKey(component) {
+  return componentNodeKey(SRC_DIR, component.filePath, component.name);
+}
 
-  // console.log(`Code graph for ${componentName}:`, JSON.stringify(graph, null, 2));
-  cache.knowledgeGraph.code[filePath] = { hash: codeHash, graph };
-  await saveCache(cache);
-  return graph;
+// Design pages are keyed by name and code components by id. A page takes the key of the component
+// of that name: componentKey when several components share the name, otherwise the only one.
+function designKeys(designGraph, codeGraph, componentKey) {
+  const byName = {};
+  for (const [key, node] of Object.entries(codeGraph.nodes)) {
+    if (node.type === 'component') (byName[node.name] = byName[node.name] || []).push(key);
+  }
+  const keys = {};
+  for (const [name, node] of Object.entries(designGraph.nodes)) {
+    if (node.type !== 'component' || !byName[name]) continue;
+    if (byName[name].includes(componentKey)) keys[name] = componentKey;
+    else if (byName[name].length === 1) keys[name] = byName[name][0];
+  }
+  return keys;
 }
 
-// Merge design and code knowledge graphs
-function mergeKnowledgeGraphs(designGraph, codeGraph, componentName) {
+// Merge design and code knowledge graphs; nodes with the same key combine, the code's properties winning
+function mergeKnowledgeGraphs(designGraph, codeGraph, componentKey = null) {
+  const keys = designKeys(designGraph, codeGraph, componentKey);
+  const keyOf = key => keys[key] || key;
   const mergedGraph = {
-    nodes: { ...designGraph.nodes, ...codeGraph.nodes },
-    edges: [...designGraph.edges, ...codeGraph.edges],
-    baseUrl: designGraph.baseUrl || codeGraph.baseUrl,
+    nodes: {},
+    edges: [...designGraph.edges.map(edge => ({ ...edge, from: keyOf(edge.from), to: keyOf(edge.to) })), ...codeGraph.edges],
+    baseUrl: BASE_URL || designGraph.baseUrl || codeGraph.baseUrl,
   };
+  for (const [key, node] of Object.entries(designGraph.nodes)) {
+    mergedGraph.nodes[keyOf(key)] = keys[key] ? { ...node, name: key } : node;
+  }
+  for (const [key, node] of Object.entries(codeGraph.nodes)) {
+    mergedGraph.nodes[key] = { ...mergedGraph.nodes[key], ...node };
+  }
+  return mergedGraph;
+}
 
-  for (const node in codeGraph.nodes) {
-    if (designGraph.nodes[node]) {
-      mergedGraph.nodes[node] = { ...designGraph.nodes[node], ...codeGraph.nodes[node] };
+// Describe a component's state, effects, storage access and conditional UI for the prompt
+function describeStateFlow(graph, componentKey) {
+  const lines = [];
+  const outgoing = (from, relation) => graph.edges.filter(edge => edge.from === from && edge.relation === relation);
+  const incoming = (to, relation) => graph.edges.filter(edge => edge.to === to && edge.relation === relation);
+  const label = key => graph.nodes[key]?.name || key;
+
+  for (const { to: stateKey } of outgoing(componentKey, 'has-state')) {
+    const state = graph.nodes[stateKey];
+    const updates = incoming(stateKey, 'sets')
+      .filter(edge => edge.from !== componentKey)
+      .map(edge => `${label(edge.from)} sets ${edge.values.join(' or ') || 'it'}`);
+    lines.push(`State: ${state.name} (initial: ${state.initial ?? 'undefined'}${updates.length > 0 ? `; ${updates.join('; ')}` : ''})`);
+  }
+
+  for (const { to: effectKey } of outgoing(componentKey, 'has-effect')) {
+    const effect = graph.nodes[effectKey];
+    const trigger = effect.dependencies === null ? 'after every render' : effect.dependencies.length === 0 ? 'once on mount' : `when ${effect.dependencies.join(', ')} ${effect.dependencies.length > 1 ? 'change' : 'changes'}`;
+    const runs = outgoing(effectKey, 'runs').map(edge => label(edge.to));
+    const apis = [effectKey, ...runs.map(name => `${componentKey}.${name}`)].flatMap(key => outgoing(key, 'calls').map(edge => edge.to));
+    lines.push(`Effect: runs ${trigger}${runs.length > 0 ? `, calls ${runs.join(', ')}` : ''}${apis.length > 0 ? ` (${[...new Set(apis)].join(', ')})` : ''}`);
+  }
+
+  const handlerKeys = [componentKey, ...outgoing(componentKey, 'defines').map(edge => edge.to), ...outgoing(componentKey, 'has-effect').map(edge => edge.to)];
+  for (const key of handlerKeys) {
+    for (const edge of graph.edges.filter(e => e.from === key && ['reads', 'writes', 'removes'].includes(e.relation))) {
+      const storage = graph.nodes[edge.to];
+      lines.push(`Storage: ${label(key)} ${edge.relation} ${storage.storage} "${storage.key}"`);
     }
   }
 
-  if (mergedGraph.nodes[componentName]) {
-    mergedGraph.nodes[componentName] = {
-      ...mergedGraph.nodes[componentName],
-      ...codeGraph.nodes[componentName],
-    };
+  for (const { to: conditionalKey } of outgoing(componentKey, 'renders-conditionally')) {
+    const conditional = graph.nodes[conditionalKey];
+    if (conditional.kind === 'attribute') {
+      lines.push(`Conditional UI: ${conditional.element} ${conditional.attribute} is "${conditional.outcomes[0]}" when ${conditional.condition}, otherwise "${conditional.outcomes[1]}"`);
+    } else if (conditional.kind === 'list') {
+      lines.push(`Conditional UI: renders one ${conditional.element} item per entry of ${conditional.condition}`);
+    } else {
+      lines.push(`Conditional UI: ${conditional.element} shown when ${conditional.condition}`);
+    }
   }
 
-//   console.log(`Merged graph for ${componentName}:`, JSON.stringify(mergedGraph, null, 2));
-  return mergedGraph;
+  return lines;
+}
+
+// Describe the backend endpoint serving an API node: expected body, error responses and the
+// service conditions behind them, so negative scenarios use the server's real failure paths
+function describeEndpoint(graph, apiKey) {
+  const served = graph.edges.find(edge => edge.from === apiKey && edge.relation === 'served-by');
+  if (!served) return [];
+  const endpoint = graph.nodes[served.to];
+  const lines = [`  Handled by: ${endpoint.controller}.${endpoint.handler}${endpoint.bodyFields.length > 0 ? ` (reads ${endpoint.bodyFields.join(', ')})` : ''}`];
+  for (const response of endpoint.errorResponses) {
+    lines.push(`  Error response: ${response.status ?? 'error'}${response.message ? ` "${response.message}"` : ''}${response.condition ? ` when ${response.condition}` : ''}`);
+  }
+  for (const { to: serviceKey } of graph.edges.filter(edge => edge.from === served.to && edge.relation === 'calls')) {
+    for (const failure of graph.nodes[serviceKey]?.failureConditions || []) {
+      lines.push(`  ${serviceKey} fails (${failure.result}) when ${failure.condition}`);
+    }
+  }
+  for (const response of endpoint.successResponses.filter(r => r.message)) {
+    lines.push(`  Success response: ${response.status} "${response.message}"`);
+  }
+  return lines;
 }
 
 // Get component-specific context from merged graph
-function getComponentContext(mergedGraph, componentName) {
+function getComponentContext(mergedGraph, componentKey) {
   const context = [];
-  const node = mergedGraph.nodes[componentName] || {};
+  const node = mergedGraph.nodes[componentKey] || {};
+  const label = key => mergedGraph.nodes[key]?.name || key;
 
   if (node.type === 'component') {
-    context.push(`Component: ${componentName}`);
+    context.push(`Component: ${node.name}`);
     if (node.isLandingPage) context.push('Is Landing Page: true');
     if (node.route) context.push(`Route: ${node.route}`);
     if (node.requiresLogin) context.push('Requires Login: true');
     if (node.credentials) context.push(`Credentials: ${JSON.stringify(node.credentials)}`);
+    (node.testData || []).forEach(({ field, value }) => context.push(`Test Data: ${field} = ${value}`));
   }
 
   mergedGraph.edges.forEach(edge => {
-    if (edge.from === componentName) {
-      if (edge.relation === 'navigates-to') {
-        context.push(`Navigates to: ${edge.to} with navigationId: ${edge.navigationId || 'N/A'}`);
+    if (edge.from === componentKey) {
+      if (edge.relation === 'navigates-to' && edge.navigationId) {
+        context.push(`Navigates to: ${label(edge.to)} with navigationId: ${edge.navigationId}`);
+      } else if (edge.relation === 'navigates-to') {
+        const trigger = edge.handler ? ` via ${edge.handler}` : edge.via ? ` via ${edge.via} link` : '';
+        context.push(`Navigates to: ${label(edge.to)}${edge.route ? ` at ${edge.route}` : ''}${trigger}`);
       } else if (edge.relation === 'uses') {
-        context.push(`Uses API: ${edge.to}`);
+        const details = [];
+        if (edge.bodyKeys && edge.bodyKeys.length > 0) details.push(`body: ${edge.bodyKeys.join(', ')}`);
+        if (edge.handler) details.push(`called from ${edge.handler}`);
+        context.push(`Uses API: ${edge.to}${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
+        context.push(...describeEndpoint(mergedGraph, edge.to));
       } else if (edge.relation === 'contains') {
         const el = mergedGraph.nodes[edge.to];
-        context.push(`Contains Element: ${edge.to} (${el.tag}${el.hasAction ? ', actionable' : ''})`);
+        context.push(`Contains Element: ${el.text || el.id || edge.to} (${el.tag}${el.hasAction ? ', actionable' : ''})`);
+      } else if (edge.relation === 'renders') {
+        context.push(`Renders Component: ${label(edge.to)}`);
       }
     }
   });
 
+  context.push(...describeStateFlow(mergedGraph, componentKey));
+
   context.push(`Base URL: ${mergedGraph.baseUrl || 'Not specified'}`);
   return context.join('\n');
 }
 
-// Determine test order based on design graph
-function determineTestOrder(componentFiles, designGraph) {
-  const orderedFiles = [];
-  const remainingFiles = [...componentFiles];
+// Determine test order based on design graph: the landing page first, then the components it navigates to
+function determineTestOrder(components, designGraph) {
+  const ordered = [];
+  const remaining = [...components];
+  const take = name => {
+    const index = remaining.findIndex(component => component.name === name);
+    if (index === -1) return false;
+    ordered.push(...remaining.splice(index, 1));
+    return true;
+  };
 
   for (const node in designGraph.nodes) {
-    if (designGraph.nodes[node].type === 'component' && designGraph.nodes[node].isLandingPage) {
-      const fileName = `${node}.js`;
-      const index = remainingFiles.indexOf(fileName);
-      if (index !== -1) {
-        orderedFiles.push(fileName);
-        remainingFiles.splice(index, 1);
-        break;
-      }
-    }
+    if (designGraph.nodes[node].type === 'component' && designGraph.nodes[node].isLandingPage && take(node)) break;
   }
 
-  while (remainingFiles.length > 0) {
-    let added = false;
-    for (const edge of designGraph.edges) {
-      if (edge.relation === 'navigates-to' && orderedFiles.includes(`${edge.from}.js`)) {
-        const targetFile = `${edge.to}.js`;
-        const index = remainingFiles.indexOf(targetFile);
-        if (index !== -1) {
-          orderedFiles.push(targetFile);
-          remainingFiles.splice(index, 1);
-          added = true;
-          break;
-        }
-      }
-    }
+  while (remaining.length > 0) {
+    const added = designGraph.edges.some(edge => edge.relation === 'navigates-to'
+      && ordered.some(component => component.name === edge.from) && take(edge.to));
     if (!added) {
-      orderedFiles.push(remainingFiles.shift());
+      ordered.push(remaining.shift());
     }
   }
 
-  return orderedFiles;
+  return ordered;
 }
 
-async function generateComponentTest(codeSnippet, componentContext, componentName, similarContext, baseUrl, docstring) {
+async function generateComponentTest(codeSnippet, componentContext, component, similarContext, baseUrl, docstring, reviewNotes) {
+  const { id: componentId, name: componentName } = component;
   const contextSection = similarContext 
     ? `
       **Similar Previous BDD Scenarios:**
@@ -584,8 +657,8 @@ async function generateComponentTest(codeSnippet, componentContext, componentNam
     : 'No similar previous code or scenarios found.';
 
   const memoryHistoryStore = await loadMemoryHistory();
-  const memoryHistory = memoryHistoryStore[componentName] || [];
-  console.log(`Loaded memory history for ${componentName}:`, JSON.stringify(memoryHistory, null, 2));
+  const memoryHistory = memoryHistoryStore[componentId] || [];
+  console.log(`Loaded ${memoryHistory.length} memory history entries for ${componentName}`);
 
   const memoryString = memoryHistory.length > 0 
     ? `**Conversation History (Memory Buffer):**\n${memoryHistory.map(entry => 
@@ -600,10 +673,23 @@ async function generateComponentTest(codeSnippet, componentContext, componentNam
       \`\`\``
     : '**Note:** Full code omitted due to length or sufficient docstring; use context and docstring above.';
 
-  const prompt = `
+  // A template from the project config replaces the prompt below; its {{placeholders}} name the sections
+  const prompt = config.prompts.generation ? renderPromptTemplate(config.prompts.generation, {
+    componentName,
+    baseUrl,
+    memory: memoryString,
+    reviewNotes,
+    similarContext: contextSection,
+    componentContext,
+    docstring,
+    additionalInfo: additional_info,
+    code: codeSection,
+    minPositive: SCENARIO_QUOTAS.minPositive,
+    minNegative: SCENARIO_QUOTAS.minNegative,
+  }) : `
     Generate multiple BDD test cases in Gherkin format (using Feature, Scenario, Given, When, Then) for the provided React component. The tests must:
     - Describe the behavior of the component in a human-readable way, focusing on user interactions and expected outcomes.
-    - Include at least two positive scenarios (successful cases) and two negative scenarios (failure cases) under a single Feature.
+    - Include at least ${SCENARIO_QUOTAS.minPositive} positive scenarios (successful cases) and ${SCENARIO_QUOTAS.minNegative} negative scenarios (failure cases) under a single Feature.
     - Use the complete URL in Given steps by combining the base URL and route from the context (e.g., if Base URL is "${baseUrl}" and Route is "/dashboard", use "I am on the dashboard page at ${baseUrl}/dashboard").
     - If the application involves preconditions or specific interactions (e.g., login, data submission):
       - Use the provided "additional_info" to incorporate relevant details into the test steps (e.g., credentials for login, account info for transfers, or minor design changes).
@@ -625,10 +711,14 @@ async function generateComponentTest(codeSnippet, componentContext, componentNam
     - Do not include implementation details or automation code.
     - Do not include markdown fences—output raw Gherkin text only.
     - Ensure proper indentation (2 spaces) and consistent Gherkin syntax.
+    - Scenario Outline with an Examples table may be used for data-driven cases, a Background for steps shared by every scenario, and tags (e.g., @positive, @negative) above scenarios.
     - Use the conversation history below to maintain consistency with previously generated tests.
-
+    - Keep the names and behaviour of the approved scenarios below, and do not generate the rejected ones (or equivalent scenarios) again.
+${(config.prompts.rules || []).map(rule => `    - ${rule}\n`).join('')}
     ${memoryString}
 
+    ${reviewNotes}
+
     ${contextSection}
 
     **Combined Knowledge Graph Context for Component:**
@@ -646,52 +736,208 @@ async function generateComponentTest(codeSnippet, componentContext, componentNam
     ${codeSection}
   `;
 
-  console.log(`Generating BDD tests for ${componentName} with Gemini`);
-  const result = await model.generateContent(prompt);
-  const rawTestCode = result.response.text();
-  const testCode = cleanTestCode(rawTestCode);
+  const llm = getLLM();
+  console.log(`Generating BDD tests for ${componentName} with ${llm.name} (${llm.model})`);
+  const rawTestCode = await llm.generate(prompt, { key: componentName });
+  let testCode = cleanTestCode(rawTestCode);
+
+  // Feed parser errors back to the model for a bounded number of repair attempts
+  let validation = validateGherkin(testCode, SCENARIO_QUOTAS);
+  for (let attempt = 1; !validation.valid && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    console.log(`Gherkin for ${componentName} failed validation, repair attempt ${attempt}/${MAX_REPAIR_ATTEMPTS}:`);
+    validation.errors.forEach(error => console.log(`  - ${error}`));
+    const repaired = await llm.generate(buildRepairPrompt(testCode, validation.errors), { key: componentName });
+    testCode = cleanTestCode(repaired);
+    validation = validateGherkin(testCode, SCENARIO_QUOTAS);
+  }
 
-  // console.log(`Raw Gemini output for ${componentName}:`, JSON.stringify(rawTestCode));
-  // console.log(`Cleaned test code for ${componentName}:`, JSON.stringify(testCode));
+  return { testCode, validation, prompt };
+}
 
-  const updatedHistory = [
-    ...(memoryHistory || []),
+// Remember a full generation for the component's next prompt. Only the scenarios written after
+// deduplication are recorded, so near-duplicates do not pile up in the history.
+async function rememberGeneration(componentId, prompt, featureFiles) {
+  const memoryHistoryStore = await loadMemoryHistory();
+  memoryHistoryStore[componentId] = [
+    ...(memoryHistoryStore[componentId] || []),
     { role: 'Human', content: prompt },
-    { role: 'AI', content: testCode }
+    { role: 'AI', content: featureFiles.map(f => f.content).join('\n') },
   ];
-  memoryHistoryStore[componentName] = updatedHistory;
-  // console.log(`Updated memory history for ${componentName}:`, JSON.stringify(updatedHistory, null, 2));
   await saveMemoryHistory(memoryHistoryStore);
+}
 
-  return testCode;
+// Rewrite the scenarios of a component that its code changes affect and add scenarios for uncovered
+// additions. Only the new scenarios are returned, so the positive/negative quota does not apply.
+async function generateAffectedScenarios(component, impact, features, combinedGraph, reviewNotes) {
+  const { name: componentName, code } = component;
+  const affected = new Set(impact.affected.map(entry => entry.featureFile));
+  const prompt = buildImpactPrompt({
+    componentName,
+    affectedFeatures: features.filter(f => affected.has(f.fileName)),
+    changes: impact.changes,
+    additions: impact.additions,
+    componentContext: getComponentContext(combinedGraph, graphKey(component)),
+    baseUrl: combinedGraph.baseUrl,
+    additionalInfo: additional_info,
+    reviewNotes,
+    codeSnippet: code,
+  });
+  const key = `${componentName}-impact`;
+  const validateScenarios = text => validateGherkin(text, { minPositive: 0, minNegative: 0 });
+  const llm = getLLM();
+  console.log(`Regenerating ${affected.size} affected scenario(s) of ${componentName} with ${llm.name} (${llm.model})`);
+  let testCode = cleanTestCode(await llm.generate(prompt, { key }));
+  let validation = validateScenarios(testCode);
+  for (let attempt = 1; !validation.valid && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    console.log(`Gherkin for ${componentName} failed validation, repair attempt ${attempt}/${MAX_REPAIR_ATTEMPTS}:`);
+    validation.errors.forEach(error => console.log(`  - ${error}`));
+    testCode = cleanTestCode(await llm.generate(buildRepairPrompt(testCode, validation.errors, 'Keep a single Feature containing only the rewritten and new scenarios.'), { key }));
+    validation = validateScenarios(testCode);
+  }
+  return { testCode, validation };
 }
 
 
-async function generateTestsForComponents(componentFiles, designGraph, cache) {
-  const orderedFiles = determineTestOrder(componentFiles, designGraph);
-  console.log('Ordered files before processing:', orderedFiles);
+// Discover the components under COMPONENTS_DIR (nested folders, .js/.jsx/.ts/.tsx) whose files pass
+// the config's include and exclude globs
+async function listComponents() {
+  return (await discoverComponents(COMPONENTS_DIR)).filter(component => matchesGlobs(component.file, config));
+}
 
-  await fs.mkdir(FEATURES_DIR, { recursive: true });
+// Selector map file name for a feature file
+function selectorMapFileName(featureFile) {
+  return featureFile.replace(/\.feature$/, '.selectors.json');
+}
 
-  for (const file of orderedFiles) {
-    const filePath = path.join(COMPONENTS_DIR, file);
+// Resolve the UI elements each step refers to and save one selector map per feature file.
+// Steps referring to an element the component does not have are logged as warnings.
+async function writeSelectorMaps(featureFiles, combinedGraph, component) {
+  await fs.mkdir(SELECTORS_DIR, { recursive: true });
+  const selectorMaps = [];
+  for (const { fileName, content } of featureFiles) {
+    const selectorMap = resolveFeatureSelectors(fileName, content, combinedGraph, graphKey(component));
+    await fs.writeFile(path.join(SELECTORS_DIR, selectorMapFileName(fileName)), JSON.stringify(selectorMap, null, 2));
+    for (const { line, step, reference } of selectorMap.unresolved) {
+      console.warn(`${fileName}:${line} "${step}" refers to "${reference}", which ${component.name} does not have`);
+    }
+    selectorMaps.push(selectorMap);
+  }
+  return selectorMaps;
+}
+
+// Playwright spec and step map file names for a feature file
+function playwrightFileNames(featureFile) {
+  const base = featureFile.replace(/\.feature$/, '');
+  return { specFile: `${base}.spec.js`, stepMapFile: `${base}.steps.json` };
+}
+
+// Remove the Playwright spec and step map generated from a feature file that no longer exists
+async function removePlaywrightSpec(featureFile, cache) {
+  for (const fileName of Object.values(playwrightFileNames(featureFile))) {
+    await fs.rm(path.join(PLAYWRIGHT_DIR, fileName), { force: true });
+  }
+  delete cache.playwright[featureFile];
+}
+
+// Generate a Playwright spec per feature file, with a step map linking each test.step back to its
+// scenario and feature line. Specs are regenerated only when the feature, selectors or base URL change;
+// specs that still fail to parse after the repair attempts are reported and not written.
+async function writePlaywrightSpecs(featureFiles, selectorMaps, combinedGraph, component, cache) {
+  await fs.mkdir(PLAYWRIGHT_DIR, { recursive: true });
+  const baseUrl = combinedGraph.baseUrl || 'http://localhost:3000';
+  const componentKey = graphKey(component);
+  const selectors = describeSelectors(combinedGraph, componentKey).join('\n');
+  const specFiles = [];
+  const invalidSpecs = [];
+
+  for (const [index, { fileName: featureFile, content }] of featureFiles.entries()) {
+    const { specFile, stepMapFile } = playwrightFileNames(featureFile);
+    const stepSelectors = describeStepSelectors(selectorMaps[index]);
+    const hash = require('crypto').createHash('md5').update(`${content}\n${selectors}\n${stepSelectors.join('\n')}\n${baseUrl}`).digest('hex');
+    const specPath = path.join(PLAYWRIGHT_DIR, specFile);
+    const specExists = await fs.access(specPath).then(() => true, () => false);
+    if (cache.playwright[featureFile]?.hash === hash && specExists) {
+      console.log(`Using cached Playwright spec ${specPath}`);
+      specFiles.push(specFile);
+      continue;
+    }
+
+    const { specCode, validation } = await generatePlaywrightSpec({
+      llm: getLLM(),
+      featureFile,
+      featureText: content,
+      graph: combinedGraph,
+      componentKey,
+      baseUrl,
+      stepSelectors,
+      maxRepairAttempts: MAX_REPAIR_ATTEMPTS,
+    });
+    if (!validation.valid) {
+      console.error(`Invalid Playwright spec for ${featureFile}; not written:`);
+      validation.errors.forEach(error => console.error(`  - ${error}`));
+      invalidSpecs.push({ featureFile, errors: validation.errors });
+      continue;
+    }
+
+    await fs.writeFile(specPath, `${specCode}\n`);
+    await fs.writeFile(path.join(PLAYWRIGHT_DIR, stepMapFile), JSON.stringify({ featureFile, specFile, scenarios: validation.stepMap }, null, 2));
+    cache.playwright[featureFile] = { hash, specFile };
+    specFiles.push(specFile);
+    console.log(`Generated Playwright spec saved at ${specPath}`);
+  }
+
+  return { specFiles, invalidSpecs };
+}
+
+// Feature files of every other generated component, for cross-component deduplication
+async function otherComponentFeatures(cache, componentId) {
+  const features = [];
+  for (const [id, entry] of Object.entries(cache.files)) {
+    if (id === componentId) continue;
+    for (const fileName of entry.featureFiles || []) {
+      const content = await readFeatureFile(fileName);
+      if (content !== null) features.push({ fileName, content, componentName: entry.componentName });
+    }
+  }
+  return features;
+}
+
+// forceComponents lists ids to regenerate in full; changedComponents lists ids known to have changed
+// (e.g. from git), which are checked without comparing modification times
+async function generateTestsForComponents(components, designGraph, cache, { force = false, forceComponents = [], changedComponents = [] } = {}) {
+  const orderedComponents = determineTestOrder(components, designGraph);
+  console.log('Ordered components before processing:', orderedComponents.map(component => component.id));
+
+  await fs.mkdir(FEATURES_DIR, { recursive: true });
+  // The code graph of the previous run, to explain why regenerated scenarios changed
+  const previousCodeGraph = cache.knowledgeGraph.code?.graph || null;
+  const codeGraph = await buildCodeGraph(cache);
+  const currentCodeGraph = cache.knowledgeGraph.code.graph;
+  const invalidComponents = [];
+  const invalidSpecs = [];
+  const results = [];
+  const removedScenarios = [];
+  const proposals = [];
+  const scenarioDiffs = [];
+  const impacts = [];
+  let deduplicated = false;
+  const reviews = await loadReviews(REVIEWS_FILE);
+
+  for (const component of orderedComponents) {
+    const { id: componentId, name: componentName, file, filePath, code: currentCode, docstring } = component;
     const stats = await fs.stat(filePath);
     const currentMtime = stats.mtimeMs; // Current modification time in milliseconds
-    const code = await fs.readFile(filePath, 'utf-8');
-    const componentName = path.basename(filePath, path.extname(filePath));
-    const currentCode = await extractComponentCode(code, componentName);
-    const docstring = await extractDocstring(code, componentName);
 
     // Generate embedding for current code (for logging purposes)
     const currentEmbedding = currentCode.trim() ? await generateEmbedding(currentCode) : null; // Null if code is empty
 
-    const fileCache = cache.files[filePath] || { 
+    const fileCache = cache.files[componentId] || { 
       componentName: null, 
-      embedding: null, 
       code: '', 
       mtime: 0 
     };
-    const cachedEmbedding = fileCache.embedding || null;
+    const store = await getVectorStore();
+    const cachedEmbedding = store.get(`component:${componentId}`)?.vector || null;
     const cachedComponentName = fileCache.componentName || '';
     const cachedMtime = fileCache.mtime || 0;
     const cachedCode = fileCache.code || '';
@@ -710,98 +956,846 @@ async function generateTestsForComponents(componentFiles, designGraph, cache) {
     }
 
     let generatedTest;
-    const hasFileChanged = currentMtime > cachedMtime; // Timestamp check
+    let isRegenerated = false;
+    let validation = null;
+    let impact = null;
+    let scoped = false; // Whether only the scenarios affected by the code changes are regenerated
+    let keptFeatures = []; // Unaffected feature files a scoped regeneration leaves as they are
+    let generationPrompt = null; // Prompt of a full generation, remembered with the scenarios kept from it
+    const componentKey = graphKey(component);
+    const combinedGraph = mergeKnowledgeGraphs(designGraph, codeGraph, componentKey);
+    const hasFileChanged = currentMtime > cachedMtime || changedComponents.includes(componentId); // Timestamp check
+    const forced = force || forceComponents.includes(componentId);
     const hasCodeChanged = currentCode !== cachedCode; // Simple string comparison for code change
+    const fingerprints = codeFingerprints(currentCode);
+    // Feature files still on disk; these include scenarios kept by impact-scoped regenerations and gap filling
+    const cachedFeatures = fileCache.featureFiles ? await readComponentFeatures(component, cache) : [];
+    const hasCachedFeatures = cachedFeatures.length > 0 && cachedFeatures.length === fileCache.featureFiles.length;
+    let needsGeneration = forced || (hasFileChanged && (hasCodeChanged || !fileCache.code || cachedComponentName !== componentName));
+
+    // A changed component whose scenarios are on disk only regenerates the scenarios its code changes
+    // affect; a change to formatting or comments regenerates nothing
+    const cachedFingerprints = fileCache.fingerprints || (cachedCode ? codeFingerprints(cachedCode) : null);
+    if (needsGeneration && IMPACT_ANALYSIS && !forced && cachedCode && cachedComponentName === componentName && fingerprints && cachedFingerprints
+      && previousCodeGraph && hasCachedFeatures) {
+      impact = fingerprints.component === cachedFingerprints.component
+        ? { changes: [], affected: [], unaffected: cachedFeatures.map(f => f.fileName), additions: [] }
+        : analyseImpact({ componentKey, oldGraph: previousCodeGraph, newGraph: currentCodeGraph, oldFingerprints: cachedFingerprints, newFingerprints: fingerprints, features: cachedFeatures });
+      impacts.push({ componentId, componentName, ...impact });
+      impact.changes.forEach(change => console.log(`Code change in ${componentName}: ${change.change} ${change.kind} ${change.key}`));
+      impact.affected.forEach(({ featureFile, causes }) => console.log(`- ${featureFile} affected by ${causes.join(', ')}`));
+      if (impact.affected.length === 0 && impact.additions.length === 0) {
+        console.log(`Keeping the scenarios of ${componentName}: ${impact.changes.length === 0 ? 'only formatting or comments changed' : 'no scenario is affected by the code changes'}`);
+        needsGeneration = false;
+        Object.assign(fileCache, { code: currentCode, mtime: currentMtime, fingerprints });
+        if (currentEmbedding) store.upsert(`component:${componentId}`, currentEmbedding, { kind: 'component', componentId, componentName, file });
+      } else if (impact.unaffected.length > 0) {
+        scoped = true;
+        keptFeatures = cachedFeatures.filter(f => impact.unaffected.includes(f.fileName));
+      }
+    }
 
-    if (hasFileChanged && (hasCodeChanged || !fileCache.code || cachedComponentName !== componentName)) {
+    if (needsGeneration) {
       console.log(`Generating new test for ${componentName} due to:`);
-      if (hasFileChanged) console.log(`- File change (mtime: ${currentMtime} vs cached: ${cachedMtime})`);
+      if (forced) console.log(`- Forced regeneration`);
+      if (changedComponents.includes(componentId)) console.log(`- Changed in the git range`);
+      else if (hasFileChanged) console.log(`- File change (mtime: ${currentMtime} vs cached: ${cachedMtime})`);
       if (hasCodeChanged) console.log(`- Code content change`);
       if (!fileCache.code) console.log(`- New file`);
       if (cachedComponentName !== componentName) console.log(`- Rename from ${cachedComponentName} to ${componentName}`);
 
-      // Remove old feature files for this component
-      const existingFeatureFiles = (await fs.readdir(FEATURES_DIR))
-        .filter(f => f.startsWith(`${componentName.toLowerCase()}-`) && f.endsWith('.feature'));
-      for (const oldFile of existingFeatureFiles) {
+      const reviewNotes = reviewFeedback(componentReviews(reviews, componentId));
+      if (scoped) {
+        console.log(`- ${impact.affected.length} affected scenario(s) and ${impact.additions.length} uncovered addition(s); keeping ${keptFeatures.length} unaffected scenario(s)`);
+        ({ testCode: generatedTest, validation } = await generateAffectedScenarios(component, impact, cachedFeatures, combinedGraph, reviewNotes));
+      } else {
+        const similarContext = await retrieveSimilarContext(currentEmbedding, cache, componentId);
+        const componentContext = getComponentContext(combinedGraph, componentKey);
+        ({ testCode: generatedTest, prompt: generationPrompt } = await generateComponentTest(currentCode, componentContext, component, similarContext, combinedGraph.baseUrl, docstring, reviewNotes));
+        validation = generatedTest ? validateGherkin(generatedTest, SCENARIO_QUOTAS) : null;
+      }
+      isRegenerated = true;
+    } else if (hasCachedFeatures) {
+      console.log(`Using cached feature files for ${componentName} (no significant code changes or timestamp unchanged: mtime ${cachedMtime})`);
+    } else {
+      console.log(`Using cached test for ${componentName} (no significant code changes or timestamp unchanged: mtime ${cachedMtime})`);
+      generatedTest = cache.tests[componentId];
+      validation = generatedTest ? validateGherkin(generatedTest, SCENARIO_QUOTAS) : null;
+    }
+
+    if (validation && !validation.valid) {
+      console.error(`Invalid Gherkin for ${componentName}; no feature files written:`);
+      validation.errors.forEach(error => console.error(`  - ${error}`));
+      invalidComponents.push({ componentId, componentName, filePath, errors: validation.errors });
+      results.push({ componentId, componentName, file, status: 'invalid', featureFiles: [] });
+      // Drop the cache entry so the next run regenerates this component
+      delete cache.files[componentId];
+      delete cache.tests[componentId];
+      continue;
+    }
+
+    let featureFiles;
+    if (!isRegenerated && hasCachedFeatures) {
+      featureFiles = cachedFeatures;
+    } else if (!generatedTest || typeof generatedTest !== 'string' || generatedTest.trim() === '') {
+      throw new Error(`Generated test for ${componentName} is invalid or empty`);
+    } else {
+      featureFiles = splitGherkinIntoFeatures(generatedTest, featurePrefix(component), keptFeatures.map(f => f.fileName));
+      if (!isRegenerated && fileCache.featureFiles) {
+        // Scenarios removed as duplicates when the component was generated stay removed
+        featureFiles = featureFiles.filter(f => fileCache.featureFiles.includes(f.fileName));
+      }
+    }
+    // Only unaffected drafts are kept; approved scenarios come back through their reviews
+    keptFeatures = keptFeatures.filter(f => reviewState(reviews, f.fileName) === 'draft');
+
+    // Approved scenarios are kept as approved and regenerated ones only proposed as diffs; scenarios
+    // matching a rejected one are dropped
+    const reviewed = await applyReviews(featureFiles, componentReviews(reviews, componentId), isRegenerated
+      ? { embed: text => generateEmbedding(text), similarity: cosineSimilarity, threshold: DEDUP_THRESHOLD }
+      : { propose: false });
+    featureFiles = reviewed.drafts;
+    for (const { featureFile, scenario, rejected, reason } of reviewed.suppressed) {
+      console.log(`Scenario "${scenario}" (${featureFile}) dropped: matches rejected ${rejected} (${reason})`);
+    }
+    if (isRegenerated) {
+      proposals.push(...reviewed.proposals);
+      // An approved scenario regenerated unchanged drops its old proposal; unaffected ones were not regenerated
+      const unchanged = new Set([...reviewed.proposals.map(proposal => proposal.featureFile), ...(scoped ? impact.unaffected : [])]);
+      for (const { fileName } of reviewed.approved.filter(f => !unchanged.has(f.fileName))) proposals.push({ featureFile: fileName, content: null, diff: null });
+    }
+
+    let removed = [];
+    if (isRegenerated && DEDUP_ENABLED) {
+      ({ kept: featureFiles, removed } = await dedupeScenarios(featureFiles, {
+        componentName,
+        existing: [...await otherComponentFeatures(cache, componentId), ...[...reviewed.approved, ...keptFeatures].map(f => ({ ...f, componentName }))],
+        embed: embedScenario,
+        similarity: cosineSimilarity,
+        threshold: DEDUP_THRESHOLD,
+      }));
+      for (const { scenario, featureFile, action, reason, similarity } of removed) {
+        store.remove(`scenario:${featureFile}`);
+        console.log(`Scenario "${scenario}" (${featureFile}) ${action}: ${reason} (similarity ${similarity})`);
+      }
+      removedScenarios.push(...removed);
+      deduplicated = true;
+    }
+    if (generationPrompt) await rememberGeneration(componentId, generationPrompt, featureFiles);
+    featureFiles = [...reviewed.approved, ...keptFeatures, ...featureFiles];
+
+    let scenarioDiff = null;
+    if (isRegenerated) {
+      // Remove the feature files previously written for this component (by prefix for older caches)
+      const previousFeatureFiles = fileCache.featureFiles || (await fs.readdir(FEATURES_DIR))
+        .filter(f => f.startsWith(`${featurePrefix(component)}-`) && f.endsWith('.feature'));
+      const previousFeatures = [];
+      for (const fileName of previousFeatureFiles) {
+        const content = await readFeatureFile(fileName);
+        if (content !== null) previousFeatures.push({ fileName, content });
+      }
+      scenarioDiff = diffComponentFeatures({ componentKey, before: previousFeatures, after: featureFiles, oldGraph: previousCodeGraph, newGraph: currentCodeGraph });
+      scenarioDiffs.push({ componentId, ...scenarioDiff });
+      const keptNames = new Set(keptFeatures.map(f => f.fileName));
+      for (const oldFile of previousFeatureFiles.filter(f => reviewState(reviews, f) !== 'approved' && !keptNames.has(f))) {
         const oldFilePath = path.join(FEATURES_DIR, oldFile);
-        await fs.unlink(oldFilePath);
+        await fs.rm(oldFilePath, { force: true });
         console.log(`Removed old feature file: ${oldFilePath}`);
+        await fs.rm(path.join(SELECTORS_DIR, selectorMapFileName(oldFile)), { force: true });
+        await removePlaywrightSpec(oldFile, cache);
+        if (!featureFiles.some(f => f.fileName === oldFile)) store.remove(`scenario:${oldFile}`);
       }
 
-      const similarContext = null; // Commented out retrieveSimilarContext
-      const codeGraph = await buildCodeKnowledgeGraph(filePath, code, componentName, cache);
-      const combinedGraph = mergeKnowledgeGraphs(designGraph, codeGraph, componentName);
-      const componentContext = getComponentContext(combinedGraph, componentName);
-      generatedTest = await generateComponentTest(currentCode, componentContext, componentName, similarContext, combinedGraph.baseUrl, docstring);
-      cache.files[filePath] = { 
+      if (currentEmbedding) store.upsert(`component:${componentId}`, currentEmbedding, { kind: 'component', componentId, componentName, file });
+      cache.files[componentId] = { 
         componentName, 
-        embedding: currentEmbedding, 
+        file,
         code: currentCode, 
-        mtime: currentMtime 
+        mtime: currentMtime,
+        fingerprints,
+        featureFiles: featureFiles.map(f => f.fileName),
       };
-      cache.tests[filePath] = generatedTest;
-    } else {
-      console.log(`Using cached test for ${componentName} (no significant code changes or timestamp unchanged: mtime ${cachedMtime})`);
-      generatedTest = cache.tests[filePath];
-    }
-
-    if (!generatedTest || typeof generatedTest !== 'string' || generatedTest.trim() === '') {
-      throw new Error(`Generated test for ${componentName} is invalid or empty`);
+      // The cached Gherkin stays that of the last full generation; scoped ones live in the feature files
+      if (!scoped) cache.tests[componentId] = generatedTest;
     }
 
-    const featureFiles = splitGherkinIntoFeatures(generatedTest, componentName);
     for (const { fileName, content } of featureFiles) {
       const featureFilePath = path.join(FEATURES_DIR, fileName);
       await fs.writeFile(featureFilePath, content);
       console.log(`Generated BDD test saved at ${featureFilePath}`);
     }
+    const selectorMaps = await writeSelectorMaps(featureFiles, combinedGraph, component);
+    const unresolvedSteps = selectorMaps.flatMap(map => map.unresolved.map(entry => ({ featureFile: map.featureFile, ...entry })));
+    const { specFiles, invalidSpecs: componentInvalidSpecs } = PLAYWRIGHT_MODE
+      ? await writePlaywrightSpecs(featureFiles, selectorMaps, combinedGraph, component, cache)
+      : { specFiles: [], invalidSpecs: [] };
+    invalidSpecs.push(...componentInvalidSpecs);
+    results.push({
+      componentId, componentName, file, status: isRegenerated ? 'regenerated' : 'cached', featureFiles: featureFiles.map(f => f.fileName), specFiles, unresolvedSteps, removedScenarios: removed,
+      proposals: reviewed.proposals.map(proposal => proposal.featureFile), suppressedScenarios: reviewed.suppressed,
+      scenarioChanges: scenarioDiff && { added: scenarioDiff.added.length, removed: scenarioDiff.removed.length, modified: scenarioDiff.modified.length },
+      impact: impact && { changes: impact.changes.length, affected: impact.affected.length, scoped },
+    });
+  }
+
+  if (impacts.length > 0) {
+    await fs.writeFile(IMPACT_REPORT_FILE, JSON.stringify({ generatedAt: new Date().toISOString(), components: impacts }, null, 2));
+  }
+
+  if (scenarioDiffs.length > 0) {
+    const report = { generatedAt: new Date().toISOString(), components: scenarioDiffs };
+    await fs.writeFile(SCENARIO_DIFF_FILE, JSON.stringify(report, null, 2));
+    await fs.writeFile(SCENARIO_DIFF_FILE.replace(/\.json$/, '.md'), renderDiffMarkdown(report));
   }
 
+  if (proposals.length > 0) await recordProposals(proposals);
+
+  if (deduplicated) {
+    await fs.writeFile(DEDUP_REPORT_FILE, JSON.stringify({ generatedAt: new Date().toISOString(), threshold: DEDUP_THRESHOLD, removed: removedScenarios }, null, 2));
+  }
   await saveCache(cache);
+  return { invalidComponents, invalidSpecs, results, removedScenarios };
+}
+
+// Store the regenerated versions of approved scenarios as proposals, with a diff per feature file in
+// PROPOSALS_DIR; an approved scenario regenerated unchanged (content null) drops its old proposal.
+// Reviews are re-read first so decisions made while generating are not lost.
+async function recordProposals(proposals) {
+  const reviews = await loadReviews(REVIEWS_FILE);
+  await fs.mkdir(PROPOSALS_DIR, { recursive: true });
+  for (const { featureFile, content, diff } of proposals) {
+    const entry = reviews.scenarios[featureFile];
+    if (!entry || entry.state !== 'approved') continue;
+    const diffPath = path.join(PROPOSALS_DIR, `${featureFile}.diff`);
+    if (content === null) {
+      entry.proposal = null;
+      await fs.rm(diffPath, { force: true });
+      continue;
+    }
+    entry.proposal = { content, diff, proposedAt: new Date().toISOString() };
+    await fs.writeFile(diffPath, diff);
+    console.log(`Approved scenario "${entry.scenario}" (${featureFile}) kept; proposed change written to ${diffPath}`);
+  }
+  await saveReviews(REVIEWS_FILE, reviews);
+}
+
+// Print a one-line summary per component after a watch-triggered run
+function printWatchSummary(trigger, results, startedAt) {
+  const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+  console.log(`[watch] ${trigger} processed in ${seconds}s`);
+  for (const { componentName, status, featureFiles, unresolvedSteps = [], removedScenarios = [], proposals = [], scenarioChanges = null, impact = null } of results) {
+    const detail = status === 'invalid' ? 'invalid Gherkin, feature files left unchanged'
+      : `${featureFiles.length} feature file(s)${removedScenarios.length > 0 ? `, ${removedScenarios.length} duplicate scenario(s) removed` : ''}`
+        + `${scenarioChanges ? ` (+${scenarioChanges.added} -${scenarioChanges.removed} ~${scenarioChanges.modified} scenarios)` : ''}`
+        + `${impact ? `, ${impact.affected} scenario(s) affected by ${impact.changes} code change(s)` : ''}`
+        + `${proposals.length > 0 ? `, ${proposals.length} change(s) proposed to approved scenarios` : ''}`
+        + `${unresolvedSteps.length > 0 ? `, ${unresolvedSteps.length} unresolved element reference(s)` : ''}`;
+    console.log(`[watch]   ${componentName}: ${status}, ${detail}`);
+  }
+}
+
+// Watch the components directory and the design documents, regenerating only what changed.
+// Reuses the embedder, cache and design graph from the initial run.
+function watchForChanges(initialDesignGraph, cache) {
+  let designGraph = initialDesignGraph;
+  const targets = [{ name: 'components', dir: COMPONENTS_DIR, filter: isSourceFile, recursive: true }];
+  // Watch each document's directory so editors that replace the file on save are still picked up
+  for (const dir of new Set(DESIGN_PATHS.map(designPath => path.dirname(designPath)))) {
+    const names = new Set(DESIGN_PATHS.filter(designPath => path.dirname(designPath) === dir).map(designPath => path.basename(designPath)));
+    targets.push({ name: 'design', dir, filter: file => names.has(file) });
+  }
+
+  const watcher = watchPaths(targets, {
+    debounceMs: WATCH_DEBOUNCE_MS,
+    async onChange(target, fileName) {
+      const startedAt = Date.now();
+      if (target.name === 'design') {
+        const updatedGraph = await resolveDesignGraph(cache);
+        if (JSON.stringify(updatedGraph) === JSON.stringify(designGraph)) {
+          console.log(`[watch] ${fileName} saved without content changes; nothing to regenerate`);
+          return;
+        }
+        designGraph = updatedGraph;
+        const { results } = await generateTestsForComponents(await listComponents(), designGraph, cache, { force: true });
+        printWatchSummary(fileName, results, startedAt);
+        return;
+      }
+
+      try {
+        await fs.access(path.join(COMPONENTS_DIR, fileName));
+      } catch (error) {
+        console.log(`[watch] ${fileName} was removed; keeping its feature files`);
+        return;
+      }
+      const changedComponents = (await listComponents()).filter(component => component.file === path.normalize(fileName));
+      if (changedComponents.length === 0) {
+        console.log(`[watch] ${fileName} declares no components; nothing to regenerate`);
+        return;
+      }
+      const { results } = await generateTestsForComponents(changedComponents, designGraph, cache);
+      printWatchSummary(fileName, results, startedAt);
+    },
+  });
+
+  console.log('[watch] Waiting for changes (Ctrl+C to stop)...');
+  process.once('SIGINT', async () => {
+    console.log('[watch] Stopping...');
+    await watcher.close();
+    process.exit(process.exitCode || 0);
+  });
+  return watcher;
+}
+
+// Validate inputs, load models and cache, and resolve the design knowledge graph
+async function prepareGeneration({ loadModels = true } = {}) {
+  console.log('Validating provided paths...');
+  await validatePaths();
+
+  if (loadModels) {
+    console.log('Initializing models...');
+    await initializeModels();
+  }
+
+  console.log('Loading cache...');
+  const cache = await loadCache();
+
+  console.log('Retrieving or building design knowledge graph...');
+  const designGraph = await resolveDesignGraph(cache);
+  if (!designGraph) {
+    console.error('Error: No design document provided and no design knowledge graph found in cache');
+    console.error('Cache state:', JSON.stringify(cache.knowledgeGraph, null, 2));
+    process.exit(1);
+  }
+
+  return { cache, designGraph };
 }
 
 async function generateTests() {
+  try {
+    const { cache, designGraph } = await prepareGeneration();
+
+    console.log('Scanning components directory...');
+    const components = await listComponents();
+
+    console.log(`Generating BDD tests for all ${components.length} components...`);
+    const { invalidComponents, invalidSpecs, results, removedScenarios } = await generateTestsForComponents(components, designGraph, cache);
+    if (removedScenarios.length > 0) {
+      console.log(`${removedScenarios.length} near-duplicate scenario(s) removed; see ${DEDUP_REPORT_FILE}`);
+    }
+    const unresolvedSteps = results.flatMap(result => result.unresolvedSteps || []);
+    if (unresolvedSteps.length > 0) {
+      console.warn(`${unresolvedSteps.length} step(s) refer to elements not found in their component; see ${SELECTORS_DIR}`);
+    }
+    const proposedChanges = results.flatMap(result => result.proposals || []);
+    if (proposedChanges.length > 0) {
+      console.log(`${proposedChanges.length} change(s) proposed to approved scenarios; review the diffs in ${PROPOSALS_DIR}`);
+    }
+    const changedComponents = results.filter(result => result.scenarioChanges);
+    if (changedComponents.length > 0) {
+      console.log(`Scenario changes of ${changedComponents.length} regenerated component(s) written to ${SCENARIO_DIFF_FILE}`);
+    }
+    const analysedComponents = results.filter(result => result.impact);
+    if (analysedComponents.length > 0) {
+      console.log(`Code changes of ${analysedComponents.length} component(s) and the scenarios they affect written to ${IMPACT_REPORT_FILE}`);
+    }
+
+    if (invalidComponents.length > 0) {
+      console.error(`Gherkin validation failed for ${invalidComponents.length} component(s) after ${MAX_REPAIR_ATTEMPTS} repair attempt(s):`);
+      for (const { componentId, errors } of invalidComponents) {
+        console.error(`- ${componentId}: ${errors.length} error(s)`);
+      }
+      process.exitCode = 1;
+    } else {
+      console.log('All BDD tests generated successfully in', FEATURES_DIR);
+    }
+
+    if (invalidSpecs.length > 0) {
+      console.error(`Playwright spec validation failed for ${invalidSpecs.length} feature file(s) after ${MAX_REPAIR_ATTEMPTS} repair attempt(s):`);
+      for (const { featureFile, errors } of invalidSpecs) {
+        console.error(`- ${featureFile}: ${errors.length} error(s)`);
+      }
+      process.exitCode = 1;
+    } else if (PLAYWRIGHT_MODE) {
+      console.log('Playwright specs generated in', PLAYWRIGHT_DIR);
+    }
+
+    if (WATCH_MODE) {
+      watchForChanges(designGraph, cache);
+    }
+  } catch (error) {
+    console.error('Error in test generation:', error);
+    process.exit(1);
+  }
+}
+
+// Regenerate only what changed in a git range (--since <ref> or --diff <range>) instead of relying on
+// modification times, which a fresh clone resets: components whose file changed or whose code graph
+// another changed source (e.g. the router) altered, and components whose design context a changed
+// design document altered. A summary for a pull request comment is written to PR_COMMENT_FILE.
+async function generateForGitChanges() {
   try {
     console.log('Validating provided paths...');
     await validatePaths();
+    const root = await gitRoot(COMPONENTS_DIR);
+    const range = gitRange({ since: args.since, diff: args.diff });
+    const changes = await changedFiles(root, range);
+    const commits = await rangeCommits(root, range);
+    console.log(`${changes.length} file(s) and ${commits.length} commit(s) changed from ${range.label}`);
+    const changedPaths = new Set(changes.filter(change => change.status !== 'deleted').map(change => change.path));
+    const removedPaths = new Set(changes.flatMap(change => (change.status === 'deleted' ? [change.path] : change.status === 'renamed' ? [change.previousPath] : [])));
 
     console.log('Initializing models...');
     await initializeModels();
-
-    console.log('Loading cache...');
     const cache = await loadCache();
-
-    console.log('Retrieving or building design knowledge graph...');
-    let designGraph;
-    const designCache = cache.knowledgeGraph.design || {};
-    const cachedDesignGraph = DESIGN_PDF_PATH ? designCache[DESIGN_PDF_PATH]?.graph : Object.values(designCache)[0]?.graph; // Use first available if no PDF
-
-    if (DESIGN_PDF_PATH) {
-      console.log(`Building design knowledge graph from ${DESIGN_PDF_PATH}`);
-      designGraph = await buildDesignKnowledgeGraph(DESIGN_PDF_PATH, cache);
-    } else if (cachedDesignGraph) {
-      console.log('Using cached design knowledge graph');
-      designGraph = cachedDesignGraph;
-    } else {
-      console.error('Error: No design PDF provided and no design knowledge graph found in cache');
-      console.error('Cache state:', JSON.stringify(cache.knowledgeGraph, null, 2));
+    const components = await listComponents();
+
+    // Design documents are those given with --design or used by the previous run; changed ones are
+    // rebuilt and the merged graph compared with the previous one
+    const designCache = cache.knowledgeGraph.design;
+    const previousDocuments = (cache.knowledgeGraph.designDocuments || Object.keys(designCache)).filter(designPath => designCache[designPath]);
+    const designPaths = DESIGN_PATHS.length > 0 ? DESIGN_PATHS : previousDocuments;
+    const changedDocuments = designPaths.filter(designPath => changedPaths.has(path.resolve(designPath)));
+    const previousDesignGraph = previousDocuments.length > 0
+      ? mergeDesignDocuments(previousDocuments.map(document => ({ document, graph: designCache[document].graph }))).graph
+      : null;
+    const designGraph = await resolveDesignGraph(cache, changedDocuments.length > 0 ? designPaths : DESIGN_PATHS);
+    if (!designGraph) {
+      console.error('Error: No design document provided and no design knowledge graph found in cache');
       process.exit(1);
     }
 
-    console.log('Scanning components directory...');
-    const componentFiles = (await fs.readdir(COMPONENTS_DIR)).filter(file => 
-      file.endsWith('.js') || file.endsWith('.jsx')
-    );
+    // Changed sources other than component files are compared through the code graph, built here on
+    // a scratch cache so the run still sees the previous graph
+    const previousCodeGraph = cache.knowledgeGraph.code?.graph || null;
+    const componentFiles = new Set(components.map(component => component.filePath));
+    const otherSourceChanged = changes.some(change => !componentFiles.has(change.path) && isSourceFile(change.path) && change.path.startsWith(`${SRC_DIR}${path.sep}`));
+    const codeGraph = otherSourceChanged && previousCodeGraph ? await buildProjectCodeGraph(SRC_DIR, { knowledgeGraph: { code: {} } }) : null;
+    const designContext = (graph, component) => getComponentContext(mergeKnowledgeGraphs(graph, previousCodeGraph || { nodes: {}, edges: [] }, graphKey(component)), graphKey(component));
+
+    const codeChanged = components.filter(component => changedPaths.has(component.filePath)
+      || (codeGraph && componentGraphChanges(previousCodeGraph, codeGraph, graphKey(component)).length > 0));
+    const designChanged = changedDocuments.length === 0 ? []
+      : components.filter(component => !previousDesignGraph || designContext(previousDesignGraph, component) !== designContext(designGraph, component));
+    const selected = components.filter(component => codeChanged.includes(component) || designChanged.includes(component));
+    const trigger = component => [codeChanged.includes(component) && 'code', designChanged.includes(component) && 'design'].filter(Boolean).join(' and ');
+    changedDocuments.forEach(designPath => console.log(`Design document changed: ${designPath}`));
+    selected.forEach(component => console.log(`Selected ${component.id} (${trigger(component)} changed)`));
+
+    const { invalidComponents, results } = selected.length > 0
+      ? await generateTestsForComponents(selected, designGraph, cache, { forceComponents: designChanged.map(c => c.id), changedComponents: codeChanged.map(c => c.id) })
+      : { invalidComponents: [], results: [] };
+    if (selected.length === 0) console.log(`No component or design document changed from ${range.label}; nothing to regenerate`);
+
+    // Components whose file was deleted or renamed keep their feature files until they are removed by hand
+    const currentIds = new Set(components.map(component => component.id));
+    const removedComponents = Object.entries(cache.files)
+      .filter(([id, entry]) => !currentIds.has(id) && entry.file && removedPaths.has(path.join(COMPONENTS_DIR, entry.file)))
+      .map(([, entry]) => ({ componentName: entry.componentName, file: entry.file, featureFiles: entry.featureFiles || [] }));
+
+    const comment = renderPullRequestComment({
+      range: range.label,
+      root,
+      commits,
+      designDocuments: changedDocuments.map(designPath => path.resolve(designPath)),
+      components: results.map(result => ({ ...result, trigger: trigger(selected.find(component => component.id === result.componentId)) })),
+      removedComponents,
+    });
+    await fs.mkdir(path.dirname(PR_COMMENT_FILE), { recursive: true });
+    await fs.writeFile(PR_COMMENT_FILE, comment);
+    console.log(`Summary of the changes written to ${PR_COMMENT_FILE}`);
 
-    console.log('Generating BDD tests for all components...');
-    await generateTestsForComponents(componentFiles, designGraph, cache);
+    if (invalidComponents.length > 0) {
+      console.error(`Gherkin validation failed for ${invalidComponents.length} component(s) after ${MAX_REPAIR_ATTEMPTS} repair attempt(s)`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error in git-aware generation:', error);
+    process.exit(1);
+  }
+}
+
+// Find a component by id, name or export alias (case-insensitive), or null
+async function findComponentByName(query) {
+  return findComponent(await listComponents(), query);
+}
 
-    console.log('All BDD tests generated successfully in', FEATURES_DIR);
+// List generated feature files with their component, size and modification time
+async function listFeatureFiles(cache) {
+  let files;
+  try {
+    files = (await fs.readdir(FEATURES_DIR)).filter(file => file.endsWith('.feature'));
   } catch (error) {
-    console.error('Error in test generation:', error);
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  // The component of a file comes from the cache, or from the review store for rejected files the
+  // cache no longer lists; file names are not parsed, since component prefixes can contain hyphens
+  const owners = new Map();
+  const reviews = await loadReviews(REVIEWS_FILE);
+  Object.values(reviews.scenarios).forEach(entry => owners.set(entry.featureFile, { componentId: entry.componentId, componentName: entry.componentName }));
+  for (const [componentId, entry] of Object.entries(cache.files)) {
+    (entry.featureFiles || []).forEach(fileName => owners.set(fileName, { componentId, componentName: entry.componentName }));
+  }
+  return Promise.all(files.sort().map(async fileName => {
+    const stats = await fs.stat(path.join(FEATURES_DIR, fileName));
+    const owner = owners.get(fileName);
+    return { fileName, componentId: owner?.componentId || null, component: owner?.componentName || null, size: stats.size, modifiedAt: stats.mtime.toISOString() };
+  }));
+}
+
+// Read a generated feature file by name, or null if it does not exist
+async function readFeatureFile(fileName) {
+  if (path.basename(fileName) !== fileName || !fileName.endsWith('.feature')) return null;
+  try {
+    return await fs.readFile(path.join(FEATURES_DIR, fileName), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Feature files written for a component: those recorded in the cache, or by file name prefix
+async function readComponentFeatures(component, cache) {
+  const fileNames = cache.files[component.id]?.featureFiles
+    || (await listFeatureFiles(cache)).map(feature => feature.fileName).filter(fileName => fileName.startsWith(`${featurePrefix(component)}-`));
+  const features = [];
+  for (const fileName of fileNames) {
+    const content = await readFeatureFile(fileName);
+    if (content !== null) features.push({ fileName, content });
+  }
+  return features;
+}
+
+// Compare the merged knowledge graph of every component with its feature files
+async function buildCoverageReport(designGraph, cache) {
+  const codeGraph = await buildCodeGraph(cache);
+  const components = [];
+  for (const component of await listComponents()) {
+    const mergedGraph = mergeKnowledgeGraphs(designGraph, codeGraph, graphKey(component));
+    const features = await readComponentFeatures(component, cache);
+    components.push({ id: component.id, ...computeComponentCoverage(mergedGraph, graphKey(component), features) });
+  }
+  const covered = components.reduce((sum, component) => sum + component.summary.overall.covered, 0);
+  const total = components.reduce((sum, component) => sum + component.summary.overall.total, 0);
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: { covered, total, percent: total === 0 ? 100 : Math.round((covered / total) * 1000) / 10 },
+    components,
+  };
+}
+
+// Write coverage.json and coverage.html, and append the per-component percentages to
+// coverage-history.json so gaps can be tracked across runs
+async function writeCoverageReport(report) {
+  await fs.mkdir(COVERAGE_DIR, { recursive: true });
+  await fs.writeFile(path.join(COVERAGE_DIR, 'coverage.json'), JSON.stringify(report, null, 2));
+  await fs.writeFile(path.join(COVERAGE_DIR, 'coverage.html'), renderCoverageHtml(report));
+
+  const historyFile = path.join(COVERAGE_DIR, 'coverage-history.json');
+  let history = [];
+  try {
+    history = JSON.parse(await fs.readFile(historyFile, 'utf-8'));
+  } catch (error) {
+    console.log('No coverage history found, starting a new one.');
+  }
+  history.push({
+    generatedAt: report.generatedAt,
+    overall: report.summary.percent,
+    components: Object.fromEntries(report.components.map(component => [component.id, component.summary.overall.percent])),
+  });
+  await fs.writeFile(historyFile, JSON.stringify(history, null, 2));
+}
+
+async function reportCoverage() {
+  try {
+    const { cache, designGraph } = await prepareGeneration({ loadModels: false });
+    const report = await buildCoverageReport(designGraph, cache);
+    await writeCoverageReport(report);
+    await saveCache(cache);
+
+    for (const component of report.components) {
+      const uncovered = Object.values(component.nodes).flat().filter(node => !node.covered);
+      console.log(`${component.id}: ${component.summary.overall.covered}/${component.summary.overall.total} nodes covered (${component.summary.overall.percent}%)`);
+      component.unparseable.forEach(file => console.warn(`  - unparseable, not counted: ${file.featureFile} (${file.error})`));
+      uncovered.forEach(node => console.log(`  - not covered: ${node.key}`));
+    }
+    console.log(`Overall coverage ${report.summary.percent}%; report written to ${COVERAGE_DIR}`);
+  } catch (error) {
+    console.error('Error computing coverage:', error);
     process.exit(1);
   }
 }
 
-generateTests();
\ No newline at end of file
+// Ask the model for scenarios aimed at a component's uncovered elements, navigations and APIs until
+// its coverage reaches COVERAGE_TARGET or GAP_ATTEMPTS requests were made. New feature files are kept
+// only if they cover a node that was uncovered before, and are added next to the existing ones.
+async function fillComponentGaps(component, codeGraph, designGraph, cache) {
+  const { id: componentId, name: componentName } = component;
+  const componentKey = graphKey(component);
+  const combinedGraph = mergeKnowledgeGraphs(designGraph, codeGraph, componentKey);
+  const features = await readComponentFeatures(component, cache);
+  let coverage = computeComponentCoverage(combinedGraph, componentKey, features);
+  const result = { componentId, componentName, before: coverage.summary.overall.percent, after: coverage.summary.overall.percent, attempts: 0, featureFiles: [] };
+  if (features.length === 0) {
+    console.log(`No feature files for ${componentId}; generate its tests before filling gaps`);
+    return result;
+  }
+  // Unparseable files cover nothing; they are left out of the prompt and kept on disk as they are
+  const unparseable = new Set(coverage.unparseable.map(file => file.featureFile));
+  coverage.unparseable.forEach(file => console.warn(`Skipping unparseable ${file.featureFile}: ${file.error}`));
+
+  const added = [];
+  while (coverage.summary.overall.percent < COVERAGE_TARGET && result.attempts < GAP_ATTEMPTS) {
+    const gaps = coverageGaps(coverage);
+    if (gapCount(gaps) === 0) break;
+    result.attempts++;
+    console.log(`Filling ${gapCount(gaps)} coverage gap(s) of ${componentName} (${coverage.summary.overall.percent}% covered), attempt ${result.attempts}/${GAP_ATTEMPTS}`);
+
+    const prompt = buildGapPrompt({
+      componentName,
+      gaps,
+      features: features.filter(f => !unparseable.has(f.fileName)),
+      componentContext: getComponentContext(combinedGraph, componentKey),
+      baseUrl: combinedGraph.baseUrl,
+      additionalInfo: additional_info,
+    });
+    const key = `${componentName}-gaps`;
+    // Gap scenarios only add to the existing features, so the positive/negative quota does not apply
+    const validateGapScenarios = text => validateGherkin(text, { minPositive: 0, minNegative: 0 });
+    const llm = getLLM();
+    let testCode = cleanTestCode(await llm.generate(prompt, { key }));
+    let validation = validateGapScenarios(testCode);
+    for (let attempt = 1; !validation.valid && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      console.log(`Gap scenarios for ${componentName} failed validation, repair attempt ${attempt}/${MAX_REPAIR_ATTEMPTS}:`);
+      validation.errors.forEach(error => console.log(`  - ${error}`));
+      testCode = cleanTestCode(await llm.generate(buildRepairPrompt(testCode, validation.errors, 'Keep a single Feature containing only the new scenarios.'), { key }));
+      validation = validateGapScenarios(testCode);
+    }
+    if (!validation.valid) {
+      console.error(`Gap scenarios for ${componentName} are still invalid; discarding them`);
+      continue;
+    }
+
+    const covered = coveredKeys(coverage);
+    for (const candidate of splitGherkinIntoFeatures(testCode, featurePrefix(component), features.map(f => f.fileName))) {
+      const newlyCovered = [...coveredKeys(computeComponentCoverage(combinedGraph, componentKey, [candidate]))].filter(nodeKey => !covered.has(nodeKey));
+      if (newlyCovered.length === 0) {
+        console.log(`Discarding ${candidate.fileName}: it covers no uncovered node`);
+        continue;
+      }
+      newlyCovered.forEach(nodeKey => covered.add(nodeKey));
+      features.push(candidate);
+      added.push(candidate);
+    }
+    coverage = computeComponentCoverage(combinedGraph, componentKey, features);
+  }
+
+  for (const { fileName, content } of added) {
+    const featureFilePath = path.join(FEATURES_DIR, fileName);
+    await fs.writeFile(featureFilePath, content);
+    console.log(`Gap-filling BDD test saved at ${featureFilePath}`);
+  }
+  if (added.length > 0) {
+    if (cache.files[componentId]) cache.files[componentId].featureFiles = features.map(f => f.fileName);
+    const selectorMaps = await writeSelectorMaps(added, combinedGraph, component);
+    if (PLAYWRIGHT_MODE) await writePlaywrightSpecs(added, selectorMaps, combinedGraph, component, cache);
+  }
+  return { ...result, after: coverage.summary.overall.percent, featureFiles: added.map(f => f.fileName) };
+}
+
+async function fillCoverageGaps() {
+  try {
+    const { cache, designGraph } = await prepareGeneration({ loadModels: false });
+    const codeGraph = await buildCodeGraph(cache);
+    const results = [];
+    for (const component of await listComponents()) {
+      results.push(await fillComponentGaps(component, codeGraph, designGraph, cache));
+      await saveCache(cache);
+    }
+
+    const report = await buildCoverageReport(designGraph, cache);
+    await writeCoverageReport(report);
+    for (const { componentId, before, after, attempts, featureFiles } of results) {
+      console.log(`${componentId}: ${before}% -> ${after}% after ${attempts} request(s), ${featureFiles.length} feature file(s) added`);
+    }
+    const belowTarget = results.filter(result => result.after < COVERAGE_TARGET);
+    if (belowTarget.length > 0) {
+      console.warn(`${belowTarget.length} component(s) remain below the ${COVERAGE_TARGET}% coverage target: ${belowTarget.map(result => result.componentId).join(', ')}`);
+    }
+    console.log(`Overall coverage ${report.summary.percent}%; report written to ${COVERAGE_DIR}`);
+  } catch (error) {
+    console.error('Error filling coverage gaps:', error);
+    process.exit(1);
+  }
+}
+
+// Compare the design graph with the code graph, write the findings to DRIFT_REPORT_FILE and exit
+// with code 2 when any finding reaches DRIFT_FAIL_ON, so CI can fail the build on drift
+async function reportDrift() {
+  try {
+    const { cache, designGraph } = await prepareGeneration({ loadModels: false });
+    const codeGraph = await buildCodeGraph(cache);
+    await saveCache(cache);
+
+    const report = { generatedAt: new Date().toISOString(), designDocuments: designGraph.documents || [], failOn: DRIFT_FAIL_ON, ...detectDrift(designGraph, codeGraph) };
+    await fs.mkdir(path.dirname(DRIFT_REPORT_FILE), { recursive: true });
+    await fs.writeFile(DRIFT_REPORT_FILE, JSON.stringify(report, null, 2));
+
+    report.findings.forEach(finding => console.log(`${finding.severity}: [${finding.kind}] ${finding.message}`));
+    console.log(`Drift: ${report.summary.errors} error(s), ${report.summary.warnings} warning(s); report written to ${DRIFT_REPORT_FILE}`);
+    if (driftExceeds(report, DRIFT_FAIL_ON)) process.exitCode = 2;
+  } catch (error) {
+    console.error('Error detecting drift:', error);
+    process.exit(1);
+  }
+}
+
+// Write the merged design and code graphs to EXPORT_DIR in each requested format. Edges record
+// which graph they came from, since design and code often state the same relation.
+async function exportKnowledgeGraphs() {
+  try {
+    const { cache, designGraph } = await prepareGeneration({ loadModels: false });
+    const codeGraph = await buildCodeGraph(cache);
+    await saveCache(cache);
+
+    const tagEdges = (graph, origin) => ({ ...graph, edges: graph.edges.map(edge => ({ ...edge, graph: origin })) });
+    const { nodes, edges } = mergeKnowledgeGraphs(tagEdges(designGraph, 'design'), tagEdges(codeGraph, 'code'));
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    for (const format of EXPORT_FORMAT_LIST) {
+      const file = path.join(EXPORT_DIR, EXPORT_FORMATS[format]);
+      await fs.writeFile(file, exportGraph({ nodes, edges }, format));
+      console.log(`Wrote ${Object.keys(nodes).length} nodes and ${edges.length} edges to ${file}`);
+    }
+  } catch (error) {
+    console.error('Error exporting knowledge graphs:', error);
+    process.exit(1);
+  }
+}
+
+// Review state of every generated feature file, plus rejected scenarios whose files were removed
+async function listReviews(cache) {
+  const reviews = await loadReviews(REVIEWS_FILE);
+  const listed = Object.entries(cache.files).flatMap(([componentId, entry]) => (entry.featureFiles || []).map(featureFile => {
+    const review = reviews.scenarios[featureFile];
+    return { featureFile, componentId, componentName: entry.componentName, state: reviewState(reviews, featureFile), reason: review?.reason || null, reviewer: review?.reviewer || null, reviewedAt: review?.reviewedAt || null, proposal: review?.proposal ? review.proposal.diff : null };
+  }));
+  const rejected = Object.values(reviews.scenarios)
+    .filter(entry => entry.state === 'rejected' && !listed.some(item => item.featureFile === entry.featureFile))
+    .map(({ featureFile, componentId, componentName, state, reason, reviewer, reviewedAt }) => ({ featureFile, componentId, componentName, state, reason, reviewer, reviewedAt, proposal: null }));
+  return [...listed, ...rejected];
+}
+
+// Approve, reject or reset (draft) a generated feature file. A rejected file is removed along with its
+// selector map and Playwright spec; its text and the reason stay in the review store for the prompt,
+// and approving or resetting it later restores the file.
+async function reviewScenario(cache, featureFile, state, { reason = null, reviewer = null } = {}) {
+  const reviews = await loadReviews(REVIEWS_FILE);
+  const previous = reviews.scenarios[featureFile];
+  const componentId = Object.keys(cache.files).find(id => (cache.files[id].featureFiles || []).includes(featureFile)) || previous?.componentId;
+  const fileEntry = cache.files[componentId];
+  const content = (await readFeatureFile(featureFile)) ?? previous?.content ?? null;
+  if (!fileEntry || content === null) throw new Error(`Feature file ${featureFile} not found`);
+  const { componentName } = fileEntry;
+
+  const entry = setReviewState(reviews, featureFile, state, { componentId, componentName, content, reason, reviewer });
+  await saveReviews(REVIEWS_FILE, reviews);
+  await fs.rm(path.join(PROPOSALS_DIR, `${featureFile}.diff`), { force: true });
+  const featureFiles = fileEntry.featureFiles || [];
+  if (state === 'rejected' && featureFiles.includes(featureFile)) {
+    await fs.rm(path.join(FEATURES_DIR, featureFile), { force: true });
+    await fs.rm(path.join(SELECTORS_DIR, selectorMapFileName(featureFile)), { force: true });
+    await removePlaywrightSpec(featureFile, cache);
+    (await getVectorStore()).remove(`scenario:${featureFile}`);
+    fileEntry.featureFiles = featureFiles.filter(f => f !== featureFile);
+    await saveCache(cache);
+  } else if (state !== 'rejected' && !featureFiles.includes(featureFile)) {
+    await fs.writeFile(path.join(FEATURES_DIR, featureFile), content);
+    fileEntry.featureFiles = [...featureFiles, featureFile];
+    await saveCache(cache);
+  }
+  return entry || { featureFile, componentId, componentName, state: 'draft' };
+}
+
+// Replace an approved scenario with its proposed regeneration; it stays approved
+async function acceptProposal(cache, featureFile, { reviewer = null } = {}) {
+  const reviews = await loadReviews(REVIEWS_FILE);
+  const entry = reviews.scenarios[featureFile];
+  if (!entry?.proposal) throw new Error(`No proposed change for ${featureFile}`);
+  const accepted = setReviewState(reviews, featureFile, 'approved', { ...entry, content: entry.proposal.content, reviewer: reviewer || entry.reviewer });
+  await saveReviews(REVIEWS_FILE, reviews);
+  await fs.writeFile(path.join(FEATURES_DIR, featureFile), accepted.content);
+  await fs.rm(path.join(PROPOSALS_DIR, `${featureFile}.diff`), { force: true });
+  return accepted;
+}
+
+// --review lists review states; --approve, --reject (with --reason) and --accept-proposal record a decision
+async function runReviewCommand() {
+  try {
+    const cache = await loadCache();
+    const reviewer = args.reviewer || process.env.USER || null;
+    if (args.approve || args.reject) {
+      const featureFile = String(args.approve || args.reject);
+      const entry = await reviewScenario(cache, featureFile, args.approve ? 'approved' : 'rejected', { reason: args.reason || null, reviewer });
+      console.log(`${featureFile} (${entry.componentName}) ${entry.state}${entry.reason ? `: ${entry.reason}` : ''}`);
+    } else if (args['accept-proposal']) {
+      const entry = await acceptProposal(cache, String(args['accept-proposal']), { reviewer });
+      console.log(`Proposed change to ${entry.featureFile} accepted; the scenario stays approved`);
+    } else {
+      for (const review of await listReviews(cache)) {
+        console.log(`${review.state.padEnd(8)} ${review.featureFile} (${review.componentName})${review.reason ? ` - ${review.reason}` : ''}${review.proposal ? ' [change proposed]' : ''}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error reviewing scenarios:', error.message);
+    process.exit(1);
+  }
+}
+
+// Serve the generator over HTTP for the Python agents and dashboards
+async function serveApi() {
+  try {
+    const { cache, designGraph } = await prepareGeneration();
+
+    const app = createApiServer({
+      findComponent: findComponentByName,
+      async generate({ component, force }) {
+        const components = component ? [await findComponentByName(component)] : await listComponents();
+        if (components.includes(null)) throw new Error(`Component ${component} not found`);
+        return generateTestsForComponents(components, designGraph, cache, { force });
+      },
+      getDesignGraph: () => designGraph,
+      getCodeGraph: () => buildCodeGraph(cache),
+      listFeatures: () => listFeatureFiles(cache),
+      readFeature: readFeatureFile,
+      loadMemory: loadMemoryHistory,
+      listReviews: () => listReviews(cache),
+      reviewScenario: ({ featureFile, state, reason, reviewer }) => reviewScenario(cache, featureFile, state, { reason, reviewer }),
+      acceptProposal: ({ featureFile, reviewer }) => acceptProposal(cache, featureFile, { reviewer }),
+    });
+
+    app.listen(API_PORT, API_HOST, () => {
+      console.log(`BDD generator API listening on http://${API_HOST}:${API_PORT}`);
+    });
+  } catch (error) {
+    console.error('Error starting API server:', error);
+    process.exit(1);
+  }
+}
+
+if (SERVE_MODE) {
+  serveApi();
+} else if (COVERAGE_MODE) {
+  reportCoverage();
+} else if (FILL_GAPS_MODE) {
+  fillCoverageGaps();
+} else if (DRIFT_MODE) {
+  reportDrift();
+} else if (EXPORT_MODE) {
+  exportKnowledgeGraphs();
+} else if (REVIEW_MODE) {
+  runReviewCommand();
+} else if (GIT_MODE) {
+  generateForGitChanges();
+} else {
+  generateTests();
+}
@@ -0,0 +1,97 @@
+// bdd_generator/gherkin-validator.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const { Parser, AstBuilder, GherkinClassicTokenMatcher } = require('@cucumber/gherkin');
+const { IdGenerator } = require('@cucumber/messages');
+
+const NEGATIVE_SCENARIO_PATTERN = /\b(unsuccessful|invalid|incorrect|wrong|fail(s|ed|ure)?|missing|empty|insufficient|error|denied|reject(ed)?|without|cannot|can't|unable|negative|blank|exceed(s|ed|ing)?)\b/i;
+
+// Parse Gherkin text, returning the document or the parser's error messages
+function parseGherkin(text) {
+  const parser = new Parser(new AstBuilder(IdGenerator.incrementing()), new GherkinClassicTokenMatcher());
+  try {
+    return { document: parser.parse(text), errors: [] };
+  } catch (error) {
+    const errors = (error.errors || [error]).map(e => e.message.trim());
+    return { document: null, errors };
+  }
+}
+
+// Collect scenarios (including those nested in rules) from a parsed feature
+function collectScenarios(feature) {
+  const scenarios = [];
+  for (const child of feature?.children || []) {
+    if (child.scenario) scenarios.push(child.scenario);
+    if (child.rule) scenarios.push(...collectScenarios(child.rule));
+  }
+  return scenarios;
+}
+
+// Classify a scenario as positive or negative from its tags, falling back to its name
+function classifyScenario(scenario) {
+  const tags = (scenario.tags || []).map(tag => tag.name.toLowerCase());
+  if (tags.includes('@negative')) return 'negative';
+  if (tags.includes('@positive')) return 'positive';
+  return NEGATIVE_SCENARIO_PATTERN.test(scenario.name) ? 'negative' : 'positive';
+}
+
+// Validate generated Gherkin against the parser and the prompt's structural rules
+function validateGherkin(text, { minPositive = 2, minNegative = 2 } = {}) {
+  const { document, errors } = parseGherkin(text);
+  if (!document) {
+    return { valid: false, errors, counts: { positive: 0, negative: 0 } };
+  }
+
+  const feature = document.feature;
+  if (!feature) {
+    return { valid: false, errors: ['Missing "Feature:" declaration'], counts: { positive: 0, negative: 0 } };
+  }
+
+  const scenarios = collectScenarios(feature);
+  if (scenarios.length === 0) {
+    errors.push(`Feature "${feature.name}" has no "Scenario:" or "Scenario Outline:" blocks`);
+  }
+
+  const counts = { positive: 0, negative: 0 };
+  for (const scenario of scenarios) {
+    const where = `(${scenario.location.line}:${scenario.location.column}) Scenario "${scenario.name}"`;
+    if (!scenario.name.trim()) {
+      errors.push(`(${scenario.location.line}:${scenario.location.column}) Scenario has no name`);
+    }
+    // The parser accepts free text under a scenario as its description, which is how misspelled step keywords surface
+    if (scenario.description && scenario.description.trim()) {
+      const firstLine = scenario.description.trim().split('\n')[0].trim();
+      errors.push(`${where} has a line that is not a valid step: '${firstLine}' (steps must start with Given, When, Then, And or But)`);
+    }
+    if (scenario.steps.length === 0) {
+      errors.push(`${where} has no steps`);
+    } else {
+      if (['Conjunction', 'Unknown'].includes(scenario.steps[0].keywordType)) {
+        errors.push(`${where} starts with '${scenario.steps[0].keyword.trim()}' instead of Given or When`);
+      }
+      if (!scenario.steps.some(step => step.keywordType === 'Outcome')) {
+        errors.push(`${where} has no Then step`);
+      }
+    }
+    // An outline runs once per Examples row, so one without rows would not run at all
+    if (/outline|template/i.test(scenario.keyword)) {
+      if (scenario.examples.length === 0) {
+        errors.push(`${where} is a Scenario Outline without an "Examples:" table`);
+      } else if (!scenario.examples.some(examples => examples.tableBody.length > 0)) {
+        errors.push(`${where} is a Scenario Outline whose "Examples:" tables have no rows`);
+      }
+    }
+    counts[classifyScenario(scenario)] += 1;
+  }
+
+  if (counts.positive < minPositive) {
+    errors.push(`Expected at least ${minPositive} positive scenarios, found ${counts.positive}`);
+  }
+  if (counts.negative < minNegative) {
+    errors.push(`Expected at least ${minNegative} negative scenarios, found ${counts.negative}`);
+  }
+
+  return { valid: errors.length === 0, errors, counts, document };
+}
+
+export { parseGherkin, collectScenarios, classifyScenario, validateGherkin };
@@ -0,0 +1,106 @@
+// bdd_generator/git-changes.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const path = require('path');
+
+const execFileAsync = promisify(execFile);
+const STATUSES = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'copied', T: 'modified' };
+
+async function git(cwd, gitArgs) {
+  try {
+    const { stdout } = await execFileAsync('git', gitArgs, { cwd, maxBuffer: 16 * 1024 * 1024 });
+    return stdout;
+  } catch (error) {
+    throw new Error(`git ${gitArgs.join(' ')} failed: ${(error.stderr || error.message).trim()}`);
+  }
+}
+
+// Top-level directory of the git repository holding dir
+async function gitRoot(dir) {
+  return (await git(dir, ['rev-parse', '--show-toplevel'])).trim();
+}
+
+// The revisions to compare for --since <ref> or --diff <range>. A single ref is compared with the
+// working tree, so uncommitted and untracked files count as changed; a range such as main...HEAD
+// compares commits only. Returns { label, diffArgs, logRange, workingTree }.
+function gitRange({ since = null, diff = null }) {
+  const ref = String(since || diff);
+  if (!ref.includes('..')) return { label: `${ref} to the working tree`, diffArgs: [ref], logRange: `${ref}..HEAD`, workingTree: true };
+  // main...HEAD diffs from the merge base; its commits are those of main..HEAD
+  return { label: ref, diffArgs: [ref], logRange: ref.replace('...', '..'), workingTree: false };
+}
+
+// Files changed in a range, with absolute paths: [{ status, path, previousPath }]
+async function changedFiles(root, range) {
+  const fields = (await git(root, ['diff', '--name-status', '-z', '-M', ...range.diffArgs, '--'])).split('\0').filter(Boolean);
+  const changes = [];
+  for (let index = 0; index < fields.length;) {
+    const code = fields[index++][0];
+    const previousPath = code === 'R' || code === 'C' ? path.join(root, fields[index++]) : null;
+    changes.push({ status: STATUSES[code] || 'modified', path: path.join(root, fields[index++]), previousPath });
+  }
+  if (range.workingTree) {
+    const untracked = (await git(root, ['ls-files', '--others', '--exclude-standard', '-z'])).split('\0').filter(Boolean);
+    untracked.forEach(file => changes.push({ status: 'added', path: path.join(root, file), previousPath: null }));
+  }
+  return changes;
+}
+
+// Commits in a range, oldest first: [{ hash, subject }]
+async function rangeCommits(root, range) {
+  return (await git(root, ['log', '--reverse', '--format=%h%x09%s', range.logRange, '--']))
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [hash, ...subject] = line.split('\t');
+      return { hash, subject: subject.join('\t') };
+    });
+}
+
+// Markdown summary of a git-aware run, suitable as a pull request comment. summary is
+// { range, root, commits, designDocuments, components, removedComponents }, where components are
+// generation results with the trigger ('code', 'design' or 'code and design') that selected them.
+function renderPullRequestComment(summary) {
+  const relative = file => path.relative(summary.root, file) || file;
+  const lines = [`## BDD scenarios for ${summary.range}`, ''];
+  const changedFileCount = summary.components.filter(component => component.trigger !== 'design').length;
+  lines.push(`${summary.commits.length} commit(s); ${changedFileCount} changed component(s) and ${summary.designDocuments.length} changed design document(s).`);
+
+  if (summary.components.length === 0) {
+    lines.push('', 'No component or design document changed, so no scenarios were regenerated.');
+  } else {
+    lines.push('', '| Component | Trigger | Result | Scenarios |', '| --- | --- | --- | --- |');
+    for (const component of summary.components) {
+      const scenarios = component.status === 'invalid' ? 'invalid Gherkin, feature files left unchanged'
+        : [
+          component.scenarioChanges ? `+${component.scenarioChanges.added} -${component.scenarioChanges.removed} ~${component.scenarioChanges.modified}` : `${component.featureFiles.length} unchanged`,
+          component.impact ? `${component.impact.affected} affected by ${component.impact.changes} code change(s)` : null,
+        ].filter(Boolean).join(', ');
+      lines.push(`| ${component.componentName} (\`${component.file}\`) | ${component.trigger} | ${component.status} | ${scenarios} |`);
+    }
+  }
+
+  if (summary.designDocuments.length > 0) {
+    lines.push('', 'Changed design documents:', ...summary.designDocuments.map(document => `- \`${relative(document)}\``));
+  }
+  if (summary.removedComponents.length > 0) {
+    lines.push('', 'Removed components (their feature files were left in place):');
+    summary.removedComponents.forEach(component => lines.push(`- ${component.componentName} (\`${component.file}\`): ${component.featureFiles.length} feature file(s)`));
+  }
+  const proposals = summary.components.flatMap(component => component.proposals || []);
+  if (proposals.length > 0) {
+    lines.push('', 'Changes proposed to approved scenarios:', ...proposals.map(featureFile => `- \`${featureFile}\``));
+  }
+  const unresolved = summary.components.flatMap(component => component.unresolvedSteps || []);
+  if (unresolved.length > 0) {
+    lines.push('', `${unresolved.length} step(s) refer to elements not found in their component.`);
+  }
+  if (summary.commits.length > 0) {
+    lines.push('', '<details><summary>Commits</summary>', '', ...summary.commits.map(commit => `- ${commit.hash} ${commit.subject}`), '', '</details>');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export { gitRoot, gitRange, changedFiles, rangeCommits, renderPullRequestComment };
@@ -0,0 +1,146 @@
+// bdd_generator/graph-export.js
+
+const EXPORT_FORMATS = {
+  cypher: 'knowledge-graph.cypher',
+  graphml: 'knowledge-graph.graphml',
+  dot: 'knowledge-graph.dot',
+};
+const DOT_SHAPES = { component: 'box', route: 'ellipse', api: 'hexagon', element: 'note', handler: 'component', endpoint: 'box3d' };
+
+// Property values graph formats can hold: numbers, strings, booleans and lists of one of those.
+// Objects and lists of objects (such as design sources) are kept as JSON strings; nulls are dropped.
+function exportValue(value) {
+  if (value === null || value === undefined) return undefined;
+  if (['string', 'number', 'boolean'].includes(typeof value)) return value;
+  if (Array.isArray(value) && value.every(item => typeof item === 'string') && value.length > 0) return value;
+  if (Array.isArray(value) && value.length === 0) return undefined;
+  return JSON.stringify(value);
+}
+
+function exportProperties(properties) {
+  return Object.fromEntries(Object.entries(properties)
+    .map(([name, value]) => [name, exportValue(value)])
+    .filter(([, value]) => value !== undefined));
+}
+
+// Nodes and edges of a graph with exportable properties. Edge endpoints missing from graph.nodes
+// (e.g. a design precondition naming an undescribed page) are added without a type.
+function exportableGraph(graph) {
+  const nodes = Object.entries(graph.nodes).map(([key, node]) => ({ key, type: node.type || null, properties: exportProperties({ ...node, type: undefined }) }));
+  const known = new Set(Object.keys(graph.nodes));
+  for (const edge of graph.edges) {
+    for (const key of [edge.from, edge.to]) {
+      if (!known.has(key)) {
+        known.add(key);
+        nodes.push({ key, type: null, properties: {} });
+      }
+    }
+  }
+  const edges = graph.edges.map(({ from, to, relation, ...properties }) => ({ from, to, relation, properties: exportProperties(properties) }));
+  return { nodes, edges };
+}
+
+// component -> Component, service-method -> ServiceMethod; navigates-to -> NAVIGATES_TO
+const cypherLabel = type => type.split(/[^A-Za-z0-9]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+const cypherRelation = relation => relation.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+function cypherLiteral(value) {
+  if (Array.isArray(value)) return `[${value.map(cypherLiteral).join(', ')}]`;
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+  return String(value);
+}
+
+// Property names are quoted with backticks, which are doubled inside them
+const cypherMap = properties => `{${Object.entries(properties).map(([name, value]) => `\`${name.replace(/`/g, '``')}\`: ${cypherLiteral(value)}`).join(', ')}}`;
+
+// Cypher script for Neo4j. Every node is MERGEd as :Node on its graph key (the graphKey property,
+// since nodes such as storage entries have a key property of their own) and labelled with its type,
+// so running the script twice does not duplicate the graph; edges are MERGEd with their properties.
+function toCypher(graph) {
+  const { nodes, edges } = exportableGraph(graph);
+  const lines = ['CREATE CONSTRAINT node_graph_key IF NOT EXISTS FOR (n:Node) REQUIRE n.graphKey IS UNIQUE;'];
+  for (const node of nodes) {
+    const label = node.type ? `:${cypherLabel(node.type)}` : '';
+    lines.push(`MERGE (n:Node {graphKey: ${cypherLiteral(node.key)}}) SET ${label ? `n${label}, ` : ''}n += ${cypherMap({ ...node.properties, ...(node.type ? { type: node.type } : {}) })};`);
+  }
+  for (const edge of edges) {
+    lines.push(`MATCH (a:Node {graphKey: ${cypherLiteral(edge.from)}}), (b:Node {graphKey: ${cypherLiteral(edge.to)}}) `
+      + `MERGE (a)-[:${cypherRelation(edge.relation)} ${cypherMap({ relation: edge.relation, ...edge.properties })}]->(b);`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' }[char]));
+}
+
+// GraphML document. Each property becomes a <key> of its domain, typed boolean or double when all its
+// values are, string otherwise; lists are written as JSON.
+function toGraphML(graph) {
+  const { nodes, edges } = exportableGraph(graph);
+  const declare = items => {
+    const types = new Map();
+    for (const { properties } of items) {
+      for (const [name, value] of Object.entries(properties)) {
+        const type = typeof value === 'boolean' ? 'boolean' : typeof value === 'number' ? 'double' : 'string';
+        types.set(name, types.has(name) && types.get(name) !== type ? 'string' : type);
+      }
+    }
+    return types;
+  };
+  const nodeKeys = declare(nodes.map(node => ({ properties: { type: node.type || '', ...node.properties } })));
+  const edgeKeys = declare(edges.map(edge => ({ properties: { relation: edge.relation, ...edge.properties } })));
+  const keyId = (domain, name) => `${domain[0]}_${name}`;
+  const data = (domain, properties, indent) => Object.entries(properties)
+    .map(([name, value]) => `${indent}<data key="${escapeXml(keyId(domain, name))}">${escapeXml(Array.isArray(value) ? JSON.stringify(value) : value)}</data>`);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...[...nodeKeys].map(([name, type]) => `  <key id="${escapeXml(keyId('node', name))}" for="node" attr.name="${escapeXml(name)}" attr.type="${type}"/>`),
+    ...[...edgeKeys].map(([name, type]) => `  <key id="${escapeXml(keyId('edge', name))}" for="edge" attr.name="${escapeXml(name)}" attr.type="${type}"/>`),
+    '  <graph id="knowledge-graph" edgedefault="directed">',
+  ];
+  for (const node of nodes) {
+    lines.push(`    <node id="${escapeXml(node.key)}">`, ...data('node', { ...(node.type ? { type: node.type } : {}), ...node.properties }, '      '), '    </node>');
+  }
+  edges.forEach((edge, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}">`,
+      ...data('edge', { relation: edge.relation, ...edge.properties }, '      '), '    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+}
+
+const dotString = value => `"${String(Array.isArray(value) ? JSON.stringify(value) : value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+const dotAttributes = attributes => Object.entries(attributes).map(([name, value]) => `${dotString(name)}=${dotString(value)}`).join(', ');
+
+// Graphviz DOT digraph, with a shape per node type and the relation as edge label. Properties are
+// kept as extra attributes, which Graphviz ignores but other DOT readers keep.
+function toDot(graph) {
+  const { nodes, edges } = exportableGraph(graph);
+  const lines = ['digraph "knowledge-graph" {', '  rankdir=LR;', '  node [fontname="Helvetica"];', '  edge [fontname="Helvetica", fontsize=10];'];
+  for (const node of nodes) {
+    lines.push(`  ${dotString(node.key)} [${dotAttributes({
+      label: node.type ? `${node.key}\n(${node.type})` : node.key,
+      shape: DOT_SHAPES[node.type] || 'ellipse',
+      ...(node.type ? { type: node.type } : {}),
+      ...node.properties,
+    })}];`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)} [${dotAttributes({ label: edge.relation, relation: edge.relation, ...edge.properties })}];`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+const EXPORTERS = { cypher: toCypher, graphml: toGraphML, dot: toDot };
+
+// Render a graph in one of EXPORT_FORMATS
+function exportGraph(graph, format) {
+  if (!EXPORTERS[format]) throw new Error(`Unknown graph export format "${format}"; expected one of ${Object.keys(EXPORTERS).join(', ')}`);
+  return EXPORTERS[format](graph);
+}
+
+export { exportGraph, toCypher, toGraphML, toDot, EXPORT_FORMATS };
@@ -0,0 +1,138 @@
+// bdd_generator/impact-analysis.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const crypto = require('crypto');
+import { parseSource } from './code-graph.js';
+import { resolveFeatureSelectors } from './selector-resolver.js';
+import { componentGraphChanges, linkChanges } from './scenario-diff.js';
+import { scenarioSummary } from './scenario-dedup.js';
+
+// AST properties that change with formatting and comments but not with behaviour
+const LAYOUT_KEYS = new Set(['start', 'end', 'loc', 'range', 'extra', 'comments', 'leadingComments', 'trailingComments', 'innerComments', 'tokens']);
+// Node types and relations whose changes can alter what a scenario does
+const IMPACT_NODE_TYPES = ['element', 'handler', 'route', 'api'];
+const IMPACT_RELATIONS = ['contains', 'triggers', 'calls', 'uses', 'navigates-to', 'at-route', 'defines'];
+
+const fingerprint = node => crypto.createHash('md5').update(JSON.stringify(node, (key, value) => (LAYOUT_KEYS.has(key) ? undefined : value))).digest('hex');
+
+// Fingerprints of a component's code that ignore whitespace, formatting and comments: one for the
+// whole component and one per named function inside it (its handlers and effects' callees).
+// Returns { component, functions: { [name]: hash } }, or null when the code does not parse.
+function codeFingerprints(code) {
+  let ast;
+  try {
+    ast = parseSource(code);
+  } catch (error) {
+    return null;
+  }
+  const functions = {};
+  const visit = node => {
+    if (!node || typeof node.type !== 'string') return;
+    if (node.type === 'VariableDeclarator' && node.id?.type === 'Identifier' && /Function/.test(node.init?.type || '')) {
+      functions[node.id.name] = fingerprint(node.init);
+    } else if (node.type === 'FunctionDeclaration' && node.id) {
+      functions[node.id.name] = fingerprint(node);
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (LAYOUT_KEYS.has(key)) continue;
+      if (Array.isArray(value)) value.forEach(visit);
+      else if (value && typeof value === 'object') visit(value);
+    }
+  };
+  visit(ast.program);
+  return { component: fingerprint(ast.program), functions };
+}
+
+// Work out which of a component's scenarios a code change affects. The change is the set of element,
+// handler, route and API nodes (and their edges) that differ between the old and new code graphs, plus
+// handlers whose body changed (from the fingerprints). A scenario is affected when its steps refer to
+// a changed element, trigger a changed handler, or mention a changed route, API or navigation target;
+// a changed handler run on load affects every scenario. Additions no scenario refers to are returned
+// separately, so new scenarios can cover them.
+// features is [{ fileName, content }]. Returns { changes, affected: [{ featureFile, scenario, causes }], unaffected, additions }.
+function analyseImpact({ componentKey, oldGraph, newGraph, oldFingerprints, newFingerprints, features }) {
+  const changes = componentGraphChanges(oldGraph, newGraph, componentKey)
+    .filter(change => (change.kind === 'node' ? IMPACT_NODE_TYPES.includes(change.type) : IMPACT_RELATIONS.includes(change.type)));
+
+  for (const [name, hash] of Object.entries(newFingerprints?.functions || {})) {
+    const key = `${componentKey}.${name}`;
+    const previous = oldFingerprints?.functions?.[name];
+    if (!previous || previous === hash || changes.some(change => change.key === key)) continue;
+    if (newGraph.nodes[key]?.type === 'handler' || oldGraph?.nodes[key]?.type === 'handler') {
+      changes.push({ key, kind: 'node', type: 'handler', change: 'modified', properties: ['body'] });
+    }
+  }
+
+  // Handlers that run when the page loads, through an effect
+  const onLoad = new Set([oldGraph, newGraph].filter(Boolean).flatMap(graph => graph.edges
+    .filter(edge => edge.relation === 'has-effect' && edge.from === componentKey)
+    .flatMap(edge => [edge.to, ...graph.edges.filter(run => run.from === edge.to && run.relation === 'runs').map(run => run.to)])));
+  const onLoadChanges = changes.filter(change => change.type === 'handler' && onLoad.has(change.key)).map(change => change.key);
+
+  const affected = [];
+  const unaffected = [];
+  const linked = new Set();
+  for (const { fileName, content } of features) {
+    const causes = new Set(onLoadChanges);
+    for (const graph of [oldGraph, newGraph].filter(Boolean)) {
+      let scenarios = [];
+      try {
+        ({ scenarios } = resolveFeatureSelectors(fileName, content, graph, componentKey));
+      } catch (error) {
+        continue;
+      }
+      scenarios.forEach(scenario => linkChanges(scenario.steps, changes, graph, componentKey).forEach(key => causes.add(key)));
+    }
+    causes.forEach(key => linked.add(key));
+    if (causes.size > 0) {
+      affected.push({ featureFile: fileName, scenario: scenarioSummary(content)?.name || null, causes: [...causes] });
+    } else {
+      unaffected.push(fileName);
+    }
+  }
+
+  const additions = changes.filter(change => change.change === 'added' && !linked.has(change.key));
+  return { changes, affected, unaffected, additions };
+}
+
+function buildImpactPrompt({ componentName, affectedFeatures, changes, additions, componentContext, baseUrl, additionalInfo, reviewNotes, codeSnippet }) {
+  const listChanges = list => list.map(change => `- ${change.change} ${change.kind === 'edge' ? `${change.type} edge` : change.type} ${change.key}`).join('\n    ') || 'None.';
+
+  return `
+    The ${componentName} component changed. The BDD scenarios below are affected by the listed code changes; rewrite them in Gherkin format so they match the changed component, and add scenarios for the new elements, navigations and API calls listed under "Uncovered Additions".
+    - Keep each rewritten scenario's name unless its behaviour changed, and change only the steps the code changes affect.
+    - Drop an affected scenario only if the behaviour it tests no longer exists.
+    - Mention every element you interact with by its label or visible text with a generic word (e.g., "the 'Sign up' link", "the username field").
+    - Use the complete URL in Given steps by combining the base URL and route from the context.
+    - Return a single Feature containing only the rewritten and new scenarios; keep the Background of the existing feature if it has one.
+    - Every scenario needs a name, must start with a Given or When step and must contain a Then step.
+    - Do not include implementation details, automation code or markdown fences—output raw Gherkin text only.
+
+    **Code Changes:**
+    ${listChanges(changes)}
+
+    **Uncovered Additions:**
+    ${listChanges(additions)}
+
+    **Affected Scenarios:**
+    ${affectedFeatures.map(feature => feature.content).join('\n\n    ') || 'None.'}
+
+    ${reviewNotes}
+
+    **Combined Knowledge Graph Context for Component:**
+    ${componentContext}
+
+    **Base URL:**
+    ${baseUrl}
+
+    **Additional Info:**
+    ${additionalInfo}
+
+    **React Component Code:**
+    \`\`\`javascript
+    ${codeSnippet.length > 1000 ? `${codeSnippet.slice(0, 1000)}...` : codeSnippet}
+    \`\`\`
+  `;
+}
+
+export { codeFingerprints, analyseImpact, buildImpactPrompt };
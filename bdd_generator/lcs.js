@@ -0,0 +1,30 @@
+// bdd_generator/lcs.js
+
+// Align two sequences along their longest common subsequence. Returns the edit script in order:
+// [{ sign: ' ' | '-' | '+', oldIndex, newIndex }], where a kept item has both indexes, a removed item
+// the index of the next new item and an added item the index of the next old item.
+function alignSequences(a, b, equal = (x, y) => x === y) {
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = equal(a[i], b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const script = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && equal(a[i], b[j])) {
+      script.push({ sign: ' ', oldIndex: i++, newIndex: j++ });
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      // Removals go first when both keep the alignment, as in diff -u
+      script.push({ sign: '-', oldIndex: i++, newIndex: j });
+    } else {
+      script.push({ sign: '+', oldIndex: i, newIndex: j++ });
+    }
+  }
+  return script;
+}
+
+export { alignSequences };
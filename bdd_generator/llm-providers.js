@@ -0,0 +1,172 @@
+// bdd_generator/llm-providers.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.0-flash',
+  openai: 'llama3',
+  fixture: 'fixture',
+};
+
+// Stable key used to look up recorded responses for a prompt
+function hashPrompt(prompt) {
+  return crypto.createHash('md5').update(prompt).digest('hex');
+}
+
+// File of the nth call (from 1) made with a key: <key>.txt, then <key>.2.txt, <key>.3.txt, ... so the
+// repair rounds that reuse a key get their own responses
+function fixtureFileName(key, call) {
+  return call > 1 ? `${key}.${call}.txt` : `${key}.txt`;
+}
+
+// Counts the calls made with each key, in order
+function createCallCounter() {
+  const calls = {};
+  return key => {
+    calls[key] = (calls[key] || 0) + 1;
+    return calls[key];
+  };
+}
+
+// Google Gemini backend
+function createGeminiProvider({ model, apiKey }) {
+  if (!apiKey) {
+    throw new Error('GOOGLE_API_KEY is required for the gemini provider (set it in .env or use --provider openai|fixture)');
+  }
+  const { GoogleGenerativeAI } = require('@google/generative-ai');
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    async generate(prompt) {
+      const result = await generativeModel.generateContent(prompt);
+      return result.response.text();
+    },
+  };
+}
+
+// OpenAI-compatible chat completions backend (OpenAI, llama.cpp server, Ollama, vLLM, ...)
+function createOpenAIProvider({ model, baseUrl, apiKey, temperature }) {
+  if (!baseUrl) {
+    throw new Error('A base URL is required for the openai provider (--llm-base-url or LLM_BASE_URL)');
+  }
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+    async generate(prompt) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature,
+        }),
+      });
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`LLM request to ${endpoint} failed with ${response.status}: ${body.slice(0, 500)}`);
+      }
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error(`LLM response from ${endpoint} has no message content`);
+      }
+      return content;
+    },
+  };
+}
+
+// Deterministic backend replaying responses recorded under fixturesDir.
+// A response is looked up by prompt hash first (<hash>.txt), then by key and call number as recorded
+// (<key>.2.txt for the second call with the key), then by key alone (<key>.txt, e.g. a hand-written fixture).
+function createFixtureProvider({ fixturesDir }) {
+  if (!fixturesDir) {
+    throw new Error('A fixtures directory is required for the fixture provider (--fixtures or LLM_FIXTURES_DIR)');
+  }
+  const nextCall = createCallCounter();
+
+  return {
+    name: 'fixture',
+    model: DEFAULT_MODELS.fixture,
+    async generate(prompt, { key } = {}) {
+      const candidates = [`${hashPrompt(prompt)}.txt`];
+      if (key) candidates.push(...new Set([fixtureFileName(key, nextCall(key)), `${key}.txt`]));
+      for (const candidate of candidates) {
+        try {
+          return await fs.readFile(path.join(fixturesDir, candidate), 'utf-8');
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+      throw new Error(`No recorded fixture response in ${fixturesDir} (looked for ${candidates.join(', ')})`);
+    },
+  };
+}
+
+// Wrap a provider so every response is written to recordDir, named like the fixture provider reads them:
+// by key and call number, or by prompt hash for calls without a key
+function withRecording(provider, recordDir) {
+  const nextCall = createCallCounter();
+  return {
+    ...provider,
+    async generate(prompt, options = {}) {
+      const text = await provider.generate(prompt, options);
+      await fs.mkdir(recordDir, { recursive: true });
+      const fileName = options.key ? fixtureFileName(options.key, nextCall(options.key)) : `${hashPrompt(prompt)}.txt`;
+      await fs.writeFile(path.join(recordDir, fileName), text);
+      console.log(`Recorded ${provider.name} response to ${path.join(recordDir, fileName)}`);
+      return text;
+    },
+  };
+}
+
+// Resolve provider settings from CLI args, falling back to environment variables and then to the
+// project config's model settings ({ provider, name, baseUrl, temperature, fixtures })
+function resolveLLMOptions(args, env = process.env, settings = {}) {
+  const provider = (args.provider || env.LLM_PROVIDER || settings.provider || 'gemini').toLowerCase();
+  const fixturesDir = args.fixtures || env.LLM_FIXTURES_DIR || settings.fixtures;
+  const recordDir = args['record-fixtures'] || env.LLM_RECORD_FIXTURES_DIR;
+  const temperature = args.temperature ?? env.LLM_TEMPERATURE ?? settings.temperature;
+
+  return {
+    provider,
+    model: args.model || env.LLM_MODEL || settings.name || DEFAULT_MODELS[provider],
+    baseUrl: args['llm-base-url'] || env.LLM_BASE_URL || settings.baseUrl || (provider === 'openai' ? 'http://localhost:11434/v1' : null),
+    apiKey: provider === 'gemini' ? env.GOOGLE_API_KEY : env.LLM_API_KEY || env.OPENAI_API_KEY,
+    temperature: temperature === undefined ? 0.2 : Number(temperature),
+    fixturesDir: fixturesDir ? path.resolve(fixturesDir) : null,
+    recordDir: recordDir ? path.resolve(recordDir) : null,
+  };
+}
+
+// Create the LLM provider selected by options.provider
+function createLLMProvider(options) {
+  let provider;
+  switch (options.provider) {
+    case 'gemini':
+      provider = createGeminiProvider(options);
+      break;
+    case 'openai':
+      provider = createOpenAIProvider(options);
+      break;
+    case 'fixture':
+      provider = createFixtureProvider(options);
+      break;
+    default:
+      throw new Error(`Unknown LLM provider "${options.provider}" (expected gemini, openai or fixture)`);
+  }
+  return options.recordDir ? withRecording(provider, options.recordDir) : provider;
+}
+
+export { createLLMProvider, resolveLLMOptions, hashPrompt };
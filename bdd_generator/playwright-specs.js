@@ -0,0 +1,236 @@
+// bdd_generator/playwright-specs.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const { parse } = require('@babel/parser');
+import { parseGherkin } from './gherkin-validator.js';
+
+// Playwright locator for an element node, preferring ids, then labels, placeholders and visible text
+function elementLocator(element) {
+  if (element.id) return `page.locator('#${element.id}')`;
+  if (element.ariaLabel) return `page.getByLabel(${JSON.stringify(element.ariaLabel)})`;
+  if (element.label) return `page.getByLabel(${JSON.stringify(element.label)})`;
+  if (element.placeholder) return `page.getByPlaceholder(${JSON.stringify(element.placeholder)})`;
+  if (element.name) return `page.locator('${element.tag}[name="${element.name}"]')`;
+  if (element.text && element.tag === 'button') return `page.getByRole('button', { name: ${JSON.stringify(element.text)} })`;
+  if (element.text && ['a', 'link', 'navlink'].includes(element.tag)) return `page.getByRole('link', { name: ${JSON.stringify(element.text)} })`;
+  if (element.text) return `page.getByText(${JSON.stringify(element.text)})`;
+  return null;
+}
+
+// Selector lines for the elements of the component and the components it navigates to,
+// so login or navigation steps in a scenario can be automated as well
+function describeSelectors(graph, componentKey) {
+  const components = [componentKey, ...graph.edges
+    .filter(edge => edge.relation === 'navigates-to' && edge.to !== componentKey && graph.nodes[edge.to]?.type === 'component'
+      && (edge.from === componentKey || edge.to === componentKey))
+    .map(edge => (edge.from === componentKey ? edge.to : edge.from))];
+  const lines = [];
+  for (const component of [...new Set(components)]) {
+    for (const edge of graph.edges.filter(e => e.from === component && e.relation === 'contains')) {
+      const element = graph.nodes[edge.to];
+      const locator = element && elementLocator(element);
+      if (!locator) continue;
+      const description = [element.label && `label "${element.label}"`, element.text && `text "${element.text}"`, element.inputType && `type ${element.inputType}`]
+        .filter(Boolean).join(', ');
+      lines.push(`- ${graph.nodes[component]?.name || component} ${element.tag}${description ? ` (${description})` : ''}: ${locator}`);
+    }
+  }
+  return lines;
+}
+
+// Route lines (component -> path) taken from the graph's component nodes
+function describeRoutes(graph) {
+  return Object.entries(graph.nodes)
+    .filter(([, node]) => node.type === 'component' && node.route)
+    .map(([key, node]) => `- ${node.name || key}: ${node.route}`);
+}
+
+// Steps of every scenario in a feature, with the feature- and rule-level Background steps first.
+// Returns { feature, scenarios: [{ name, line, outline, parameters, steps: [{ keyword, text, line, title }] }] },
+// where parameters are the column names of an outline's Examples tables
+function featureScenarios(featureText) {
+  const { document, errors } = parseGherkin(featureText);
+  if (!document?.feature) throw new Error(`Cannot read feature: ${errors.join('; ') || 'no Feature found'}`);
+
+  const toStep = step => ({ keyword: step.keyword.trim(), text: step.text, line: step.location.line, title: `${step.keyword.trim()} ${step.text}` });
+  const scenarios = [];
+  const collect = (children, inherited) => {
+    let background = [];
+    for (const child of children) {
+      if (child.background) {
+        background = child.background.steps.map(toStep);
+      } else if (child.scenario) {
+        scenarios.push({
+          name: child.scenario.name,
+          line: child.scenario.location.line,
+          outline: child.scenario.examples.length > 0,
+          parameters: [...new Set(child.scenario.examples.flatMap(examples => (examples.tableHeader?.cells || []).map(cell => cell.value)))],
+          steps: [...inherited, ...background, ...child.scenario.steps.map(toStep)],
+        });
+      } else if (child.rule) {
+        collect(child.rule.children, [...inherited, ...background]);
+      }
+    }
+  };
+  collect(document.feature.children, []);
+  return { feature: document.feature.name, scenarios };
+}
+
+function buildSpecPrompt({ featureText, featureFile, selectors, stepSelectors, routes, baseUrl }) {
+  return `
+    Convert the Gherkin feature below into a Playwright Test spec written in JavaScript (ES modules).
+    - Import { test, expect } from '@playwright/test' and set test.use({ baseURL: '${baseUrl}' }); navigate with relative paths (page.goto('/dashboard')).
+    - Create one test() per scenario, named after the scenario. For a Scenario Outline, loop over the Examples rows and create one test() per row; its step titles may fill in the parameters with a template literal named after the column (\`When I enter \${row.amount}\` for 'When I enter <amount>').
+    - Wrap the code of every step, including Background steps, in await test.step('<Keyword> <step text>', async () => { ... }), where the title is the keyword and step text exactly as written in the feature (e.g. 'When I click the \\'Transfer\\' button'), in the same order.
+    - Use only the selectors listed below to locate elements, and the step selectors where a step has one; use expect(...) assertions for Then steps.
+    - Do not include markdown fences or explanations—output raw JavaScript only.
+
+    **Feature File:** ${featureFile}
+    ${featureText}
+
+    **Known Selectors (from the code knowledge graph):**
+    ${selectors.join('\n    ') || 'None found; locate elements by role and visible text.'}
+
+    **Step Selectors (elements each step refers to):**
+    ${stepSelectors.join('\n    ') || 'None resolved.'}
+
+    **Routes:**
+    ${routes.join('\n    ') || 'None found.'}
+
+    **Base URL:**
+    ${baseUrl}
+  `;
+}
+
+function buildSpecRepairPrompt(specCode, errors) {
+  return `
+    The following Playwright spec failed validation. Fix every listed problem and return the complete corrected spec.
+    - It must be valid JavaScript importing from '@playwright/test'.
+    - Every Gherkin step needs its own await test.step('<Keyword> <step text>', ...) with the exact step text, in order.
+    - Do not include markdown fences or explanations—output raw JavaScript only.
+
+    **Validation Errors:**
+    ${errors.map(error => `- ${error}`).join('\n    ')}
+
+    **Spec To Repair:**
+    ${specCode}
+  `;
+}
+
+// Strip markdown fences from generated code
+function cleanSpecCode(specCode) {
+  return specCode.trim()
+    .replace(/^```(?:javascript|js|typescript|ts)?\s*\n?/i, '')
+    .replace(/\n?```\s*$/, '')
+    .trim();
+}
+
+// Outline parameter a template expression reads: amount, row.amount, example['to user']; null otherwise
+function parameterName(expression) {
+  if (expression.type === 'Identifier') return expression.name;
+  if (expression.type !== 'MemberExpression') return null;
+  if (!expression.computed && expression.property.type === 'Identifier') return expression.property.name;
+  if (expression.computed && expression.property.type === 'StringLiteral') return expression.property.value;
+  return null;
+}
+
+// Title of a test.step(...) call as { title, parameters }, or null. A template literal's expressions
+// must read Scenario Outline parameters; they are written back as <name>, the way the step reads in the
+// feature (`When I enter ${row.amount}` -> 'When I enter <amount>').
+function stepTitle(node) {
+  const callee = node.callee;
+  if (callee?.type !== 'MemberExpression' || callee.object.name !== 'test' || callee.property.name !== 'step') return null;
+  const title = node.arguments[0];
+  if (title?.type === 'StringLiteral') return { title: title.value, parameters: [] };
+  if (title?.type !== 'TemplateLiteral') return null;
+  const parameters = title.expressions.map(parameterName);
+  if (parameters.includes(null)) return null;
+  return {
+    title: title.quasis.map((quasi, index) => `${quasi.value.cooked}${index < parameters.length ? `<${parameters[index]}>` : ''}`).join(''),
+    parameters,
+  };
+}
+
+// Parse a generated spec and check it against the feature's scenarios. Returns
+// { valid, errors, stepMap }, where stepMap links every Gherkin step to the line of its test.step.
+function validatePlaywrightSpec(specCode, scenarios) {
+  let ast;
+  try {
+    ast = parse(specCode, { sourceType: 'module', plugins: ['jsx'] });
+  } catch (error) {
+    return { valid: false, errors: [`Syntax error: ${error.message}`], stepMap: [] };
+  }
+
+  const errors = [];
+  if (!ast.program.body.some(statement => statement.type === 'ImportDeclaration' && statement.source.value === '@playwright/test')) {
+    errors.push('Missing import from \'@playwright/test\'');
+  }
+
+  const steps = [];
+  let testCount = 0;
+  const visit = node => {
+    if (!node || typeof node.type !== 'string') return;
+    if (node.type === 'CallExpression') {
+      const title = stepTitle(node);
+      if (title !== null) steps.push({ ...title, line: node.loc.start.line });
+      else if (node.callee.type === 'Identifier' && node.callee.name === 'test') testCount++;
+    }
+    for (const key of Object.keys(node)) {
+      if (['loc', 'leadingComments', 'trailingComments'].includes(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(visit);
+      else if (child && typeof child.type === 'string') visit(child);
+    }
+  };
+  visit(ast.program);
+  if (testCount === 0) errors.push('No test() calls found');
+
+  // Steps must appear in order; a Scenario Outline's steps may repeat inside its Examples loop and
+  // may fill in its parameters through template literals
+  const stepMap = [];
+  let cursor = 0;
+  for (const scenario of scenarios) {
+    const mappedSteps = [];
+    for (const step of scenario.steps) {
+      const index = steps.findIndex((candidate, i) => i >= cursor && candidate.title.trim() === step.title
+        && candidate.parameters.every(name => scenario.parameters.includes(name)));
+      if (index === -1) {
+        errors.push(`Scenario "${scenario.name}": no test.step titled "${step.title}" (feature line ${step.line})`);
+        continue;
+      }
+      cursor = index + 1;
+      mappedSteps.push({ keyword: step.keyword, text: step.text, featureLine: step.line, specLine: steps[index].line });
+    }
+    stepMap.push({ scenario: scenario.name, featureLine: scenario.line, steps: mappedSteps });
+  }
+
+  return { valid: errors.length === 0, errors, stepMap };
+}
+
+// Generate a Playwright spec for one feature file, repairing it with the validation errors up to
+// maxRepairAttempts times. Returns { specCode, validation }.
+async function generatePlaywrightSpec({ llm, featureFile, featureText, graph, componentKey, baseUrl, stepSelectors = [], maxRepairAttempts = 2 }) {
+  const { scenarios } = featureScenarios(featureText);
+  const prompt = buildSpecPrompt({
+    featureText,
+    featureFile,
+    selectors: describeSelectors(graph, componentKey),
+    stepSelectors,
+    routes: describeRoutes(graph),
+    baseUrl,
+  });
+  const key = `playwright-${featureFile.replace(/\.feature$/, '')}`;
+
+  console.log(`Generating Playwright spec for ${featureFile} with ${llm.name} (${llm.model})`);
+  let specCode = cleanSpecCode(await llm.generate(prompt, { key }));
+  let validation = validatePlaywrightSpec(specCode, scenarios);
+  for (let attempt = 1; !validation.valid && attempt <= maxRepairAttempts; attempt++) {
+    console.log(`Playwright spec for ${featureFile} failed validation, repair attempt ${attempt}/${maxRepairAttempts}:`);
+    validation.errors.forEach(error => console.log(`  - ${error}`));
+    specCode = cleanSpecCode(await llm.generate(buildSpecRepairPrompt(specCode, validation.errors), { key }));
+    validation = validatePlaywrightSpec(specCode, scenarios);
+  }
+  return { specCode, validation };
+}
+
+export { generatePlaywrightSpec, validatePlaywrightSpec, featureScenarios, describeSelectors, elementLocator };
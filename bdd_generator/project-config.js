@@ -0,0 +1,157 @@
+// bdd_generator/project-config.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const { minimatch } = require('minimatch');
+
+// Looked up in the working directory when --config is not given
+const CONFIG_FILE_NAMES = ['bdd-generator.config.json', 'bdd-generator.config.yaml', 'bdd-generator.config.yml'];
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+const ratio = { type: 'number', minimum: 0, maximum: 1 };
+const section = properties => ({ type: 'object', additionalProperties: false, properties });
+
+const CONFIG_SCHEMA = section({
+  paths: section({
+    components: { type: 'string', description: 'Components directory' },
+    src: { type: 'string', description: 'Project source root holding the router' },
+    backend: { type: 'string', description: 'Spring Boot sources' },
+    design: { ...stringList, description: 'Design documents, base spec first' },
+    output: { type: 'string', description: 'Directory of the feature files, specs, selector maps and reports' },
+    features: { type: 'string', description: 'Feature file directory, when not <output>/features' },
+    cache: { type: 'string' },
+    memory: { type: 'string' },
+    vectorStore: { type: 'string' },
+  }),
+  baseUrl: { type: 'string', pattern: '^https?://', description: 'Overrides the base URL of the design documents' },
+  additionalInfo: { type: 'string' },
+  model: section({
+    provider: { enum: ['gemini', 'openai', 'fixture'] },
+    embedder: { enum: ['transformers', 'hash'] },
+    name: { type: 'string' },
+    baseUrl: { type: 'string' },
+    temperature: { type: 'number', minimum: 0, maximum: 2 },
+    fixtures: { type: 'string' },
+  }),
+  scenarios: section({
+    minPositive: { type: 'integer', minimum: 0 },
+    minNegative: { type: 'integer', minimum: 0 },
+  }),
+  thresholds: section({
+    similarContext: { ...ratio, description: 'Similarity above which another component\'s scenarios are shown to the model' },
+    designFact: { ...ratio, description: 'Similarity above which a design section is taken as the landing page or as requiring login' },
+    dedup: { ...ratio, description: 'Similarity above which scenarios are duplicates' },
+  }),
+  prompts: section({
+    generation: { type: 'string', description: 'Template file replacing the generation prompt' },
+    rules: { ...stringList, description: 'Rules added to the generation prompt' },
+  }),
+  generation: section({
+    repairAttempts: { type: 'integer', minimum: 0, description: 'Rounds in which invalid Gherkin is sent back to the model' },
+  }),
+  coverage: section({
+    target: { type: 'number', minimum: 0, maximum: 100, description: 'Percent of covered nodes at which gap filling stops' },
+    gapAttempts: { type: 'integer', minimum: 0, description: 'Gap-filling requests per component' },
+  }),
+  watch: section({
+    debounce: { type: 'integer', minimum: 0, description: 'Milliseconds to wait for further changes before regenerating' },
+  }),
+  api: section({
+    port: { type: 'integer', minimum: 0, maximum: 65535 },
+  }),
+  include: { ...stringList, description: 'Globs of component files to generate for, relative to the components directory' },
+  exclude: stringList,
+});
+
+const validateConfig = new Ajv({ allErrors: true }).compile(CONFIG_SCHEMA);
+
+// Command-line flags that override a setting, by the setting's place in CONFIG_SCHEMA
+const CLI_SETTINGS = {
+  'min-positive': 'scenarios.minPositive',
+  'min-negative': 'scenarios.minNegative',
+  'dedup-threshold': 'thresholds.dedup',
+  temperature: 'model.temperature',
+  'repair-attempts': 'generation.repairAttempts',
+  'coverage-target': 'coverage.target',
+  'gap-attempts': 'coverage.gapAttempts',
+  'watch-debounce': 'watch.debounce',
+  port: 'api.port',
+};
+
+function findConfigFile(dir) {
+  const file = CONFIG_FILE_NAMES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+  return file || null;
+}
+
+// Read and validate a config file (JSON or YAML). Paths, including the prompt template, are resolved
+// against the file's directory and the template is read. Without a file every section is empty.
+function loadProjectConfig(file) {
+  const config = { file, paths: {}, model: {}, scenarios: {}, thresholds: {}, prompts: {}, generation: {}, coverage: {}, watch: {}, api: {}, include: [], exclude: [] };
+  if (!file) return config;
+
+  let raw;
+  try {
+    const text = fs.readFileSync(file, 'utf-8');
+    raw = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+  if (!validateConfig(raw ?? {})) {
+    const problems = validateConfig.errors.map(error => `${error.instancePath || '/'} ${error.message}${error.params.additionalProperty ? ` (${error.params.additionalProperty})` : ''}`);
+    throw new Error(`Invalid config file ${file}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const dir = path.dirname(file);
+  const resolve = value => path.resolve(dir, value);
+  Object.assign(config, raw);
+  config.file = file;
+  config.paths = Object.fromEntries(Object.entries(raw?.paths || {}).map(([name, value]) => [name, Array.isArray(value) ? value.map(resolve) : resolve(value)]));
+  config.model = { ...raw?.model, ...(raw?.model?.fixtures ? { fixtures: resolve(raw.model.fixtures) } : {}) };
+  config.prompts = { ...raw?.prompts };
+  if (config.prompts.generation) {
+    const templateFile = resolve(config.prompts.generation);
+    try {
+      config.prompts.generation = fs.readFileSync(templateFile, 'utf-8');
+    } catch (error) {
+      throw new Error(`Cannot read prompt template ${templateFile}: ${error.message}`);
+    }
+  }
+  return config;
+}
+
+// Apply the CLI_SETTINGS flags given in args over the config. The flag values are checked against the
+// config schema first, so --coverage-target abc is rejected just like the same value in the file.
+// sources names where a value came from when it was not the flag itself, e.g. { port: 'BDD_API_PORT' }.
+function applyCliSettings(config, args, sources = {}) {
+  const settings = {};
+  const flags = {};
+  for (const [flag, setting] of Object.entries(CLI_SETTINGS)) {
+    if (args[flag] === undefined) continue;
+    const [sectionName, name] = setting.split('.');
+    settings[sectionName] = { ...settings[sectionName], [name]: args[flag] };
+    flags[`/${sectionName}/${name}`] = sources[flag] || `--${flag}`;
+  }
+  if (!validateConfig(settings)) {
+    const problems = validateConfig.errors.map(error => `${flags[error.instancePath] || error.instancePath} ${error.message}`);
+    throw new Error(`Invalid command-line option(s):\n  - ${problems.join('\n  - ')}`);
+  }
+  for (const [sectionName, values] of Object.entries(settings)) config[sectionName] = { ...config[sectionName], ...values };
+  return config;
+}
+
+// Whether a component file (relative to the components directory) passes the include and exclude globs
+function matchesGlobs(file, { include = [], exclude = [] }) {
+  const name = file.split(path.sep).join('/');
+  const matches = glob => minimatch(name, glob, { dot: true });
+  return (include.length === 0 || include.some(matches)) && !exclude.some(matches);
+}
+
+// Fill the {{name}} placeholders of a prompt template; unknown names are left as they are
+function renderPromptTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+}
+
+export { loadProjectConfig, applyCliSettings, findConfigFile, matchesGlobs, renderPromptTemplate, CONFIG_SCHEMA };
@@ -0,0 +1,232 @@
+// bdd_generator/react-state.js
+const STATE_HOOKS = ['useState', 'useReducer'];
+const EFFECT_HOOKS = ['useEffect', 'useLayoutEffect'];
+const STORAGE_OBJECTS = ['localStorage', 'sessionStorage'];
+const STORAGE_OPERATIONS = { getItem: 'reads', setItem: 'writes', removeItem: 'removes', clear: 'removes' };
+const MAX_SNIPPET_LENGTH = 80;
+
+// Name of a hook call: useState(...) or React.useState(...)
+function hookName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.object.name === 'React') return callee.property.name;
+  return null;
+}
+
+function isEffectCall(node) {
+  return node.type === 'CallExpression' && EFFECT_HOOKS.includes(hookName(node.callee));
+}
+
+// Source text of a node, shortened for prompts
+function snippet(code, node) {
+  const text = code.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+  return text.length > MAX_SNIPPET_LENGTH ? `${text.slice(0, MAX_SNIPPET_LENGTH - 3)}...` : text;
+}
+
+// Root identifiers referenced by an expression: message.includes('failed') -> ['message']
+function referencedNames(node) {
+  const names = new Set();
+  const visit = current => {
+    if (!current || typeof current.type !== 'string') return;
+    if (current.type === 'Identifier') {
+      names.add(current.name);
+      return;
+    }
+    if (current.type === 'MemberExpression') {
+      visit(current.object);
+      if (current.computed) visit(current.property);
+      return;
+    }
+    if (current.type === 'ObjectProperty') {
+      visit(current.value);
+      return;
+    }
+    for (const key of Object.keys(current)) {
+      if (['loc', 'start', 'end', 'leadingComments', 'trailingComments'].includes(key)) continue;
+      const child = current[key];
+      if (Array.isArray(child)) child.forEach(visit);
+      else if (child && typeof child.type === 'string') visit(child);
+    }
+  };
+  visit(node);
+  return [...names];
+}
+
+// Name every effect callback per component (effect#1, effect#2, ...) in source order
+function collectEffectNames(ast, componentAt) {
+  const names = new Map();
+  const counters = {};
+  const visit = node => {
+    if (!node || typeof node.type !== 'string') return;
+    if (isEffectCall(node)) {
+      const component = componentAt(node.start);
+      if (component) {
+        counters[component] = (counters[component] || 0) + 1;
+        names.set(node, `effect#${counters[component]}`);
+      }
+    }
+    for (const key of Object.keys(node)) {
+      if (['loc', 'leadingComments', 'trailingComments'].includes(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(visit);
+      else if (child && typeof child.type === 'string') visit(child);
+    }
+  };
+  visit(ast.program);
+  return names;
+}
+
+// Describe the element a conditional belongs to, e.g. p#transfer-message
+function describeElement(jsxElement) {
+  const opening = jsxElement.openingElement;
+  const tag = opening.name.name || 'element';
+  const id = opening.attributes.find(attr => attr.type === 'JSXAttribute' && attr.name.name === 'id')?.value?.value;
+  return id ? `${tag}#${id}` : tag;
+}
+
+function literalValue(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+// Babel visitor recording React state and data flow into result:
+// states (useState/useReducer), stateUpdates (setter calls), effects with their dependencies,
+// storage (localStorage/sessionStorage access) and conditionals (JSX rendered or styled based on state).
+// handlerAt(path, component) names the function a node sits in.
+function stateFlowVisitor({ code, componentAt, handlerAt, effectNames, result }) {
+  result.states = [];
+  result.stateUpdates = [];
+  result.effects = [];
+  result.storage = [];
+  result.conditionals = [];
+
+  return {
+    VariableDeclarator(declaratorPath) {
+      const { id, init } = declaratorPath.node;
+      if (id.type !== 'ArrayPattern' || init?.type !== 'CallExpression' || !STATE_HOOKS.includes(hookName(init.callee))) return;
+      const component = componentAt(declaratorPath.node.start);
+      const [valueNode, setterNode] = id.elements;
+      if (!component || valueNode?.type !== 'Identifier') return;
+      const initial = init.arguments[0] ? snippet(code, init.arguments[0]) : null;
+      const storageKeys = [...(initial || '').matchAll(/((?:local|session)Storage)\.getItem\(\s*['"`]([^'"`]+)['"`]/g)].map(match => `${match[1]}:${match[2]}`);
+      result.states.push({
+        component,
+        name: valueNode.name,
+        setter: setterNode?.type === 'Identifier' ? setterNode.name : null,
+        hook: hookName(init.callee),
+        initial,
+        storageKeys,
+      });
+    },
+    CallExpression(callPath) {
+      const { node } = callPath;
+      const component = componentAt(node.start);
+      if (!component) return;
+
+      if (isEffectCall(node)) {
+        const callback = node.arguments[0];
+        const depsNode = node.arguments[1];
+        const calls = new Set();
+        if (callback) callPath.get('arguments.0').traverse({
+          CallExpression(innerPath) {
+            if (innerPath.node.callee.type === 'Identifier' && !innerPath.node.callee.name.startsWith('set')) {
+              calls.add(innerPath.node.callee.name);
+            }
+          },
+        });
+        result.effects.push({
+          component,
+          name: effectNames.get(node),
+          dependencies: depsNode?.type === 'ArrayExpression' ? depsNode.elements.map(element => snippet(code, element)) : null,
+          dependencyNames: depsNode?.type === 'ArrayExpression' ? referencedNames(depsNode) : [],
+          calls: [...calls],
+        });
+        return;
+      }
+
+      const callee = node.callee;
+      if (callee.type === 'Identifier' && /^set[A-Z]/.test(callee.name)) {
+        // Show what a named value holds: setUser(updatedUser) -> { ...user, balance: user.balance - Number(amount) }
+        let valueNode = node.arguments[0];
+        if (valueNode?.type === 'Identifier') {
+          const init = callPath.scope.getBinding(valueNode.name)?.path.node.init;
+          if (init) valueNode = init;
+        }
+        result.stateUpdates.push({
+          component,
+          setter: callee.name,
+          handler: handlerAt(callPath, component),
+          value: valueNode ? snippet(code, valueNode) : null,
+        });
+        return;
+      }
+
+      if (callee.type === 'MemberExpression' && !callee.computed && STORAGE_OPERATIONS[callee.property.name]) {
+        const object = callee.object;
+        const storage = object.type === 'Identifier' ? object.name
+          : object.type === 'MemberExpression' && object.object.name === 'window' ? object.property.name
+            : null;
+        if (!STORAGE_OBJECTS.includes(storage)) return;
+        result.storage.push({
+          component,
+          storage,
+          operation: STORAGE_OPERATIONS[callee.property.name],
+          key: literalValue(node.arguments[0]) || (callee.property.name === 'clear' ? '*' : '?'),
+          handler: handlerAt(callPath, component),
+        });
+      }
+    },
+    JSXExpressionContainer(containerPath) {
+      const expression = containerPath.node.expression;
+      const component = componentAt(containerPath.node.start);
+      if (!component) return;
+      const isJsx = node => node && ['JSXElement', 'JSXFragment'].includes(node.type);
+
+      if (containerPath.parentPath.isJSXAttribute() && expression.type === 'ConditionalExpression') {
+        // className={message.includes('failed') ? 'text-danger' : 'text-success'}
+        result.conditionals.push({
+          component,
+          kind: 'attribute',
+          attribute: containerPath.parentPath.node.name.name,
+          element: describeElement(containerPath.parentPath.parentPath.parentPath.node),
+          condition: snippet(code, expression.test),
+          names: referencedNames(expression.test),
+          outcomes: [literalValue(expression.consequent) ?? snippet(code, expression.consequent), literalValue(expression.alternate) ?? snippet(code, expression.alternate)],
+        });
+      } else if (expression.type === 'LogicalExpression' && expression.operator === '&&' && isJsx(expression.right)) {
+        // {message && <p id="transfer-message">...</p>}
+        result.conditionals.push({
+          component,
+          kind: 'render',
+          element: expression.right.type === 'JSXElement' ? describeElement(expression.right) : 'fragment',
+          condition: snippet(code, expression.left),
+          names: referencedNames(expression.left),
+          outcomes: null,
+        });
+      } else if (expression.type === 'ConditionalExpression' && (isJsx(expression.consequent) || isJsx(expression.alternate))) {
+        result.conditionals.push({
+          component,
+          kind: 'render',
+          element: [expression.consequent, expression.alternate].map(branch => (branch.type === 'JSXElement' ? describeElement(branch) : snippet(code, branch))).join(' | '),
+          condition: snippet(code, expression.test),
+          names: referencedNames(expression.test),
+          outcomes: null,
+        });
+      } else if (expression.type === 'CallExpression' && expression.callee.type === 'MemberExpression'
+        && expression.callee.property.name === 'map') {
+        // {transactions.map(t => <li>...</li>)}
+        result.conditionals.push({
+          component,
+          kind: 'list',
+          element: 'list',
+          condition: snippet(code, expression.callee.object),
+          names: referencedNames(expression.callee.object),
+          outcomes: null,
+        });
+      }
+    },
+  };
+}
+
+export { stateFlowVisitor, collectEffectNames, isEffectCall };
@@ -0,0 +1,166 @@
+// bdd_generator/review.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const fs = require('fs').promises;
+import { scenarioSummary } from './scenario-dedup.js';
+import { alignSequences } from './lcs.js';
+
+// A feature file without a review entry is a draft
+const REVIEW_STATES = ['draft', 'approved', 'rejected'];
+const DIFF_CONTEXT = 3;
+
+// Load the review store: { scenarios: { [featureFile]: entry } }
+async function loadReviews(file) {
+  try {
+    const reviews = JSON.parse(await fs.readFile(file, 'utf-8'));
+    if (!reviews.scenarios) reviews.scenarios = {};
+    return reviews;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return { scenarios: {} };
+  }
+}
+
+async function saveReviews(file, reviews) {
+  await fs.writeFile(file, JSON.stringify(reviews, null, 2));
+}
+
+function reviewState(reviews, featureFile) {
+  return reviews.scenarios[featureFile]?.state || 'draft';
+}
+
+// Record a review decision for a feature file. Approving stores the approved text, which later
+// regenerations keep; rejecting needs a reason, which is fed back to the model.
+// details is { componentId, componentName, content, reason, reviewer }.
+function setReviewState(reviews, featureFile, state, { componentId, componentName, content, reason = null, reviewer = null }) {
+  if (!REVIEW_STATES.includes(state)) throw new Error(`Unknown review state "${state}"; expected one of ${REVIEW_STATES.join(', ')}`);
+  if (state === 'rejected' && !reason) throw new Error(`A reason is required to reject ${featureFile}`);
+  if (state === 'draft') {
+    delete reviews.scenarios[featureFile];
+    return null;
+  }
+  const entry = {
+    featureFile,
+    componentId,
+    componentName,
+    scenario: scenarioSummary(content)?.name || null,
+    state,
+    reason: state === 'rejected' ? reason : null,
+    reviewer,
+    reviewedAt: new Date().toISOString(),
+    content,
+    proposal: null,
+  };
+  reviews.scenarios[featureFile] = entry;
+  return entry;
+}
+
+// Review entries of one component
+function componentReviews(reviews, componentId) {
+  return Object.values(reviews.scenarios).filter(entry => entry.componentId === componentId);
+}
+
+// Line diff of two texts in unified format, with DIFF_CONTEXT lines of context around each change
+function unifiedDiff(before, after, { fromFile = 'a', toFile = 'b' } = {}) {
+  const a = before.replace(/\n$/, '').split('\n');
+  const b = after.replace(/\n$/, '').split('\n');
+  // Line numbers are 1-based; an added line sits after old line oldIndex, a removed one after new line newIndex
+  const lines = alignSequences(a, b).map(({ sign, oldIndex, newIndex }) => ({
+    sign,
+    text: sign === '+' ? b[newIndex] : a[oldIndex],
+    oldLine: sign === '+' ? oldIndex : oldIndex + 1,
+    newLine: sign === '-' ? newIndex : newIndex + 1,
+  }));
+  if (lines.every(line => line.sign === ' ')) return '';
+
+  // Group changes whose context overlaps into hunks
+  const hunks = [];
+  lines.forEach((line, index) => {
+    if (line.sign === ' ') return;
+    const start = Math.max(0, index - DIFF_CONTEXT);
+    const end = Math.min(lines.length, index + DIFF_CONTEXT + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else hunks.push({ start, end });
+  });
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const { start, end } of hunks) {
+    const hunk = lines.slice(start, end);
+    const oldLines = hunk.filter(line => line.sign !== '+');
+    const newLines = hunk.filter(line => line.sign !== '-');
+    const oldStart = oldLines.length > 0 ? oldLines[0].oldLine : hunk[0].oldLine;
+    const newStart = newLines.length > 0 ? newLines[0].newLine : hunk[0].newLine;
+    output.push(`@@ -${oldStart},${oldLines.length} +${newStart},${newLines.length} @@`, ...hunk.map(line => `${line.sign}${line.text}`));
+  }
+  return `${output.join('\n')}\n`;
+}
+
+// Sort a component's freshly generated feature files by their reviewed counterparts. A candidate
+// matches a reviewed scenario when it has the same file or scenario name, or (given embed and
+// similarity) a similarity of at least threshold. Approved scenarios are kept as approved; a differing
+// candidate becomes a proposal with a diff when propose is set. Candidates matching a rejected scenario
+// are suppressed. Returns { drafts, approved, proposals, suppressed }.
+async function applyReviews(candidates, entries, { propose = true, embed = null, similarity = null, threshold = 1 } = {}) {
+  const normalise = name => (name || '').trim().toLowerCase();
+  const reviewed = [];
+  for (const entry of entries.filter(other => other.state !== 'draft')) {
+    const summary = scenarioSummary(entry.content);
+    reviewed.push({ entry, summary, embedding: embed && summary ? await embed(summary.text, { fileName: entry.featureFile, componentName: entry.componentName }) : null });
+  }
+
+  const drafts = [];
+  const proposals = [];
+  const suppressed = [];
+  const matched = new Set();
+  for (const candidate of candidates) {
+    const summary = scenarioSummary(candidate.content);
+    let match = reviewed.find(({ entry }) => entry.featureFile === candidate.fileName || (summary && normalise(entry.scenario) === normalise(summary.name)));
+    if (!match && embed && summary) {
+      const embedding = await embed(summary.text, candidate);
+      let best = 0;
+      for (const other of reviewed.filter(({ embedding: otherEmbedding }) => otherEmbedding)) {
+        const score = similarity(embedding, other.embedding);
+        if (score >= threshold && score > best) {
+          best = score;
+          match = other;
+        }
+      }
+    }
+
+    if (!match) {
+      drafts.push(candidate);
+    } else if (match.entry.state === 'rejected') {
+      suppressed.push({ featureFile: candidate.fileName, scenario: summary?.name || null, rejected: match.entry.featureFile, reason: match.entry.reason });
+    } else if (!matched.has(match.entry.featureFile)) {
+      matched.add(match.entry.featureFile);
+      if (propose && candidate.content.trim() !== match.entry.content.trim()) {
+        proposals.push({
+          featureFile: match.entry.featureFile,
+          scenario: match.entry.scenario,
+          content: candidate.content,
+          diff: unifiedDiff(match.entry.content, candidate.content, { fromFile: `${match.entry.featureFile} (approved)`, toFile: `${match.entry.featureFile} (regenerated)` }),
+        });
+      }
+    }
+  }
+
+  const approved = entries.filter(entry => entry.state === 'approved').map(entry => ({ fileName: entry.featureFile, content: entry.content }));
+  return { drafts, approved, proposals, suppressed };
+}
+
+// Prompt section listing a component's approved and rejected scenarios, so the model keeps the former
+// and does not produce the latter again
+function reviewFeedback(entries) {
+  const approved = entries.filter(entry => entry.state === 'approved');
+  const rejected = entries.filter(entry => entry.state === 'rejected');
+  if (approved.length === 0 && rejected.length === 0) return 'No scenarios of this component have been reviewed yet.';
+  return [
+    '**Approved Scenarios (kept as they are; describe the same behaviour with the same names):**',
+    ...(approved.length > 0 ? approved.map(entry => `- ${entry.scenario}`) : ['None.']),
+    '',
+    '**Rejected Scenarios (do not generate these or equivalent scenarios again):**',
+    ...(rejected.length > 0 ? rejected.map(entry => `- ${entry.scenario}: ${entry.reason}`) : ['None.']),
+  ].join('\n    ');
+}
+
+export { loadReviews, saveReviews, reviewState, setReviewState, componentReviews, applyReviews, reviewFeedback, unifiedDiff, REVIEW_STATES };
@@ -0,0 +1,153 @@
+// bdd_generator/scenario-dedup.js
+import { parseGherkin, collectScenarios } from './gherkin-validator.js';
+
+// Name, step count and comparable text of the scenario in a split feature file. The Background is
+// left out: every scenario of a component shares it, so it would make them all look alike.
+function scenarioSummary(featureText) {
+  const { document } = parseGherkin(featureText);
+  const scenario = collectScenarios(document?.feature)[0];
+  if (!scenario) return null;
+  const steps = scenario.steps.map(step => `${step.keyword.trim()} ${step.text}`);
+  return { name: scenario.name, steps: steps.length, outline: scenario.examples.length > 0, text: [scenario.name, ...steps].join('\n') };
+}
+
+// Last line of a step, including its data table or doc string
+function stepEndLine(step, lines) {
+  if (step.dataTable) return step.dataTable.rows[step.dataTable.rows.length - 1].location.line;
+  if (!step.docString) return step.location.line;
+  const closing = lines.findIndex((line, index) => index >= step.docString.location.line && line.trim().startsWith(step.docString.delimiter));
+  return closing === -1 ? step.location.line : closing + 1;
+}
+
+const indentOf = line => line.match(/^\s*/)[0];
+const tableRow = (indent, values) => `${indent}| ${values.map(value => value.replace(/\|/g, '\\|')).join(' | ')} |`;
+
+// Values a plain scenario gives an outline's parameters, when its steps are the outline's steps with the
+// <parameters> filled in: { amount: '10', ... }, or null
+function outlineValues(outline, scenario) {
+  if (outline.steps.length !== scenario.steps.length) return null;
+  const values = {};
+  for (const [index, step] of outline.steps.entries()) {
+    const names = [...step.text.matchAll(/<([^>]+)>/g)].map(match => match[1]);
+    const pattern = new RegExp(`^${step.text.split(/<[^>]+>/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('(.+?)')}$`);
+    const match = scenario.steps[index].text.match(pattern);
+    if (!match) return null;
+    for (const [position, name] of names.entries()) {
+      if (values[name] !== undefined && values[name] !== match[position + 1]) return null;
+      values[name] = match[position + 1];
+    }
+  }
+  return values;
+}
+
+// Fold a near-duplicate scenario into the one that is kept. Examples rows the kept outline lacks are
+// added to its first Examples table: those of the duplicate's tables with the same columns, or the
+// duplicate itself when it is the outline with its parameters filled in. The duplicate's Then steps
+// (with the And/But steps after them) that the kept scenario lacks are added after its last step, when
+// both are outlines or both are not and the steps use no parameter the kept one lacks.
+// Returns { content, steps, rows } with the numbers of steps and rows added.
+function mergeScenario(keptText, duplicateText) {
+  const kept = collectScenarios(parseGherkin(keptText).document?.feature)[0];
+  const duplicate = collectScenarios(parseGherkin(duplicateText).document?.feature)[0];
+  if (!kept || !duplicate) return { content: keptText, steps: 0, rows: 0 };
+  const lines = keptText.split('\n');
+  const insertions = [];
+
+  const columns = kept.examples[0]?.tableHeader?.cells.map(cell => cell.value) || [];
+  const table = kept.examples[0];
+  const rows = [];
+  if (table?.tableHeader) {
+    const known = new Set((table.tableBody || []).map(row => row.cells.map(cell => cell.value).join('\u0000')));
+    const candidates = [];
+    for (const examples of duplicate.examples.filter(other => other.tableHeader)) {
+      const header = examples.tableHeader.cells.map(cell => cell.value);
+      if (header.length !== columns.length || !columns.every(column => header.includes(column))) continue;
+      (examples.tableBody || []).forEach(row => candidates.push(columns.map(column => row.cells[header.indexOf(column)].value)));
+    }
+    const filledIn = duplicate.examples.length === 0 ? outlineValues(kept, duplicate) : null;
+    if (filledIn && columns.every(column => filledIn[column] !== undefined)) candidates.push(columns.map(column => filledIn[column]));
+    for (const values of candidates) {
+      if (known.has(values.join('\u0000'))) continue;
+      known.add(values.join('\u0000'));
+      rows.push(values);
+    }
+    const lastRow = (table.tableBody || []).slice(-1)[0] || table.tableHeader;
+    const indent = indentOf(lines[lastRow.location.line - 1]);
+    if (rows.length > 0) insertions.push({ after: lastRow.location.line, lines: rows.map(values => tableRow(indent, values)) });
+  }
+
+  const keptSteps = new Set(kept.steps.map(step => step.text.trim().toLowerCase()));
+  const firstOutcome = duplicate.steps.findIndex(step => step.keywordType === 'Outcome');
+  const sameKind = (kept.examples.length > 0) === (duplicate.examples.length > 0);
+  const steps = (firstOutcome === -1 || !sameKind ? [] : duplicate.steps.slice(firstOutcome))
+    .filter(step => !step.dataTable && !step.docString && !keptSteps.has(step.text.trim().toLowerCase()))
+    .filter(step => [...step.text.matchAll(/<([^>]+)>/g)].every(match => columns.includes(match[1])));
+  if (steps.length > 0 && kept.steps.length > 0) {
+    const last = kept.steps[kept.steps.length - 1];
+    const indent = indentOf(lines[last.location.line - 1]);
+    insertions.push({ after: stepEndLine(last, lines), lines: steps.map(step => `${indent}And ${step.text}`) });
+  }
+
+  // Later insertions first, so the line numbers of earlier ones still hold
+  insertions.sort((a, b) => b.after - a.after).forEach(({ after, lines: added }) => lines.splice(after, 0, ...added));
+  return { content: lines.join('\n'), steps: steps.length, rows: rows.length };
+}
+
+// Drop or merge near-duplicate scenarios before they are written. candidates are the component's new
+// feature files (one scenario each); existing are the kept feature files of other components,
+// [{ fileName, content, componentName }]. Within the component the most complete copy (an outline, or
+// else the one with most steps) absorbs its duplicates, taking over their extra Then steps and Examples
+// rows; a scenario duplicating another component's is dropped, since that component already tests it. embed(text, feature) returns the embedding of a feature's scenario text,
+// similarity(a, b) compares two.
+// Returns { kept, removed }, where kept carries the merged content and removed is
+// [{ featureFile, componentName, scenario, action, duplicateOf, similarity, reason }].
+async function dedupeScenarios(candidates, { componentName, existing = [], embed, similarity, threshold }) {
+  const entries = [];
+  const describe = entry => ({ featureFile: entry.fileName, componentName: entry.componentName, scenario: entry.name });
+  for (const feature of existing) {
+    const summary = scenarioSummary(feature.content);
+    if (summary) entries.push({ ...feature, ...summary, own: false, embedding: await embed(summary.text, feature) });
+  }
+
+  const removed = [];
+  const remove = (entry, action, duplicate, score, reason) => {
+    removed.push({ ...describe(entry), action, duplicateOf: describe(duplicate), similarity: Math.round(score * 1000) / 1000, reason });
+  };
+  for (const feature of candidates) {
+    const summary = scenarioSummary(feature.content);
+    if (!summary) continue;
+    const entry = { ...feature, ...summary, componentName, own: true, embedding: await embed(summary.text, { ...feature, componentName }) };
+
+    let best = null;
+    for (const other of entries) {
+      const score = similarity(entry.embedding, other.embedding);
+      if (score >= threshold && (!best || score > best.score)) best = { other, score };
+    }
+    if (!best) {
+      entries.push(entry);
+      continue;
+    }
+
+    const { other, score } = best;
+    if (!other.own) {
+      remove(entry, 'dropped', other, score, `near-duplicate of ${other.componentName}'s "${other.name}", which already covers it`);
+      continue;
+    }
+    const entryWins = entry.outline !== other.outline ? entry.outline : entry.steps > other.steps;
+    const [winner, loser] = entryWins ? [entry, other] : [other, entry];
+    const merge = mergeScenario(winner.content, loser.content);
+    winner.content = merge.content;
+    const why = winner.outline && !loser.outline ? 'is an outline' : `has ${winner.steps === loser.steps ? 'as many' : 'more'} steps (${winner.steps} vs ${loser.steps})`;
+    const added = [merge.steps > 0 && `${merge.steps} step(s)`, merge.rows > 0 && `${merge.rows} Examples row(s)`].filter(Boolean).join(' and ');
+    remove(loser, 'merged', winner, score, `near-duplicate of "${winner.name}", which ${why}${added ? `; ${added} merged into it` : ''}`);
+    if (entryWins) entries.splice(entries.indexOf(other), 1, entry);
+  }
+
+  const keptEntries = new Map(entries.filter(entry => entry.own).map(entry => [entry.fileName, entry]));
+  const kept = candidates
+    .filter(feature => keptEntries.has(feature.fileName) || !scenarioSummary(feature.content))
+    .map(feature => (keptEntries.has(feature.fileName) ? { ...feature, content: keptEntries.get(feature.fileName).content } : feature));
+  return { kept, removed };
+}
+
+export { dedupeScenarios, scenarioSummary, mergeScenario };
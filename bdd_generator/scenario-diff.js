@@ -0,0 +1,211 @@
+// bdd_generator/scenario-diff.js
+import { resolveFeatureSelectors } from './selector-resolver.js';
+import { alignSequences } from './lcs.js';
+
+// Relations that attach a node to its component in the code graph
+const COMPONENT_RELATIONS = ['contains', 'defines', 'uses', 'navigates-to', 'at-route', 'has-state', 'has-effect', 'renders-conditionally', 'renders'];
+// Old and new scenarios without a common name are paired when this share of their steps is the same
+const PAIRING_THRESHOLD = 0.5;
+
+const edgeKey = edge => `${edge.from} -${edge.relation}-> ${edge.to}`;
+const normaliseName = name => (name || '').trim().toLowerCase();
+
+// The component's node, the nodes it reaches through COMPONENT_RELATIONS and the edges leaving any of
+// them. Other components it renders or navigates to are reached through edges but not included.
+function componentSubgraph(graph, componentKey) {
+  const nodes = new Map();
+  if (!graph?.nodes[componentKey]) return { nodes, edges: [] };
+  nodes.set(componentKey, graph.nodes[componentKey]);
+  for (const edge of graph.edges.filter(other => other.from === componentKey && COMPONENT_RELATIONS.includes(other.relation))) {
+    if (graph.nodes[edge.to] && graph.nodes[edge.to].type !== 'component') nodes.set(edge.to, graph.nodes[edge.to]);
+  }
+  return { nodes, edges: graph.edges.filter(edge => nodes.has(edge.from)) };
+}
+
+// Nodes and edges of a component that were added, removed or modified between two code graphs.
+// Returns [{ key, kind: 'node' | 'edge', type, change, properties }], where properties names the
+// changed properties of a modified node.
+function componentGraphChanges(oldGraph, newGraph, componentKey) {
+  if (!oldGraph) return [];
+  const before = componentSubgraph(oldGraph, componentKey);
+  const after = componentSubgraph(newGraph, componentKey);
+  const changes = [];
+
+  for (const [key, node] of after.nodes) {
+    const old = before.nodes.get(key);
+    if (!old) {
+      changes.push({ key, kind: 'node', type: node.type, change: 'added', properties: [] });
+      continue;
+    }
+    const properties = [...new Set([...Object.keys(old), ...Object.keys(node)])].filter(name => JSON.stringify(old[name]) !== JSON.stringify(node[name]));
+    if (properties.length > 0) changes.push({ key, kind: 'node', type: node.type, change: 'modified', properties });
+  }
+  for (const [key, node] of before.nodes) {
+    if (!after.nodes.has(key)) changes.push({ key, kind: 'node', type: node.type, change: 'removed', properties: [] });
+  }
+
+  const beforeEdges = new Map(before.edges.map(edge => [edgeKey(edge), edge]));
+  const afterEdges = new Map(after.edges.map(edge => [edgeKey(edge), edge]));
+  for (const [key, edge] of afterEdges) {
+    if (!beforeEdges.has(key)) changes.push({ key, kind: 'edge', type: edge.relation, change: 'added', from: edge.from, to: edge.to, properties: [] });
+  }
+  for (const [key, edge] of beforeEdges) {
+    if (!afterEdges.has(key)) changes.push({ key, kind: 'edge', type: edge.relation, change: 'removed', from: edge.from, to: edge.to, properties: [] });
+  }
+  return changes;
+}
+
+// Step-level changes between two step lists: [{ change: 'added' | 'removed' | 'modified', before, after }],
+// where a removed step directly replaced by an added one counts as modified
+function diffSteps(oldSteps, newSteps) {
+  const a = oldSteps.map(step => `${step.keyword} ${step.text}`);
+  const b = newSteps.map(step => `${step.keyword} ${step.text}`);
+  const changes = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    const paired = Math.min(removed.length, added.length);
+    for (let k = 0; k < paired; k++) changes.push({ change: 'modified', before: removed[k], after: added[k] });
+    removed.slice(paired).forEach(step => changes.push({ change: 'removed', before: step, after: null }));
+    added.slice(paired).forEach(step => changes.push({ change: 'added', before: null, after: step }));
+    removed = [];
+    added = [];
+  };
+  for (const { sign, oldIndex, newIndex } of alignSequences(a, b)) {
+    if (sign === ' ') flush();
+    else if (sign === '+') added.push(newSteps[newIndex]);
+    else removed.push(oldSteps[oldIndex]);
+  }
+  flush();
+  return changes;
+}
+
+// Share of steps two scenarios have in common
+function stepOverlap(a, b) {
+  const titles = steps => new Set(steps.map(step => `${step.keyword} ${step.text}`.toLowerCase()));
+  const left = titles(a.steps);
+  const right = titles(b.steps);
+  const common = [...left].filter(title => right.has(title)).length;
+  return common / Math.max(1, new Set([...left, ...right]).size);
+}
+
+// Graph changes a set of steps plausibly relates to: elements the steps refer to (and the handlers
+// those elements trigger), routes and API paths they mention, and navigations to pages they name
+function linkChanges(steps, changes, graph, componentKey) {
+  const text = steps.map(step => step.text).join('\n').toLowerCase();
+  const elements = new Set(steps.flatMap(step => step.elements.map(element => element.element)));
+  const handlers = new Set((graph?.edges || []).filter(edge => edge.relation === 'triggers' && elements.has(edge.from)).map(edge => edge.to));
+  const mentions = key => {
+    const node = graph?.nodes[key];
+    if (elements.has(key) || handlers.has(key)) return true;
+    if (key.startsWith('/')) return key !== '/' && text.includes(key.toLowerCase());
+    if (node?.type === 'api') {
+      const words = node.path.split('/').filter(segment => segment && segment !== 'api' && !/^[{:]/.test(segment));
+      return words.length > 0 && text.includes(words[words.length - 1].toLowerCase());
+    }
+    if (node?.type === 'component' && key !== componentKey) return text.includes((node.name || key).toLowerCase());
+    return false;
+  };
+  return changes
+    .filter(change => (change.kind === 'node' ? mentions(change.key) : mentions(change.to) || (change.from !== componentKey && mentions(change.from))))
+    .map(change => change.key);
+}
+
+// Scenario- and step-level differences between a component's feature files before and after
+// regeneration, each linked to the component's code-graph changes it relates to.
+// before and after are [{ fileName, content }]. Returns { component, graphChanges, added, removed,
+// modified, unchanged }, where modified entries carry their step changes and every entry its causes.
+function diffComponentFeatures({ componentKey, before, after, oldGraph, newGraph }) {
+  const graphChanges = componentGraphChanges(oldGraph, newGraph, componentKey);
+  const read = (features, graph) => features.flatMap(({ fileName, content }) => {
+    try {
+      return resolveFeatureSelectors(fileName, content, graph || { nodes: {}, edges: [] }, componentKey).scenarios.map(scenario => ({ featureFile: fileName, ...scenario }));
+    } catch (error) {
+      return [];
+    }
+  });
+  const oldScenarios = read(before, oldGraph);
+  const newScenarios = read(after, newGraph);
+
+  // Pair scenarios by name, then the remaining ones by shared steps
+  const pairs = [];
+  const unpairedOld = new Set(oldScenarios);
+  const unpairedNew = new Set(newScenarios);
+  for (const scenario of newScenarios) {
+    const old = [...unpairedOld].find(other => normaliseName(other.name) === normaliseName(scenario.name));
+    if (old) {
+      pairs.push([old, scenario]);
+      unpairedOld.delete(old);
+      unpairedNew.delete(scenario);
+    }
+  }
+  const candidates = [...unpairedOld].flatMap(old => [...unpairedNew].map(scenario => ({ old, scenario, overlap: stepOverlap(old, scenario) })))
+    .filter(candidate => candidate.overlap >= PAIRING_THRESHOLD)
+    .sort((a, b) => b.overlap - a.overlap);
+  for (const { old, scenario } of candidates) {
+    if (!unpairedOld.has(old) || !unpairedNew.has(scenario)) continue;
+    pairs.push([old, scenario]);
+    unpairedOld.delete(old);
+    unpairedNew.delete(scenario);
+  }
+
+  const describe = scenario => ({ featureFile: scenario.featureFile, scenario: scenario.name });
+  const modified = [];
+  let unchanged = 0;
+  for (const [old, scenario] of pairs) {
+    const steps = diffSteps(old.steps, scenario.steps);
+    if (steps.length === 0 && old.name === scenario.name) {
+      unchanged++;
+      continue;
+    }
+    const causes = new Set([
+      ...linkChanges(steps.map(step => step.before).filter(Boolean), graphChanges, oldGraph, componentKey),
+      ...linkChanges(steps.map(step => step.after).filter(Boolean), graphChanges, newGraph, componentKey),
+    ]);
+    modified.push({
+      ...describe(scenario),
+      renamedFrom: old.name !== scenario.name ? old.name : null,
+      previousFeatureFile: old.featureFile,
+      steps: steps.map(({ change, before: oldStep, after: newStep }) => ({
+        change,
+        before: oldStep ? `${oldStep.keyword} ${oldStep.text}` : null,
+        after: newStep ? `${newStep.keyword} ${newStep.text}` : null,
+      })),
+      causes: [...causes],
+    });
+  }
+
+  return {
+    component: componentKey,
+    graphChanges,
+    added: [...unpairedNew].map(scenario => ({ ...describe(scenario), causes: linkChanges(scenario.steps, graphChanges, newGraph, componentKey) })),
+    removed: [...unpairedOld].map(scenario => ({ ...describe(scenario), causes: linkChanges(scenario.steps, graphChanges, oldGraph, componentKey) })),
+    modified,
+    unchanged,
+  };
+}
+
+// Render a regeneration diff report ({ generatedAt, components }) as Markdown for reviewers
+function renderDiffMarkdown(report) {
+  const lines = [`# Scenario changes`, '', `Generated ${report.generatedAt}.`];
+  const causes = list => (list.length > 0 ? ` _(caused by: ${list.map(cause => `\`${cause}\``).join(', ')})_` : '');
+  for (const component of report.components) {
+    lines.push('', `## ${component.component}`, '');
+    if (component.graphChanges.length > 0) {
+      lines.push('Code changes:', ...component.graphChanges.map(change => `- ${change.change} ${change.kind} \`${change.key}\`${change.properties.length > 0 ? ` (${change.properties.join(', ')})` : ''}`), '');
+    }
+    component.added.forEach(scenario => lines.push(`- **Added** "${scenario.scenario}" (${scenario.featureFile})${causes(scenario.causes)}`));
+    component.removed.forEach(scenario => lines.push(`- **Removed** "${scenario.scenario}" (${scenario.featureFile})${causes(scenario.causes)}`));
+    for (const scenario of component.modified) {
+      lines.push(`- **Modified** "${scenario.scenario}"${scenario.renamedFrom ? ` (was "${scenario.renamedFrom}")` : ''} (${scenario.featureFile})${causes(scenario.causes)}`);
+      for (const step of scenario.steps) {
+        if (step.before) lines.push(`  - \`- ${step.before}\``);
+        if (step.after) lines.push(`  - \`+ ${step.after}\``);
+      }
+    }
+    lines.push(`- ${component.unchanged} scenario(s) unchanged`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export { diffComponentFeatures, componentGraphChanges, diffSteps, linkChanges, renderDiffMarkdown };
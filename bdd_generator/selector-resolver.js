@@ -0,0 +1,171 @@
+// bdd_generator/selector-resolver.js
+import { featureScenarios, elementLocator } from './playwright-specs.js';
+
+// Words in a step that name the kind of element being referenced, and the tags they fit
+const ELEMENT_KINDS = {
+  button: ['button', 'input'],
+  link: ['a', 'link', 'navlink'],
+  field: ['input', 'textarea', 'select'],
+  input: ['input', 'textarea'],
+  textbox: ['input', 'textarea'],
+  box: ['input', 'textarea'],
+  dropdown: ['select'],
+  select: ['select'],
+  checkbox: ['input'],
+  form: ['form'],
+};
+const KIND_PATTERN = Object.keys(ELEMENT_KINDS).join('|');
+const ACTION_PATTERN = 'click|clicks|press|presses|tap|taps|submit|submits|select|selects|choose|chooses|check|checks';
+const ENTRY_PATTERN = 'enter|enters|type|types|fill in|fills in|fill|fills|input|inputs|provide|provides|leave|leaves';
+// Words that describe a value rather than name an element ("a valid amount", "an empty username")
+const STOP_WORDS = new Set(['the', 'a', 'an', 'my', 'their', 'his', 'her', 'valid', 'invalid', 'correct', 'incorrect', 'wrong', 'empty', 'blank',
+  'new', 'existing', 'some', 'any', 'same', 'different', 'non', 'existent', 'nonexistent', 'negative', 'positive', 'large', 'small', 'value', 'values', 'in', 'into', 'on', 'of']);
+
+// Lower-case word tokens: "to-user" -> ['to', 'user'], "transferBtn" -> ['transfer', 'btn']
+function tokens(text) {
+  return (text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function significantTokens(text) {
+  return tokens(text).filter(token => !STOP_WORDS.has(token));
+}
+
+// Element references in a step: quoted names followed by an element word ('Transfer' button),
+// quoted names after a click-like verb, "the <name> <kind>" phrases, "as the <name>" and, failing
+// those, "enter the <name>" phrases. Returns [{ reference, kind }].
+function extractReferences(stepText) {
+  const text = stepText.replace(/\bhttps?:\/\/\S+/g, ' ');
+  const references = [];
+  const add = (reference, kind = null) => {
+    const trimmed = reference.trim();
+    if (significantTokens(trimmed).length === 0) return;
+    if (!references.some(r => r.reference.toLowerCase() === trimmed.toLowerCase())) references.push({ reference: trimmed, kind });
+  };
+
+  const quoted = new RegExp(`(?:\\b(${ACTION_PATTERN})\\s+(?:on\\s+)?(?:the\\s+)?)?(['"])(.+?)\\2(?:\\s+(${KIND_PATTERN})\\b)?`, 'gi');
+  let match;
+  while ((match = quoted.exec(text)) !== null) {
+    if (match[4] || match[1]) add(match[3], match[4]?.toLowerCase() || null);
+  }
+
+  const unquoted = text.replace(/(['"]).*?\1/g, ' ');
+  const phrase = new RegExp(`\\b(?:the|a|an|my)\\s+((?:(?!(?:the|a|an|in|into|on|of|as)\\s)[\\w-]+\\s+){0,3}?)(${KIND_PATTERN})\\b`, 'gi');
+  while ((match = phrase.exec(unquoted)) !== null) {
+    if (match[1].trim()) add(match[1], match[2].toLowerCase());
+  }
+
+  const asThe = /\bas\s+(?:the|my)\s+([\w-]+)/gi;
+  while ((match = asThe.exec(unquoted)) !== null) add(match[1], 'field');
+
+  // Fallback for steps naming no element otherwise: "I enter the amount"
+  if (references.length > 0) return references;
+  const entry = new RegExp(`\\b(?:${ENTRY_PATTERN})\\s+(?:the|a|an|my)\\s+((?:[\\w-]+\\s*){1,3}?)(?=$|\\s+(?:in|into|as|with|and|for|to)\\b|[,.])`, 'gi');
+  while ((match = entry.exec(unquoted)) !== null) {
+    if (!new RegExp(`\\b(${KIND_PATTERN})\\b`, 'i').test(match[1])) add(match[1], 'field');
+  }
+  return references;
+}
+
+// Descriptors an element can be referred to by, most specific first
+function elementDescriptors(element) {
+  return [
+    ['label', element.label],
+    ['aria-label', element.ariaLabel],
+    ['text', element.text],
+    ['id', element.id],
+    ['placeholder', element.placeholder],
+    ['name', element.name],
+  ].filter(([, value]) => value);
+}
+
+function kindMatches(kind, element) {
+  if (!kind) return true;
+  if (kind === 'button' && element.tag === 'input') return ['submit', 'button'].includes(element.inputType);
+  if (kind === 'checkbox') return element.inputType === 'checkbox';
+  return ELEMENT_KINDS[kind].includes(element.tag);
+}
+
+// Best element for a reference: a descriptor whose words all appear in the reference, or the other
+// way round, of an element whose tag fits the referenced kind
+function matchElement(reference, candidates) {
+  const referenceTokens = significantTokens(reference.reference);
+  let best = null;
+  for (const candidate of candidates) {
+    if (!kindMatches(reference.kind, candidate.element)) continue;
+    for (const [matchedBy, value] of elementDescriptors(candidate.element)) {
+      const valueTokens = significantTokens(value);
+      if (valueTokens.length === 0) continue;
+      const covered = valueTokens.every(token => referenceTokens.includes(token)) || referenceTokens.every(token => valueTokens.includes(token));
+      if (!covered) continue;
+      const overlap = valueTokens.filter(token => referenceTokens.includes(token)).length;
+      const score = overlap / Math.max(valueTokens.length, referenceTokens.length);
+      if (!best || score > best.score) best = { ...candidate, matchedBy, score };
+    }
+  }
+  return best;
+}
+
+// Components whose elements a feature of componentKey may refer to: the component itself and the
+// components it navigates to or from (login steps in a Dashboard scenario use Login's fields)
+function candidateElements(graph, componentKey) {
+  const components = new Set([componentKey]);
+  for (const edge of graph.edges) {
+    if (edge.relation !== 'navigates-to') continue;
+    if (edge.from === componentKey && graph.nodes[edge.to]?.type === 'component') components.add(edge.to);
+    if (edge.to === componentKey && graph.nodes[edge.from]?.type === 'component') components.add(edge.from);
+  }
+  // The component's own elements come first so they win ties (Signup's username field over Login's)
+  return graph.edges
+    .filter(edge => edge.relation === 'contains' && components.has(edge.from) && graph.nodes[edge.to])
+    .map(edge => ({ key: edge.to, component: edge.from, element: graph.nodes[edge.to] }))
+    .sort((a, b) => (b.component === componentKey) - (a.component === componentKey));
+}
+
+// Resolve the element references of every step in a feature to the code graph's element nodes.
+// Returns { featureFile, component, scenarios: [{ name, line, steps: [{ keyword, text, line, elements, unresolved }] }], unresolved }
+// where unresolved lists the steps that reference an element the component does not have.
+function resolveFeatureSelectors(featureFile, featureText, graph, componentKey) {
+  const candidates = candidateElements(graph, componentKey);
+  const { scenarios } = featureScenarios(featureText);
+  const unresolved = [];
+
+  const resolvedScenarios = scenarios.map(scenario => ({
+    name: scenario.name,
+    line: scenario.line,
+    steps: scenario.steps.map(step => {
+      const elements = [];
+      const missing = [];
+      for (const reference of extractReferences(step.text)) {
+        const match = matchElement(reference, candidates);
+        if (match) {
+          elements.push({ reference: reference.reference, kind: reference.kind, element: match.key, matchedBy: match.matchedBy, locator: elementLocator(match.element) });
+        } else {
+          missing.push({ reference: reference.reference, kind: reference.kind });
+          unresolved.push({ scenario: scenario.name, line: step.line, step: step.title, reference: reference.reference, kind: reference.kind });
+        }
+      }
+      return { keyword: step.keyword, text: step.text, line: step.line, elements, unresolved: missing };
+    }),
+  }));
+
+  return { featureFile, component: componentKey, scenarios: resolvedScenarios, unresolved };
+}
+
+// Prompt lines listing the resolved locator of each step's elements
+function describeStepSelectors(selectorMap) {
+  const lines = [];
+  for (const scenario of selectorMap.scenarios) {
+    for (const step of scenario.steps) {
+      for (const element of step.elements) {
+        if (element.locator) lines.push(`- "${step.keyword} ${step.text}": ${element.reference} -> ${element.locator}`);
+      }
+    }
+  }
+  return [...new Set(lines)];
+}
+
+export { resolveFeatureSelectors, describeStepSelectors, extractReferences, matchElement };
@@ -0,0 +1,388 @@
+// bdd_generator/spring-backend.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MAPPING_METHODS = { GetMapping: 'GET', PostMapping: 'POST', PutMapping: 'PUT', DeleteMapping: 'DELETE', PatchMapping: 'PATCH' };
+const STATUS_BUILDERS = { badRequest: 400, notFound: 404, unprocessableEntity: 422, internalServerError: 500, noContent: 204, ok: 200, accepted: 202 };
+const HTTP_STATUS_CODES = {
+  BAD_REQUEST: 400, UNAUTHORIZED: 401, FORBIDDEN: 403, NOT_FOUND: 404, CONFLICT: 409,
+  UNPROCESSABLE_ENTITY: 422, INTERNAL_SERVER_ERROR: 500, OK: 200, CREATED: 201, NO_CONTENT: 204,
+};
+
+// Recursively list .java files, skipping build output and tests
+async function listJavaFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (['target', 'build', 'test', 'node_modules'].includes(entry.name) || entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listJavaFiles(fullPath));
+    else if (entry.name.endsWith('.java')) files.push(fullPath);
+  }
+  return files;
+}
+
+// Blank out comments and the contents of string/char literals, keeping offsets, so braces and
+// parentheses can be matched on the masked text while values are read from the original
+function maskJava(source) {
+  let masked = '';
+  let i = 0;
+  while (i < source.length) {
+    const two = source.slice(i, i + 2);
+    if (two === '//') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      masked += ' '.repeat(stop - i);
+      i = stop;
+    } else if (two === '/*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      masked += source.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else if (source[i] === '"' || source[i] === '\'') {
+      const quote = source[i];
+      let j = i + 1;
+      while (j < source.length && source[j] !== quote) j += source[j] === '\\' ? 2 : 1;
+      masked += quote + '_'.repeat(Math.max(0, j - i - 1)) + quote;
+      i = j + 1;
+    } else {
+      masked += source[i];
+      i += 1;
+    }
+  }
+  return masked;
+}
+
+// Index of the bracket closing the one at openIndex
+function findClosing(masked, openIndex) {
+  const open = masked[openIndex];
+  const close = { '(': ')', '{': '}', '[': ']' }[open];
+  let depth = 0;
+  for (let i = openIndex; i < masked.length; i++) {
+    if (masked[i] === open) depth++;
+    else if (masked[i] === close && --depth === 0) return i;
+  }
+  return masked.length - 1;
+}
+
+function stringLiterals(text) {
+  return [...text.matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(match => match[1]);
+}
+
+// Value of a named annotation attribute, or the unnamed value: ("/x"), (value = "/x"), (path = {"/a", "/b"})
+function annotationPaths(args) {
+  if (!args) return [''];
+  const named = args.match(/\b(?:value|path)\s*=\s*(\{[^}]*\}|"[^"]*")/);
+  const source = named ? named[1] : /^\s*(\{[^}]*\}|"[^"]*")/.test(args) ? args : '';
+  const paths = stringLiterals(source.replace(/\b\w+\s*=\s*(?:RequestMethod\.\w+|\{[^}]*RequestMethod[^}]*\})/g, ''));
+  return paths.length > 0 ? paths : [''];
+}
+
+function joinPaths(prefix, suffix) {
+  return `/${[prefix, suffix].map(part => part.replace(/^\/+|\/+$/g, '')).filter(Boolean).join('/')}`;
+}
+
+// Annotations (name and argument text) written directly before an index in a class body
+function annotationsBefore(source, masked, index) {
+  const annotations = [];
+  const regex = /@(\w+)\s*(\()?/g;
+  let match;
+  while ((match = regex.exec(masked)) !== null && match.index < index) {
+    const argsStart = match[2] ? match.index + match[0].length - 1 : -1;
+    const argsEnd = argsStart >= 0 ? findClosing(masked, argsStart) : match.index + match[1].length;
+    annotations.push({ name: match[1], args: argsStart >= 0 ? source.slice(argsStart + 1, argsEnd) : null, start: match.index, end: argsEnd });
+    regex.lastIndex = argsEnd + 1;
+  }
+  return annotations;
+}
+
+// Condition of the innermost if statement enclosing position within a method body, or null
+function enclosingCondition(source, masked, bodyStart, position) {
+  const regex = /\bif\s*\(/g;
+  let condition = null;
+  let match;
+  while ((match = regex.exec(masked)) !== null && match.index < position) {
+    if (match.index < bodyStart) continue;
+    const openParen = match.index + match[0].length - 1;
+    const closeParen = findClosing(masked, openParen);
+    const afterParen = masked.slice(closeParen + 1).match(/^\s*/)[0].length + closeParen + 1;
+    const blockEnd = masked[afterParen] === '{' ? findClosing(masked, afterParen) : masked.indexOf(';', afterParen);
+    if (position > closeParen && position <= blockEnd) {
+      condition = source.slice(openParen + 1, closeParen).replace(/\s+/g, ' ').trim();
+    }
+  }
+  return condition;
+}
+
+// Message of a response body: "Transfer failed", Map.of("error", "Invalid credentials")
+function responseMessage(text) {
+  const literals = stringLiterals(text);
+  if (literals.length === 0) return null;
+  return literals.length > 1 ? literals[literals.length - 1] : literals[0];
+}
+
+// Error and success responses returned or thrown by a method body
+function extractResponses(source, masked, bodyStart, bodyEnd) {
+  const responses = [];
+  const body = masked.slice(bodyStart, bodyEnd);
+  const builderRegex = /ResponseEntity\s*\.\s*(\w+)\s*\(([^)]*)\)(\s*\.\s*body\s*\()?/g;
+  let match;
+  while ((match = builderRegex.exec(body)) !== null) {
+    const at = bodyStart + match.index;
+    let status = STATUS_BUILDERS[match[1]] ?? null;
+    if (match[1] === 'status') {
+      const statusArg = source.slice(at + match[0].indexOf('(') + 1, at + match[0].indexOf(')'));
+      status = HTTP_STATUS_CODES[statusArg.match(/HttpStatus\.(\w+)/)?.[1]] || Number(statusArg) || null;
+    }
+    if (status === null) continue;
+    let message = null;
+    if (match[3]) {
+      const bodyOpen = at + match[0].length - 1;
+      message = responseMessage(source.slice(bodyOpen + 1, findClosing(masked, bodyOpen)));
+    } else if (match[1] === 'ok' && match[2].trim()) {
+      message = responseMessage(source.slice(at, at + match[0].length));
+    }
+    responses.push({ status, message, condition: enclosingCondition(source, masked, bodyStart, at) });
+  }
+
+  const throwRegex = /throw\s+new\s+(\w+)\s*\(/g;
+  while ((match = throwRegex.exec(body)) !== null) {
+    const at = bodyStart + match.index;
+    const open = at + match[0].length - 1;
+    const args = source.slice(open + 1, findClosing(masked, open));
+    const status = HTTP_STATUS_CODES[args.match(/HttpStatus\.(\w+)/)?.[1]] || (match[1] === 'ResponseStatusException' ? null : 500);
+    responses.push({ status, message: responseMessage(args), exception: match[1], condition: enclosingCondition(source, masked, bodyStart, at) });
+  }
+  return responses;
+}
+
+// Parse the parameters of a handler method: @RequestBody, @PathVariable and @RequestParam
+function parseParameters(paramText) {
+  const parameters = [];
+  let depth = 0;
+  let current = '';
+  for (const char of paramText) {
+    if (char === '<' || char === '(') depth++;
+    if (char === '>' || char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parameters.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parameters.push(current.trim());
+
+  return parameters.map(parameter => {
+    const kind = parameter.match(/@(RequestBody|PathVariable|RequestParam|RequestHeader)/)?.[1] || null;
+    const withoutAnnotations = parameter.replace(/@\w+(\s*\([^)]*\))?/g, '').trim();
+    const name = withoutAnnotations.match(/(\w+)$/)?.[1];
+    const type = withoutAnnotations.slice(0, withoutAnnotations.length - (name || '').length).trim();
+    return { kind, name, type };
+  });
+}
+
+// Parse one Java source file into its classes, fields, methods and mappings
+function parseJavaFile(filePath, source) {
+  const masked = maskJava(source);
+  const classes = [];
+  const classRegex = /\b(class|interface|record)\s+(\w+)[^{]*\{/g;
+  let match;
+  while ((match = classRegex.exec(masked)) !== null) {
+    const bodyStart = match.index + match[0].length - 1;
+    const bodyEnd = findClosing(masked, bodyStart);
+    const classAnnotations = annotationsBefore(source, masked, match.index)
+      .filter(annotation => !/[;{}]/.test(masked.slice(annotation.end + 1, match.index)));
+    const javaClass = {
+      name: match[2],
+      file: filePath,
+      annotations: classAnnotations.map(a => a.name),
+      basePath: annotationPaths(classAnnotations.find(a => a.name === 'RequestMapping')?.args)[0],
+      fields: {},
+      methods: [],
+    };
+
+    // Walk the class body at depth 1 to find fields and methods
+    let depth = 0;
+    let segmentStart = bodyStart + 1;
+    for (let i = bodyStart + 1; i < bodyEnd; i++) {
+      const char = masked[i];
+      if (char === '{' || char === '(') {
+        if (depth === 0 && char === '{') {
+          // Blank out annotations so the method name is the identifier before the parameter list
+          const header = annotationsBefore(source, masked, i)
+            .filter(annotation => annotation.start >= segmentStart)
+            .reduce((text, a) => text.slice(0, a.start - segmentStart) + ' '.repeat(a.end + 1 - a.start) + text.slice(a.end + 1 - segmentStart), masked.slice(segmentStart, i));
+          const methodMatch = header.match(/(\w+)\s*\(([^()]*(?:\([^()]*\)[^()]*)*)\)\s*(?:throws\s+[\w.,\s]+)?\s*$/);
+          const blockEnd = findClosing(masked, i);
+          if (methodMatch && !/\b(class|interface|new)\b/.test(header)) {
+            const headerStart = segmentStart;
+            const paramsOpen = headerStart + methodMatch.index + methodMatch[0].indexOf('(');
+            const paramsClose = findClosing(masked, paramsOpen);
+            const annotations = annotationsBefore(source, masked, paramsOpen).filter(a => a.start >= headerStart);
+            javaClass.methods.push({
+              name: methodMatch[1],
+              annotations,
+              parameters: parseParameters(source.slice(paramsOpen + 1, paramsClose)),
+              bodyStart: i,
+              bodyEnd: blockEnd,
+            });
+          }
+          i = blockEnd;
+          segmentStart = i + 1;
+          continue;
+        }
+        depth++;
+      } else if (char === '}' || char === ')') {
+        depth--;
+      } else if (char === ';' && depth === 0) {
+        const statement = source.slice(segmentStart, i).replace(/@\w+(\s*\([^)]*\))?/g, ' ').trim();
+        const fieldMatch = statement.match(/(?:(?:private|protected|public|static|final)\s+)*([\w.<>,\s?[\]]+?)\s+(\w+)\s*(?:=.*)?$/s);
+        if (fieldMatch) javaClass.fields[fieldMatch[2]] = fieldMatch[1].replace(/\s+/g, ' ').trim();
+        segmentStart = i + 1;
+      }
+    }
+    classes.push(javaClass);
+    classRegex.lastIndex = bodyEnd;
+  }
+  return { classes, source, masked };
+}
+
+// Describe the HTTP mappings of a controller method: [{ method, path }]
+function methodMappings(javaClass, method) {
+  const mappings = [];
+  for (const annotation of method.annotations) {
+    if (MAPPING_METHODS[annotation.name]) {
+      annotationPaths(annotation.args).forEach(p => mappings.push({ method: MAPPING_METHODS[annotation.name], path: joinPaths(javaClass.basePath, p) }));
+    } else if (annotation.name === 'RequestMapping') {
+      const methods = [...(annotation.args || '').matchAll(/RequestMethod\.(\w+)/g)].map(m => m[1]);
+      annotationPaths(annotation.args).forEach(p => (methods.length > 0 ? methods : ['GET']).forEach(m => mappings.push({ method: m, path: joinPaths(javaClass.basePath, p) })));
+    }
+  }
+  return mappings;
+}
+
+// Replace path variables with a wildcard so /transactions/{id} matches /transactions/{userId}
+function pathShape(urlPath) {
+  return urlPath.replace(/\{[^}]+\}/g, '{}').replace(/:[^/]+/g, '{}').toLowerCase();
+}
+
+// Build a knowledge graph of the Spring Boot backend under backendDir: endpoints with their request
+// body fields, path variables and error responses, and the service methods they call with the
+// conditions under which those fail.
+async function buildBackendKnowledgeGraph(backendDir, cache) {
+  const files = await listJavaFiles(backendDir);
+  const sources = {};
+  for (const file of files) sources[file] = await fs.readFile(file, 'utf-8');
+  const hash = crypto.createHash('md5').update(files.map(file => `${path.relative(backendDir, file)}:${sources[file]}`).join('\n')).digest('hex');
+
+  const cached = cache.knowledgeGraph.backend;
+  if (cached && cached.root === backendDir && cached.hash === hash) {
+    console.log(`Using cached backend knowledge graph for ${backendDir}`);
+    return cached.graph;
+  }
+
+  console.log(`Building backend knowledge graph for ${backendDir} (${files.length} Java files)`);
+  const parsed = files.map(file => parseJavaFile(file, sources[file]));
+  const classesByName = {};
+  parsed.forEach(file => file.classes.forEach(javaClass => { classesByName[javaClass.name] = { ...javaClass, parsed: file }; }));
+
+  const graph = { nodes: {}, edges: [], baseUrl: null };
+
+  // Service methods: record the conditions under which they return false/null or throw
+  const addServiceMethod = (className, methodName) => {
+    const key = `${className}.${methodName}`;
+    if (graph.nodes[key]) return key;
+    const javaClass = classesByName[className];
+    const method = javaClass?.methods.find(m => m.name === methodName);
+    const failureConditions = [];
+    if (method) {
+      const { source, masked } = javaClass.parsed;
+      const failureRegex = /\breturn\s+(false|null|Optional\.empty\(\))\s*;|\bthrow\s+new\s+\w+/g;
+      const body = masked.slice(method.bodyStart, method.bodyEnd);
+      let match;
+      while ((match = failureRegex.exec(body)) !== null) {
+        const condition = enclosingCondition(source, masked, method.bodyStart, method.bodyStart + match.index);
+        if (condition) failureConditions.push({ condition, result: match[1] || 'exception' });
+      }
+    }
+    graph.nodes[key] = { type: 'service-method', className, name: methodName, file: javaClass ? path.relative(backendDir, javaClass.file) : null, failureConditions };
+    return key;
+  };
+
+  for (const file of parsed) {
+    for (const javaClass of file.classes) {
+      if (!javaClass.annotations.some(name => ['RestController', 'Controller'].includes(name))) continue;
+      for (const method of javaClass.methods) {
+        const mappings = methodMappings(javaClass, method);
+        if (mappings.length === 0) continue;
+
+        const body = file.source.slice(method.bodyStart, method.bodyEnd);
+        const requestBody = method.parameters.find(p => p.kind === 'RequestBody');
+        let bodyFields = [];
+        if (requestBody) {
+          if (/^Map\b/.test(requestBody.type)) {
+            // Map<String, ...> bodies: fields are the keys read with body.get("key")
+            bodyFields = [...body.matchAll(new RegExp(`\\b${requestBody.name}\\s*\\.\\s*(?:get|getOrDefault|containsKey)\\s*\\(\\s*"([^"]+)"`, 'g'))].map(m => m[1]);
+          } else {
+            bodyFields = Object.keys(classesByName[requestBody.type.replace(/<.*>/, '')]?.fields || {});
+          }
+        }
+
+        const serviceCalls = [];
+        for (const [fieldName, fieldType] of Object.entries(javaClass.fields)) {
+          for (const call of body.matchAll(new RegExp(`\\b${fieldName}\\s*\\.\\s*(\\w+)\\s*\\(`, 'g'))) {
+            if (classesByName[fieldType]) serviceCalls.push(addServiceMethod(fieldType, call[1]));
+          }
+        }
+
+        const responses = extractResponses(file.source, file.masked, method.bodyStart, method.bodyEnd);
+        for (const mapping of mappings) {
+          const key = `endpoint:${mapping.method} ${mapping.path}`;
+          graph.nodes[key] = {
+            type: 'endpoint',
+            method: mapping.method,
+            path: mapping.path,
+            controller: javaClass.name,
+            handler: method.name,
+            file: path.relative(backendDir, javaClass.file),
+            bodyFields: [...new Set(bodyFields)],
+            pathVariables: method.parameters.filter(p => p.kind === 'PathVariable').map(p => p.name),
+            requestParams: method.parameters.filter(p => p.kind === 'RequestParam').map(p => p.name),
+            errorResponses: responses.filter(r => r.status === null || r.status >= 400),
+            successResponses: responses.filter(r => r.status !== null && r.status < 400),
+          };
+          [...new Set(serviceCalls)].forEach(serviceKey => graph.edges.push({ from: key, to: serviceKey, relation: 'calls' }));
+        }
+      }
+    }
+  }
+
+  cache.knowledgeGraph.backend = { root: backendDir, hash, graph };
+  return graph;
+}
+
+// Combine the frontend code graph with the backend graph, linking each frontend API node to the
+// endpoint that serves it (matching method and path, with path variables compared by position)
+function linkBackendToCodeGraph(codeGraph, backendGraph) {
+  const linked = {
+    ...codeGraph,
+    nodes: { ...codeGraph.nodes, ...backendGraph.nodes },
+    edges: [...codeGraph.edges, ...backendGraph.edges],
+  };
+  const endpoints = Object.entries(backendGraph.nodes).filter(([, node]) => node.type === 'endpoint');
+  for (const [apiKey, api] of Object.entries(codeGraph.nodes)) {
+    if (api.type !== 'api' || !api.path) continue;
+    const endpoint = endpoints.find(([, node]) => node.method === api.method && pathShape(node.path) === pathShape(api.path));
+    if (endpoint) {
+      linked.edges.push({ from: apiKey, to: endpoint[0], relation: 'served-by' });
+    } else {
+      console.warn(`No backend endpoint found for ${apiKey}`);
+    }
+  }
+  return linked;
+}
+
+export { buildBackendKnowledgeGraph, linkBackendToCodeGraph, parseJavaFile };
@@ -0,0 +1,95 @@
+// bdd_generator/test/api-server.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+import { createApiServer } from '../api-server.js';
+
+// Start the app on a free local port; returns its base URL
+async function listen(t, app) {
+  const server = await new Promise(resolve => { const started = app.listen(0, '127.0.0.1', () => resolve(started)); });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+const post = (url, body) => fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+test('review decisions wait for a running generation', async t => {
+  const events = [];
+  let finishGeneration;
+  const app = createApiServer({
+    findComponent: async () => ({ id: 'Login.js#Login' }),
+    generate: () => new Promise(resolve => {
+      events.push('generate started');
+      finishGeneration = () => { events.push('generate finished'); resolve({ written: 1 }); };
+    }),
+    listReviews: async () => [{ featureFile: 'login-valid.feature', state: 'draft', proposal: '--- a\n+++ b\n' }],
+    reviewScenario: async ({ featureFile, state }) => { events.push(`review ${state}`); return { featureFile, state }; },
+    acceptProposal: async ({ featureFile }) => { events.push('accept proposal'); return { featureFile }; },
+  });
+  const base = await listen(t, app);
+
+  const job = await (await post(`${base}/api/generate`, {})).json();
+  const review = post(`${base}/api/reviews/login-valid.feature`, { state: 'approved' });
+  const accept = post(`${base}/api/reviews/login-valid.feature/accept-proposal`, {});
+  while (!finishGeneration) await new Promise(resolve => setTimeout(resolve, 5));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepStrictEqual(events, ['generate started']);
+
+  finishGeneration();
+  assert.deepStrictEqual(await (await review).json(), { featureFile: 'login-valid.feature', state: 'approved' });
+  assert.strictEqual((await accept).status, 200);
+  assert.deepStrictEqual(events, ['generate started', 'generate finished', 'review approved', 'accept proposal']);
+  assert.strictEqual((await (await fetch(`${base}/api/jobs/${job.id}`)).json()).status, 'succeeded');
+
+  const missing = await post(`${base}/api/reviews/unknown.feature`, { state: 'approved' });
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual((await post(`${base}/api/reviews/login-valid.feature`, { state: 'approved' })).status, 200);
+});
+
+test('generation requests are validated and queued as jobs', async t => {
+  const error = console.error;
+  console.error = () => {};
+  t.after(() => { console.error = error; });
+  const generated = [];
+  const app = createApiServer({
+    findComponent: async name => (name === 'Login' ? { id: 'Login.js#Login' } : null),
+    generate: async ({ component, force }) => {
+      generated.push([component, force]);
+      if (force) throw new Error('model unavailable');
+      return { written: 2 };
+    },
+    getCodeGraph: async () => ({ nodes: { 'Login.js#Login': { type: 'component' } }, edges: [] }),
+    readFeature: async fileName => (fileName === 'login.feature' ? 'Feature: Login\n' : null),
+    loadMemory: async () => ({ 'Login.js#Login': [{ prompt: 'p' }] }),
+  });
+  const base = await listen(t, app);
+  const waitForJob = async location => {
+    for (let attempt = 0; attempt < 200; attempt++) {
+      const job = await (await fetch(`${base}${location}`)).json();
+      if (['succeeded', 'failed'].includes(job.status)) return job;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`${location} did not finish`);
+  };
+
+  assert.deepStrictEqual(await (await fetch(`${base}/api/health`)).json(), { status: 'ok' });
+  assert.strictEqual((await post(`${base}/api/generate`, { component: 42 })).status, 400);
+  assert.deepStrictEqual(await (await post(`${base}/api/generate`, { component: 'Signup' })).json(), { error: 'Component Signup not found' });
+
+  const accepted = await post(`${base}/api/generate`, { component: 'Login' });
+  assert.strictEqual(accepted.status, 202);
+  const job = await waitForJob(accepted.headers.get('location'));
+  assert.deepStrictEqual([job.type, job.params, job.status, job.result], ['generate', { component: 'Login', force: false }, 'succeeded', { written: 2 }]);
+  const failed = await waitForJob((await post(`${base}/api/generate`, { force: true })).headers.get('location'));
+  assert.deepStrictEqual([failed.status, failed.error], ['failed', 'model unavailable']);
+  assert.deepStrictEqual(generated, [['Login', false], [null, true]]);
+  assert.deepStrictEqual((await (await fetch(`${base}/api/jobs`)).json()).map(item => item.id), [failed.id, job.id]);
+  assert.strictEqual((await fetch(`${base}/api/jobs/unknown`)).status, 404);
+
+  assert.deepStrictEqual(await (await fetch(`${base}/api/graphs/code`)).json(), { nodes: { 'Login.js#Login': { type: 'component' } }, edges: [] });
+  assert.strictEqual(await (await fetch(`${base}/api/features/login.feature`)).text(), 'Feature: Login\n');
+  assert.strictEqual((await fetch(`${base}/api/features/signup.feature`)).status, 404);
+  assert.deepStrictEqual(await (await fetch(`${base}/api/memory/Login`)).json(), [{ prompt: 'p' }]);
+  assert.deepStrictEqual(await (await fetch(`${base}/api/nothing`)).json(), { error: 'No route for GET /api/nothing' });
+});
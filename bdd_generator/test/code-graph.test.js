@@ -0,0 +1,149 @@
+// bdd_generator/test/code-graph.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { buildProjectCodeGraph } from '../code-graph.js';
+
+const TRANSFER = `import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+const api = axios.create({ baseURL: '/api/v1' });
+export default function Transfer({ accountId }) {
+  const [amount, setAmount] = useState('');
+  const [error, setError] = useState(null);
+  const [balance, setBalance] = useState(0);
+  useEffect(() => {
+    api.get(\`/accounts/\${accountId}/balance\`).then(response => setBalance(response.data.balance));
+  }, [accountId]);
+  const handleTransfer = async () => {
+    if (!amount) { setError('Amount is required'); return; }
+    await fetch('/api/transfers', { method: 'POST', body: JSON.stringify({ amount, to: accountId }) });
+    localStorage.setItem('lastTransfer', amount);
+    setError(null);
+  };
+  return (
+    <div>
+      <p>{balance}</p>
+      <input placeholder="Amount" value={amount} onChange={e => setAmount(e.target.value)} />
+      <button onClick={handleTransfer}>Send</button>
+      {error && <p className="error">{error}</p>}
+    </div>
+  );
+}
+`;
+
+// Build the code graph of a project whose files are given as { relativePath: source }
+async function graphOf(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-graph-'));
+  try {
+    for (const [file, code] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+      await fs.writeFile(path.join(dir, file), code);
+    }
+    return await buildProjectCodeGraph(dir, { knowledgeGraph: { code: {} } });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('elements sharing a label in one component each get a node', async () => {
+  const graph = await graphOf({
+    'Checkout.js': `import React from 'react';
+export default function Checkout() {
+  return (
+    <div>
+      <button onClick={() => {}}>Save</button>
+      <a href="/cart">Save</a>
+      <button onClick={() => {}}>Save</button>
+    </div>
+  );
+}
+`,
+  });
+  const elements = Object.entries(graph.nodes).filter(([, node]) => node.type === 'element').map(([key, node]) => [key, node.tag]);
+  assert.deepStrictEqual(elements, [['Checkout.js#Checkout:Save', 'button'], ['Checkout.js#Checkout:Save:a-1', 'a'], ['Checkout.js#Checkout:Save:button-2', 'button']]);
+});
+
+test('routes in App.js link components, renders and navigations across the project', async () => {
+  const graph = await graphOf({
+    'App.js': `import React from 'react';
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import LoginForm from './components/auth/LoginForm';
+import Dashboard from './components/Dashboard';
+export default function App() {
+  return (
+    <BrowserRouter>
+      <Routes>
+        <Route path="/" element={<LoginForm />} />
+        <Route path="/dashboard/:id" element={<Dashboard />} />
+      </Routes>
+    </BrowserRouter>
+  );
+}
+`,
+    'components/auth/LoginForm.js': `import React from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+export default function LoginForm() {
+  const navigate = useNavigate();
+  const handleSubmit = () => navigate('/dashboard/7');
+  return (
+    <form onSubmit={handleSubmit}>
+      <button type="submit">Log in</button>
+      <Link to="/signup">Sign up</Link>
+    </form>
+  );
+}
+`,
+    'components/Dashboard.js': `import React from 'react';
+import Summary from './Summary';
+export default function Dashboard() {
+  return <div><Summary /></div>;
+}
+`,
+    'components/Summary.js': 'export default function Summary() { return <p>Balance</p>; }\n',
+  });
+  const login = 'components/auth/LoginForm.js#LoginForm';
+  const dashboard = 'components/Dashboard.js#Dashboard';
+  assert.deepStrictEqual(graph.nodes[login], { type: 'component', name: 'LoginForm', file: 'components/auth/LoginForm.js', route: '/' });
+  assert.deepStrictEqual(['/', '/dashboard/:id', '/signup'].map(route => graph.nodes[route]?.type), ['route', 'route', 'route']);
+  const edges = relation => graph.edges.filter(edge => edge.relation === relation).map(edge => `${edge.from} -> ${edge.to}`);
+  assert.deepStrictEqual(edges('at-route'), [`${login} -> /`, `${dashboard} -> /dashboard/:id`]);
+  assert.deepStrictEqual(edges('renders'), [`App.js#App -> ${login}`, `App.js#App -> ${dashboard}`, `${dashboard} -> components/Summary.js#Summary`]);
+  // navigate() to a concrete path reaches the component at the matching route pattern; unknown paths stay routes
+  const navigations = graph.edges.filter(edge => edge.relation === 'navigates-to').map(({ to, route, handler, via }) => ({ to, route, handler, via }));
+  assert.deepStrictEqual(navigations, [
+    { to: dashboard, route: '/dashboard/:id', handler: 'handleSubmit', via: 'navigate' },
+    { to: '/signup', route: undefined, handler: null, via: 'Link' },
+  ]);
+});
+
+test('axios and fetch calls become API nodes with method, path and body keys', async () => {
+  const graph = await graphOf({ 'Transfer.js': TRANSFER });
+  const apis = Object.entries(graph.nodes).filter(([, node]) => node.type === 'api').map(([key, { method, path: apiPath, bodyKeys }]) => [key, method, apiPath, bodyKeys]);
+  assert.deepStrictEqual(apis, [
+    // The instance's baseURL is prefixed and the template literal's expression becomes a parameter
+    ['GET /api/v1/accounts/{accountId}/balance', 'GET', '/api/v1/accounts/{accountId}/balance', []],
+    ['POST /api/transfers', 'POST', '/api/transfers', ['amount', 'to']],
+  ]);
+  const uses = graph.edges.filter(edge => edge.relation === 'uses').map(({ to, handler, client }) => [to, handler, client]);
+  assert.deepStrictEqual(uses, [['GET /api/v1/accounts/{accountId}/balance', 'effect#1', 'api'], ['POST /api/transfers', 'handleTransfer', 'fetch']]);
+  assert.ok(graph.edges.some(edge => edge.from === 'Transfer.js#Transfer.handleTransfer' && edge.to === 'POST /api/transfers' && edge.relation === 'calls'));
+});
+
+test('state, effects, storage and conditional rendering are linked to the handlers that change them', async () => {
+  const graph = await graphOf({ 'Transfer.js': TRANSFER });
+  const component = 'Transfer.js#Transfer';
+  assert.deepStrictEqual(graph.nodes[`${component}.state.error`], { type: 'state', component, name: 'error', setter: 'setError', hook: 'useState', initial: 'null' });
+  assert.deepStrictEqual(graph.nodes[`${component}.effect#1`].dependencies, ['accountId']);
+  const edge = (from, to, relation) => graph.edges.find(item => item.from === from && item.to === to && item.relation === relation);
+  assert.deepStrictEqual(edge(`${component}.handleTransfer`, `${component}.state.error`, 'sets').values, ['\'Amount is required\'', 'null']);
+  assert.deepStrictEqual(edge(`${component}.effect#1`, `${component}.state.balance`, 'sets').values, ['response.data.balance']);
+  // An inline onChange sets state from the component itself
+  assert.deepStrictEqual(edge(component, `${component}.state.amount`, 'sets').values, ['e.target.value']);
+  assert.ok(edge(`${component}.handleTransfer`, 'localStorage:lastTransfer', 'writes'));
+  assert.deepStrictEqual(graph.nodes[`${component}.conditional#1`], { type: 'conditional', component, kind: 'render', element: 'p', condition: 'error', outcomes: null });
+  assert.ok(edge(`${component}.state.error`, `${component}.conditional#1`, 'controls'));
+});
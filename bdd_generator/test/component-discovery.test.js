@@ -0,0 +1,60 @@
+// bdd_generator/test/component-discovery.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { discoverComponents, findComponent, featurePrefix } from '../component-discovery.js';
+
+const FILES = {
+  'auth/LoginForm.tsx': `import React, { useState } from 'react';
+
+interface Props { onLogin: (user: string) => void }
+
+const MAX_LENGTH: number = 20;
+const trim = (value: string): string => value.trim().slice(0, MAX_LENGTH);
+
+/** Login form with a username field */
+export function LoginForm({ onLogin }: Props) {
+  const [user, setUser] = useState<string>('');
+  return <form onSubmit={() => onLogin(trim(user))}><input id="username" onChange={e => setUser(e.target.value)} /></form>;
+}
+
+export function LoginHelp() {
+  return <p>Forgot your password?</p>;
+}
+`,
+  'auth/index.ts': 'export { LoginForm as SignIn } from \'./LoginForm\';\n',
+  'admin/LoginForm.jsx': 'export default function LoginForm() {\n  return <form><input id="admin" /></form>;\n}\n',
+  'utils.js': 'export const formatAmount = amount => amount.toFixed(2);\n',
+};
+
+test('components in nested TypeScript and JSX files get their own ids, sources and aliases', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-components-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  for (const [file, source] of Object.entries(FILES)) {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), source);
+  }
+
+  const components = await discoverComponents(dir);
+  assert.deepStrictEqual(components.map(component => [component.id, component.exports, component.aliases, featurePrefix(component)]), [
+    ['admin/LoginForm.jsx#LoginForm', ['default'], [], 'admin-loginform'],
+    ['auth/LoginForm.tsx#LoginForm', ['LoginForm'], ['SignIn'], 'auth-loginform'],
+    ['auth/LoginForm.tsx#LoginHelp', ['LoginHelp'], [], 'auth-loginhelp'],
+  ]);
+
+  const [, loginForm, loginHelp] = components;
+  assert.strictEqual(loginForm.docstring, 'Login form with a username field');
+  // A component's source holds the helpers it uses, through other helpers too, but not its sibling
+  assert.match(loginForm.code, /^import React/);
+  assert.match(loginForm.code, /const MAX_LENGTH: number = 20;[\s\S]*const trim = /);
+  assert.doesNotMatch(loginForm.code, /LoginHelp/);
+  assert.strictEqual(loginHelp.code, 'export function LoginHelp() {\n  return <p>Forgot your password?</p>;\n}');
+
+  assert.strictEqual(findComponent(components, 'signin'), loginForm);
+  assert.strictEqual(findComponent(components, 'auth/LoginForm.tsx#LoginForm'), loginForm);
+  assert.strictEqual(findComponent(components, 'Signup'), null);
+});
@@ -0,0 +1,25 @@
+// bdd_generator/test/coverage.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+import { computeComponentCoverage } from '../coverage.js';
+
+const GRAPH = {
+  nodes: {
+    'Login.js#Login': { type: 'component', name: 'Login', route: '/' },
+    'Login.js#Login:login-btn': { type: 'element', component: 'Login.js#Login', tag: 'button', id: 'login-btn', text: 'Login' },
+  },
+  edges: [{ from: 'Login.js#Login', to: 'Login.js#Login:login-btn', relation: 'contains' }],
+};
+
+test('an unparseable feature file is reported and the others still count', () => {
+  const features = [
+    { fileName: 'login-broken.feature', content: 'Given a step outside any feature\n' },
+    { fileName: 'login-ok.feature', content: 'Feature: Login\n  Scenario: Log in\n    When I click the \'Login\' button\n    Then I see the dashboard\n' },
+  ];
+  const coverage = computeComponentCoverage(GRAPH, 'Login.js#Login', features);
+  assert.deepStrictEqual(coverage.unparseable.map(file => file.featureFile), ['login-broken.feature']);
+  assert.strictEqual(coverage.nodes.element[0].covered, true);
+  assert.deepStrictEqual(coverage.nodes.element[0].coveredBy.map(by => by.featureFile), ['login-ok.feature']);
+});
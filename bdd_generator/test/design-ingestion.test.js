@@ -0,0 +1,116 @@
+// bdd_generator/test/design-ingestion.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { readDesignDocument, chunkDocument, extractDesignFacts, buildDesignGraph, mergeDesignDocuments } from '../design-ingestion.js';
+
+const SPEC = `# Banking app
+
+The application runs at http://localhost:3000.
+
+## Login Page
+
+- Route: \`/login\`
+- This is the landing page.
+- Users enter their username and password and click "Log in".
+- On success the user is redirected to the Dashboard.
+- Calls \`POST /api/auth/login\`.
+- Test credentials: username "alice" and password "secret1".
+
+## Dashboard Page
+
+- Route: \`/dashboard\`
+- Users must be logged in to see the dashboard.
+- Loads the balance with \`GET /api/accounts/{id}/balance\`.
+
+## Transfer Page
+
+- Route: \`/transfer\`
+`;
+const CHANGE = `<html><body>
+<h1>Release 2</h1>
+<h2>Dashboard Screen</h2>
+<p>Route: <code>/home</code></p>
+<ul><li>Clicking the "Send money" button takes the user to /transfer.</li></ul>
+</body></html>
+`;
+
+// Write the documents to a temporary directory and read them back as { name: facts }
+async function factsOf(t, documents) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-design-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const facts = {};
+  for (const [name, content] of Object.entries(documents)) {
+    await fs.writeFile(path.join(dir, name), content);
+    facts[name] = extractDesignFacts(chunkDocument(await readDesignDocument(path.join(dir, name))), name);
+  }
+  return facts;
+}
+
+test('Markdown and HTML documents are split along their headings', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-design-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(dir, 'change.html'), CHANGE);
+  await fs.writeFile(path.join(dir, 'notes.docx'), '');
+
+  const html = await readDesignDocument(path.join(dir, 'change.html'));
+  assert.strictEqual(html.format, 'html');
+  assert.deepStrictEqual(html.sections.map(({ title, level, headings, lines }) => ({ title, level, headings, lines })), [
+    { title: 'Release 2', level: 1, headings: ['Release 2'], lines: [] },
+    { title: 'Dashboard Screen', level: 2, headings: ['Release 2', 'Dashboard Screen'], lines: ['Route: /home', '• Clicking the "Send money" button takes the user to /transfer.'] },
+  ]);
+  assert.strictEqual(chunkDocument(html)[1].text, 'Release 2\nDashboard Screen\nRoute: /home\n• Clicking the "Send money" button takes the user to /transfer.');
+  await assert.rejects(readDesignDocument(path.join(dir, 'notes.docx')), /Unsupported design document format/);
+});
+
+test('pages, routes, APIs, navigation, preconditions and test data are extracted with their source', async t => {
+  const { 'spec.md': facts } = await factsOf(t, { 'spec.md': SPEC });
+  const summary = facts.map(fact => `${fact.type} ${fact.subject} ${JSON.stringify(fact.value)}`);
+  for (const expected of [
+    'page Login {"title":"Login Page"}',
+    'route Dashboard {"path":"/dashboard"}',
+    'landing-page Login {}',
+    'navigation Login {"target":"Dashboard"}',
+    'api Login {"method":"POST","path":"/api/auth/login"}',
+    'api Dashboard {"method":"GET","path":"/api/accounts/{id}/balance"}',
+    'precondition Dashboard {"requires":"Login"}',
+    'test-data Login {"username":"alice","password":"secret1"}',
+    'base-url null {"url":"http://localhost:3000"}',
+  ]) assert.ok(summary.includes(expected), `missing ${expected}`);
+  assert.deepStrictEqual(facts.find(fact => fact.type === 'route' && fact.subject === 'Login').source, { document: 'spec.md', page: null, section: 'Login Page', chunk: 1 });
+
+  const graph = buildDesignGraph(facts, { documents: ['spec.md'] });
+  const { sources, ...login } = graph.nodes.Login;
+  assert.deepStrictEqual(login, { type: 'component', confidence: 0.97, route: '/login', isLandingPage: true, credentials: { username: 'alice', password: 'secret1' } });
+  assert.deepStrictEqual(sources, [{ document: 'spec.md', page: null, section: 'Login Page' }]);
+  assert.strictEqual(graph.nodes.Dashboard.requiresLogin, true);
+  assert.strictEqual(graph.baseUrl, 'http://localhost:3000');
+});
+
+test('a later document overrides the base spec, and the disagreement is reported with both sources', async t => {
+  const facts = await factsOf(t, { 'spec.md': SPEC, 'change.html': CHANGE });
+  const documents = Object.entries(facts).map(([document, documentFacts]) => ({ document, graph: buildDesignGraph(documentFacts, { documents: [document] }) }));
+  const { graph, conflicts } = mergeDesignDocuments(documents);
+
+  assert.deepStrictEqual(graph.documents, ['spec.md', 'change.html']);
+  assert.strictEqual(graph.nodes.Dashboard.route, '/home');
+  assert.strictEqual(graph.nodes.Dashboard.requiresLogin, true, 'facts the change does not touch are kept');
+  assert.deepStrictEqual(graph.nodes.Dashboard.sources.map(source => source.document), ['change.html', 'spec.md', 'spec.md']);
+  assert.ok(graph.edges.some(edge => edge.from === 'Dashboard' && edge.to === '/home' && edge.relation === 'at-route'));
+  assert.ok(!graph.edges.some(edge => edge.from === 'Dashboard' && edge.to === '/dashboard'));
+  const navigation = graph.edges.find(edge => edge.from === 'Dashboard' && edge.relation === 'navigates-to');
+  assert.deepStrictEqual([navigation.to, navigation.trigger, navigation.sources], ['/transfer', 'Send money button', [{ document: 'change.html', page: null, section: 'Dashboard Screen' }]]);
+
+  assert.deepStrictEqual(conflicts.map(({ kind, subject, resolution, message }) => ({ kind, subject, resolution, message })), [{
+    kind: 'route',
+    subject: 'Dashboard',
+    resolution: '/home',
+    message: 'Dashboard at /dashboard (spec.md) conflicts with Dashboard at /home (change.html); using /home',
+  }]);
+  // In the other order the base spec's route wins
+  assert.strictEqual(mergeDesignDocuments([...documents].reverse()).graph.nodes.Dashboard.route, '/dashboard');
+});
@@ -0,0 +1,15 @@
+// bdd_generator/test/drift.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+import { driftExceeds } from '../drift.js';
+
+const REPORT = { findings: [{ kind: 'component-without-route', severity: 'warning' }] };
+
+test('drift fails at or above the requested severity and rejects unknown ones', () => {
+  assert.strictEqual(driftExceeds(REPORT, 'warning'), true);
+  assert.strictEqual(driftExceeds(REPORT, 'error'), false);
+  assert.strictEqual(driftExceeds(REPORT, 'none'), false);
+  assert.throws(() => driftExceeds(REPORT, 'errors'), /Unknown drift severity "errors"/);
+});
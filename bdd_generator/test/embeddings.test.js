@@ -0,0 +1,47 @@
+// bdd_generator/test/embeddings.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { createEmbedder, resolveEmbedderName, DIMENSIONS } from '../embeddings.js';
+import { openVectorStore } from '../vector-store.js';
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+test('fixture runs default to the hash embedder, which works offline', async t => {
+  assert.strictEqual(resolveEmbedderName({}, {}, {}, 'fixture'), 'hash');
+  assert.strictEqual(resolveEmbedderName({}, {}, {}, 'gemini'), 'transformers');
+  assert.strictEqual(resolveEmbedderName({ embedder: 'transformers' }, {}, {}, 'fixture'), 'transformers');
+  assert.strictEqual(resolveEmbedderName({}, { BDD_EMBEDDER: 'hash' }, { embedder: 'transformers' }, 'gemini'), 'hash');
+  assert.throws(() => resolveEmbedderName({ embedder: 'bert' }, {}), /Unknown embedder "bert"/);
+
+  const fetch = globalThis.fetch;
+  globalThis.fetch = () => { throw new Error('network access'); };
+  t.after(() => { globalThis.fetch = fetch; });
+
+  const embed = await createEmbedder('hash');
+  const login = await embed('Scenario: Log in with valid credentials');
+  assert.strictEqual(login.length, DIMENSIONS);
+  assert.ok(Math.abs(cosine(login, login) - 1) < 1e-9);
+  assert.deepStrictEqual(await embed('Scenario: Log in with valid credentials'), login);
+  const similar = cosine(login, await embed('Scenario: Log in with invalid credentials'));
+  const unrelated = cosine(login, await embed('Then the cart shows three products'));
+  assert.ok(similar > 0.5 && similar > unrelated, `${similar} vs ${unrelated}`);
+});
+
+test('a vector store filled by another embedder is opened empty', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-store-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const warn = console.warn;
+  console.warn = () => {};
+  t.after(() => { console.warn = warn; });
+
+  const store = await openVectorStore(dir, { model: 'transformers' });
+  store.upsert('component:Login', new Array(DIMENSIONS).fill(1), { kind: 'component' });
+  await store.save();
+  assert.strictEqual((await openVectorStore(dir, { model: 'transformers' })).size(), 1);
+  assert.strictEqual((await openVectorStore(dir, { model: 'hash' })).size(), 0);
+});
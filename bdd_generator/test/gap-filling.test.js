@@ -0,0 +1,45 @@
+// bdd_generator/test/gap-filling.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+import { computeComponentCoverage } from '../coverage.js';
+import { coverageGaps, gapCount, coveredKeys, buildGapPrompt } from '../gap-filling.js';
+
+const GRAPH = {
+  nodes: {
+    'Login.js#Login': { type: 'component', name: 'Login', route: '/' },
+    'Login.js#Login:login-btn': { type: 'element', component: 'Login.js#Login', tag: 'button', id: 'login-btn', text: 'Login', handler: 'handleLogin' },
+    'Login.js#Login:Sign up': { type: 'element', component: 'Login.js#Login', tag: 'link', text: 'Sign up' },
+    'Login.js#Login.handleLogin': { type: 'handler', component: 'Login.js#Login', name: 'handleLogin' },
+    'POST /api/login': { type: 'api', method: 'POST', path: '/api/login', bodyKeys: [] },
+    '/signup': { type: 'route' },
+  },
+  edges: [
+    { from: 'Login.js#Login', to: 'Login.js#Login:login-btn', relation: 'contains' },
+    { from: 'Login.js#Login', to: 'Login.js#Login:Sign up', relation: 'contains' },
+    { from: 'Login.js#Login:login-btn', to: 'Login.js#Login.handleLogin', relation: 'triggers' },
+    { from: 'Login.js#Login', to: 'POST /api/login', relation: 'uses', handler: 'handleLogin' },
+    { from: 'Login.js#Login', to: '/signup', relation: 'navigates-to', handler: null, via: 'Link' },
+  ],
+};
+const FEATURES = [{ fileName: 'login-log-in.feature', content: 'Feature: Login\n  Scenario: Log in\n    Given I am on the login page\n    When I click the \'Login\' button\n    Then I see the dashboard\n' }];
+
+test('gaps are the uncovered elements, navigations and API calls, without routes', () => {
+  const coverage = computeComponentCoverage(GRAPH, 'Login.js#Login', FEATURES);
+  const gaps = coverageGaps(coverage);
+  // The button's handler calls the API, so clicking it covers both
+  assert.deepStrictEqual([...coveredKeys(coverage)], ['Login.js#Login:login-btn', 'POST /api/login']);
+  assert.deepStrictEqual(Object.fromEntries(Object.entries(gaps).map(([kind, nodes]) => [kind, nodes.map(node => node.key)])), {
+    element: ['Login.js#Login:Sign up'],
+    navigation: ['Login.js#Login -> /signup'],
+    api: [],
+  });
+  assert.strictEqual(gapCount(gaps), 2);
+
+  const prompt = buildGapPrompt({ componentName: 'Login', gaps, features: FEATURES, componentContext: '{}', baseUrl: 'http://localhost:3000', additionalInfo: 'none' });
+  assert.match(prompt, /\*\*Existing Scenarios:\*\*\n {4}- Log in\n/);
+  assert.match(prompt, /\*\*Uncovered Elements:\*\*\n {4}- link Sign up \(Login\.js#Login:Sign up\)\n/);
+  assert.match(prompt, /\*\*Uncovered Navigations:\*\*\n {4}- \/signup via Link \(Login\.js#Login -> \/signup\)\n/);
+  assert.match(prompt, /\*\*Uncovered API Calls:\*\*\n {4}None\.\n/);
+});
@@ -0,0 +1,84 @@
+// bdd_generator/test/gherkin-validator.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+import { validateGherkin } from '../gherkin-validator.js';
+
+const execFileAsync = promisify(execFile);
+const GENERATOR = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../generate-bdd.js');
+
+const NO_QUOTAS = { minPositive: 0, minNegative: 0 };
+const OUTLINE = 'Feature: Login\n  Scenario Outline: Log in as <user>\n    Given I am on the login page\n    When I log in as <user>\n    Then I see the dashboard\n';
+
+test('a Scenario Outline needs an Examples table with rows', () => {
+  assert.deepStrictEqual(validateGherkin(OUTLINE, NO_QUOTAS).errors, ['(2:3) Scenario "Log in as <user>" is a Scenario Outline without an "Examples:" table']);
+  assert.deepStrictEqual(validateGherkin(`${OUTLINE}    Examples:\n      | user |\n`, NO_QUOTAS).errors, ['(2:3) Scenario "Log in as <user>" is a Scenario Outline whose "Examples:" tables have no rows']);
+  assert.strictEqual(validateGherkin(`${OUTLINE}    Examples:\n      | user |\n      | alice |\n`, NO_QUOTAS).valid, true);
+});
+
+test('parser errors, misspelt step keywords and missing Then steps are reported', () => {
+  const unparsable = validateGherkin('Feature: Login\n  Scenario: Log in\n    Given I am on the login page\n  Feature: Logout\n', NO_QUOTAS);
+  assert.strictEqual(unparsable.valid, false);
+  assert.match(unparsable.errors[0], /^\(4:3\): expected: .*got 'Feature: Logout'$/);
+  assert.deepStrictEqual(validateGherkin('# Login feature\n', NO_QUOTAS).errors, ['Missing "Feature:" declaration']);
+  assert.deepStrictEqual(validateGherkin('Feature: Login\n', NO_QUOTAS).errors, ['Feature "Login" has no "Scenario:" or "Scenario Outline:" blocks']);
+  assert.deepStrictEqual(validateGherkin('Feature: Login\n  Scenario: Log in\n    Gven I am on the login page\n    When I log in\n', NO_QUOTAS).errors, [
+    '(2:3) Scenario "Log in" has a line that is not a valid step: \'Gven I am on the login page\' (steps must start with Given, When, Then, And or But)',
+    '(2:3) Scenario "Log in" has no Then step',
+  ]);
+  assert.deepStrictEqual(validateGherkin('Feature: Login\n  Scenario: Log in\n    And I log in\n    Then I see the dashboard\n', NO_QUOTAS).errors, ['(2:3) Scenario "Log in" starts with \'And\' instead of Given or When']);
+});
+
+test('outlines count towards the positive and negative quotas by their tags, then their names', () => {
+  const outline = (header, name) => `${header}  Scenario Outline: ${name}\n    When I log in as <user>\n    Then I see "<message>"\n    Examples:\n      | user | message |\n      | bob  | Welcome |\n`;
+  const feature = [
+    'Feature: Login\n',
+    outline('', 'Log in as <user>'),
+    outline('', 'Log in with an invalid password as <user>'),
+    outline('  @negative\n', 'Log in as a locked <user>'),
+    outline('  @positive\n', 'Log in without remembering <user>'),
+  ].join('\n');
+  assert.deepStrictEqual(validateGherkin(feature).counts, { positive: 2, negative: 2 });
+  assert.strictEqual(validateGherkin(feature).valid, true);
+  assert.deepStrictEqual(validateGherkin(feature, { minPositive: 3, minNegative: 3 }).errors, ['Expected at least 3 positive scenarios, found 2', 'Expected at least 3 negative scenarios, found 2']);
+});
+
+test('invalid output goes back to the model and the repaired answer is written', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-repair-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const write = async (file, content) => {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), content);
+  };
+  await write('src/components/Login.js', 'export default function Login() {\n  return <form><input id="username" /><input id="password" /><button type="submit">Log in</button></form>;\n}\n');
+  await write('design.md', '# Bank\n\n## Login page\nThe login page is the first page. Users enter their username and password.\n');
+  await write('bdd-generator.config.json', JSON.stringify({
+    paths: { components: 'src/components', src: 'src', design: ['design.md'], output: 'out', cache: 'cache.json', memory: 'memory-history.json', vectorStore: 'vector-store' },
+  }));
+  const scenario = (name, when, then) => `  Scenario: ${name}\n    Given I am on the login page\n    When ${when}\n    Then ${then}\n`;
+  // The first answer lacks a Then step and negative scenarios; the repair round's answer is valid
+  await write('fixtures/Login.txt', 'Feature: Login\n  Scenario: Log in\n    Given I am on the login page\n    When I click the "Log in" button\n');
+  await write('fixtures/Login.2.txt', ['Feature: Login\n',
+    scenario('Log in with valid credentials', 'I log in as "bob"', 'I see the dashboard'),
+    scenario('Stay logged in', 'I reload the page', 'I still see the dashboard'),
+    scenario('Log in with an invalid password', 'I enter "wrong" in the password field', 'I see an error'),
+    scenario('Log in with an empty username', 'I click the "Log in" button', 'I am asked for a username'),
+  ].join('\n'));
+
+  const env = { ...process.env };
+  delete env.GOOGLE_API_KEY;
+  const { stdout } = await execFileAsync(process.execPath, [GENERATOR, '--provider', 'fixture', '--fixtures', 'fixtures'], { env, cwd: dir });
+  assert.match(stdout, /Gherkin for Login failed validation, repair attempt 1\/2:\n {2}- \(2:3\) Scenario "Log in" has no Then step/);
+  assert.deepStrictEqual((await fs.readdir(path.join(dir, 'out/features'))).sort(), [
+    'login-log-in-with-an-empty-username.feature',
+    'login-log-in-with-an-invalid-password.feature',
+    'login-log-in-with-valid-credentials.feature',
+    'login-stay-logged-in.feature',
+  ]);
+});
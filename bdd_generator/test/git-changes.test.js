@@ -0,0 +1,52 @@
+// bdd_generator/test/git-changes.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+import { gitRoot, gitRange, changedFiles, rangeCommits } from '../git-changes.js';
+
+const GIT_ENV = { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+const LOGIN = 'export default function Login() {\n  return <form><input name="user" /><button>Log in</button></form>;\n}\n';
+
+test('renames, untracked files and ignored files in a --since and a --diff range', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-git-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const git = (...gitArgs) => execFileSync('git', gitArgs, { cwd: dir, env: GIT_ENV, stdio: 'pipe' });
+  git('init', '-q');
+  await fs.writeFile(path.join(dir, '.gitignore'), 'build/\n');
+  await fs.writeFile(path.join(dir, 'Login.js'), LOGIN);
+  await fs.writeFile(path.join(dir, 'Home.js'), 'export default function Home() {}\n');
+  git('add', '-A');
+  git('commit', '-qm', 'Add components');
+  await fs.mkdir(path.join(dir, 'auth'));
+  git('mv', 'Login.js', 'auth/Login Form.js');
+  await fs.writeFile(path.join(dir, 'Home.js'), 'export default function Home() { return null; }\n');
+  git('commit', '-qam', 'Move the login form');
+  await fs.writeFile(path.join(dir, 'Signup.js'), 'export default function Signup() {}\n');
+  await fs.mkdir(path.join(dir, 'build'));
+  await fs.writeFile(path.join(dir, 'build', 'bundle.js'), '');
+
+  const root = await gitRoot(dir);
+  const relative = changes => changes.map(({ status, path: file, previousPath }) => [status, path.relative(root, file), previousPath && path.relative(root, previousPath)]);
+
+  const since = gitRange({ since: 'HEAD~1' });
+  assert.strictEqual(since.workingTree, true);
+  assert.deepStrictEqual(relative(await changedFiles(root, since)).sort(), [
+    ['added', 'Signup.js', null],
+    ['modified', 'Home.js', null],
+    ['renamed', 'auth/Login Form.js', 'Login.js'],
+  ]);
+
+  const range = gitRange({ diff: 'HEAD~1..HEAD' });
+  assert.strictEqual(range.workingTree, false);
+  assert.deepStrictEqual(relative(await changedFiles(root, range)).sort(), [
+    ['modified', 'Home.js', null],
+    ['renamed', 'auth/Login Form.js', 'Login.js'],
+  ]);
+  assert.deepStrictEqual((await rangeCommits(root, range)).map(commit => commit.subject), ['Move the login form']);
+  await assert.rejects(changedFiles(root, gitRange({ since: 'no-such-ref' })), /git diff .* failed/);
+});
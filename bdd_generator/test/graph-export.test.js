@@ -0,0 +1,44 @@
+// bdd_generator/test/graph-export.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+import { toCypher, toGraphML, toDot, exportGraph } from '../graph-export.js';
+
+// Keys, texts and property names with the characters each format has to escape
+const GRAPH = {
+  nodes: {
+    'Login.js#Login': { type: 'component', name: 'Login' },
+    'Login.js#Login:Say "hi" & <go>': { type: 'element', component: 'Login.js#Login', text: 'It\'s a \\ back\nslash\r', 'odd`name': 1, sources: [{ document: 'a.md' }], empty: [], missing: null },
+  },
+  edges: [
+    { from: 'Login.js#Login', to: 'Login.js#Login:Say "hi" & <go>', relation: 'contains' },
+    { from: 'Login.js#Login', to: '/home', relation: 'navigates-to', labels: ['a', 'b'] },
+  ],
+};
+
+test('Cypher escapes quotes, backslashes, line breaks and backticks', () => {
+  const lines = toCypher(GRAPH).trim().split('\n');
+  assert.strictEqual(lines.length, 1 + 3 + 2);
+  assert.strictEqual(lines[2], 'MERGE (n:Node {graphKey: \'Login.js#Login:Say "hi" & <go>\'}) SET n:Element, n += '
+    + '{`component`: \'Login.js#Login\', `text`: \'It\\\'s a \\\\ back\\nslash\\r\', `odd``name`: 1, `sources`: \'[{"document":"a.md"}]\', `type`: \'element\'};');
+  assert.strictEqual(lines[3], 'MERGE (n:Node {graphKey: \'/home\'}) SET n += {};');
+  assert.strictEqual(lines[5], 'MATCH (a:Node {graphKey: \'Login.js#Login\'}), (b:Node {graphKey: \'/home\'}) MERGE (a)-[:NAVIGATES_TO {`relation`: \'navigates-to\', `labels`: [\'a\', \'b\']}]->(b);');
+});
+
+test('GraphML escapes XML special characters in ids, attributes and data', () => {
+  const graphml = toGraphML(GRAPH);
+  assert.ok(graphml.includes('<node id="Login.js#Login:Say &quot;hi&quot; &amp; &lt;go&gt;">'));
+  assert.ok(graphml.includes('<data key="n_text">It&apos;s a \\ back\nslash\r</data>'));
+  assert.ok(graphml.includes('<key id="n_odd`name" for="node" attr.name="odd`name" attr.type="double"/>'));
+  assert.ok(graphml.includes('<data key="e_labels">[&quot;a&quot;,&quot;b&quot;]</data>'));
+  assert.ok(!/<(?!\/?(graphml|key|graph|node|edge|data)\b|\?xml)/.test(graphml), 'only GraphML elements are opened');
+});
+
+test('DOT quotes ids and attributes and escapes quotes, backslashes and newlines', () => {
+  const dot = toDot(GRAPH);
+  assert.ok(dot.includes('  "Login.js#Login:Say \\"hi\\" & <go>" ["label"="Login.js#Login:Say \\"hi\\" & <go>\\n(element)", "shape"="note"'));
+  assert.ok(dot.includes('"text"="It\'s a \\\\ back\\nslash\r"'));
+  assert.ok(dot.includes('  "Login.js#Login" -> "/home" ["label"="navigates-to", "relation"="navigates-to", "labels"="[\\"a\\",\\"b\\"]"];'));
+  assert.throws(() => exportGraph(GRAPH, 'json'), /Unknown graph export format "json"/);
+});
@@ -0,0 +1,89 @@
+// bdd_generator/test/impact-analysis.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { buildProjectCodeGraph } from '../code-graph.js';
+import { codeFingerprints, analyseImpact, buildImpactPrompt } from '../impact-analysis.js';
+
+const LOGIN = (check, extraLink = '') => `import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+export default function Login() {
+  const [user, setUser] = useState('');
+  const handleLogin = () => {
+    ${check}
+    fetch('/api/login', { method: 'POST', body: JSON.stringify({ user }) });
+  };
+  return (
+    <form>
+      <input id="username" onChange={e => setUser(e.target.value)} />
+      <button type="button" onClick={handleLogin}>Log in</button>
+      <Link to="/signup">Sign up</Link>${extraLink}
+    </form>
+  );
+}
+`;
+const FEATURES = [
+  { fileName: 'login-log-in.feature', content: 'Feature: Login\n  Scenario: Log in\n    When I enter "bob" in the username field\n    And I click the \'Log in\' button\n    Then I see the dashboard\n' },
+  { fileName: 'login-sign-up.feature', content: 'Feature: Login\n  Scenario: Sign up\n    When I click the \'Sign up\' link\n    Then I am on the signup page\n' },
+];
+
+async function graphOf(code) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-impact-'));
+  try {
+    await fs.writeFile(path.join(dir, 'Login.js'), code);
+    return await buildProjectCodeGraph(dir, { knowledgeGraph: { code: {} } });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('fingerprints ignore formatting and comments but not behaviour', () => {
+  const before = codeFingerprints(LOGIN('if (!user) return;'));
+  assert.deepStrictEqual(codeFingerprints(LOGIN('// A user is needed\n    if (!user)   return ;')), before);
+  const after = codeFingerprints(LOGIN('if (!user.trim()) return;'));
+  assert.notStrictEqual(after.functions.handleLogin, before.functions.handleLogin);
+  assert.strictEqual(after.functions.Login === before.functions.Login, false);
+  assert.strictEqual(codeFingerprints('export default function ('), null);
+});
+
+test('only scenarios reaching a changed handler are affected, and unused additions are listed', async () => {
+  const before = LOGIN('if (!user) return;');
+  const after = LOGIN('if (!user.trim()) return;', '\n      <Link to="/forgot">Forgot password</Link>');
+  const impact = analyseImpact({
+    componentKey: 'Login.js#Login',
+    oldGraph: await graphOf(before),
+    newGraph: await graphOf(after),
+    oldFingerprints: codeFingerprints(before),
+    newFingerprints: codeFingerprints(after),
+    features: FEATURES,
+  });
+
+  assert.deepStrictEqual(impact.affected, [{ featureFile: 'login-log-in.feature', scenario: 'Log in', causes: ['Login.js#Login.handleLogin'] }]);
+  assert.deepStrictEqual(impact.unaffected, ['login-sign-up.feature']);
+  assert.deepStrictEqual(impact.additions.map(change => change.key), [
+    'Login.js#Login:Forgot password',
+    '/forgot',
+    'Login.js#Login -contains-> Login.js#Login:Forgot password',
+    'Login.js#Login -navigates-to-> /forgot',
+  ]);
+
+  const prompt = buildImpactPrompt({
+    componentName: 'Login',
+    affectedFeatures: FEATURES.slice(0, 1),
+    changes: impact.changes,
+    additions: impact.additions,
+    componentContext: '{}',
+    baseUrl: 'http://localhost:3000',
+    additionalInfo: 'none',
+    reviewNotes: '',
+    codeSnippet: after,
+  });
+  assert.match(prompt, /- modified handler Login\.js#Login\.handleLogin\n/);
+  assert.match(prompt, /\*\*Uncovered Additions:\*\*\n {4}- added element Login\.js#Login:Forgot password\n/);
+  assert.match(prompt, /\*\*Affected Scenarios:\*\*\n {4}Feature: Login\n {2}Scenario: Log in\n/);
+  assert.doesNotMatch(prompt, /Scenario: Sign up/);
+});
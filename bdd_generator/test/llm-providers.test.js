@@ -0,0 +1,65 @@
+// bdd_generator/test/llm-providers.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+import { createLLMProvider, resolveLLMOptions, hashPrompt } from '../llm-providers.js';
+
+const execFileAsync = promisify(execFile);
+const GENERATOR = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../generate-bdd.js');
+
+test('the fixture provider replays recorded responses without a key or network access', async t => {
+  const fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-fixtures-'));
+  t.after(() => fs.rm(fixturesDir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(fixturesDir, 'Login.txt'), 'Feature: Login');
+  await fs.writeFile(path.join(fixturesDir, `${hashPrompt('exact prompt')}.txt`), 'Feature: Exact');
+
+  const fetch = globalThis.fetch;
+  globalThis.fetch = () => { throw new Error('network access'); };
+  t.after(() => { globalThis.fetch = fetch; });
+
+  const llm = createLLMProvider(resolveLLMOptions({ provider: 'fixture', fixtures: fixturesDir }, {}));
+  assert.strictEqual(llm.name, 'fixture');
+  assert.strictEqual(await llm.generate('any prompt', { key: 'Login' }), 'Feature: Login');
+  assert.strictEqual(await llm.generate('exact prompt', { key: 'Login' }), 'Feature: Exact');
+  await assert.rejects(llm.generate('unknown prompt', { key: 'Signup' }), /No recorded fixture response/);
+});
+
+test('a recorded generation and its repair round replay in order', async t => {
+  const recordDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-record-'));
+  t.after(() => fs.rm(recordDir, { recursive: true, force: true }));
+  const responses = ['Feature: Login\n  Scenario Log in', 'Feature: Login\n  Scenario: Log in'];
+  const fetch = globalThis.fetch;
+  globalThis.fetch = async () => ({ ok: true, json: async () => ({ choices: [{ message: { content: responses.shift() } }] }) });
+  t.after(() => { globalThis.fetch = fetch; });
+
+  const recorder = createLLMProvider(resolveLLMOptions({ provider: 'openai', 'record-fixtures': recordDir }, {}));
+  const first = await recorder.generate('Generate Login scenarios', { key: 'Login' });
+  const repaired = await recorder.generate('Repair this Gherkin', { key: 'Login' });
+  assert.deepStrictEqual((await fs.readdir(recordDir)).sort(), ['Login.2.txt', 'Login.txt']);
+
+  globalThis.fetch = () => { throw new Error('network access'); };
+  const replay = createLLMProvider(resolveLLMOptions({ provider: 'fixture', fixtures: recordDir }, {}));
+  assert.strictEqual(await replay.generate('Generate Login scenarios', { key: 'Login' }), first);
+  assert.strictEqual(await replay.generate('Repair this Gherkin', { key: 'Login' }), repaired);
+});
+
+test('commands that never call the model start without GOOGLE_API_KEY', async t => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-output-'));
+  t.after(() => fs.rm(outputDir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(outputDir, 'bdd-generator.config.json'), JSON.stringify({
+    paths: { output: '.', cache: 'cache.json', memory: 'memory-history.json', vectorStore: 'vector-store' },
+  }));
+  const env = { ...process.env };
+  delete env.GOOGLE_API_KEY;
+  delete env.LLM_PROVIDER;
+
+  // Rejects when the process exits with an error
+  const { stderr } = await execFileAsync(process.execPath, [GENERATOR, '--review'], { env, cwd: outputDir });
+  assert.doesNotMatch(stderr, /GOOGLE_API_KEY/);
+});
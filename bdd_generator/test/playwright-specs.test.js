@@ -0,0 +1,43 @@
+// bdd_generator/test/playwright-specs.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+import { featureScenarios, validatePlaywrightSpec } from '../playwright-specs.js';
+
+const OUTLINE = `Feature: Transfer
+  Scenario Outline: Transfer an amount
+    When I enter "<amount>" as the amount
+    Then I see "<message>"
+
+    Examples:
+      | amount | message             |
+      | 10     | Transfer successful |
+`;
+
+const spec = titles => `import { test, expect } from '@playwright/test';
+const rows = [{ amount: '10', message: 'Transfer successful' }];
+for (const row of rows) {
+  test('Transfer an amount', async ({ page }) => {
+${titles.map(title => `    await test.step(${title}, async () => {});`).join('\n')}
+  });
+}
+`;
+
+test('outline steps may fill in their parameters with template literals', () => {
+  const { scenarios } = featureScenarios(OUTLINE);
+  assert.deepStrictEqual(scenarios[0].parameters, ['amount', 'message']);
+
+  const result = validatePlaywrightSpec(spec(['`When I enter "${row.amount}" as the amount`', '`Then I see "${row[\'message\']}"`']), scenarios);
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.stepMap[0].steps.length, 2);
+});
+
+test('template literals reading anything but outline parameters are rejected', () => {
+  const { scenarios } = featureScenarios(OUTLINE);
+  const unknown = validatePlaywrightSpec(spec(['`When I enter "${row.total}" as the amount`', '`Then I see "${row.message}"`']), scenarios);
+  assert.match(unknown.errors.join('\n'), /no test.step titled "When I enter "<amount>" as the amount"/);
+
+  const call = validatePlaywrightSpec(spec(['`When I enter "${format(row.amount)}" as the amount`', '`Then I see "${message}"`']), scenarios);
+  assert.strictEqual(call.errors.length, 1);
+});
@@ -0,0 +1,34 @@
+// bdd_generator/test/project-config.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { loadProjectConfig, applyCliSettings, matchesGlobs } from '../project-config.js';
+
+test('command-line settings are validated with the config schema', () => {
+  const config = applyCliSettings(loadProjectConfig(null), { 'coverage-target': 80, 'min-positive': 3 });
+  assert.strictEqual(config.coverage.target, 80);
+  assert.strictEqual(config.scenarios.minPositive, 3);
+
+  assert.throws(() => applyCliSettings(loadProjectConfig(null), { 'coverage-target': 'abc', 'repair-attempts': NaN }),
+    /--repair-attempts must be integer\n {2}- --coverage-target must be number/);
+  assert.throws(() => applyCliSettings(loadProjectConfig(null), { port: NaN }, { port: 'BDD_API_PORT' }), /BDD_API_PORT must be integer/);
+});
+
+test('YAML config files cannot construct JavaScript values', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-config-'));
+  try {
+    const file = path.join(dir, 'bdd-generator.config.yaml');
+    await fs.writeFile(file, 'additionalInfo: !!js/function "function () { return 1; }"\n');
+    assert.throws(() => loadProjectConfig(file), /Cannot read config file/);
+    await fs.writeFile(file, 'include: ["**/*.jsx"]\nexclude: ["legacy/**"]\n');
+    const config = loadProjectConfig(file);
+    assert.strictEqual(matchesGlobs(path.join('auth', 'Login.jsx'), config), true);
+    assert.strictEqual(matchesGlobs(path.join('legacy', 'Old.jsx'), config), false);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
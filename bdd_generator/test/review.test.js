@@ -0,0 +1,71 @@
+// bdd_generator/test/review.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { loadReviews, saveReviews, reviewState, setReviewState, componentReviews, applyReviews, reviewFeedback } from '../review.js';
+
+const feature = (name, then = 'I see the dashboard') => `Feature: Login\n  Scenario: ${name}\n    When I log in\n    Then ${then}\n`;
+const LOGIN = { componentId: 'Login.js#Login', componentName: 'Login' };
+
+test('decisions are stored, validated and fed back to the model', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-reviews-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'reviews.json');
+
+  const reviews = await loadReviews(file);
+  assert.deepStrictEqual(reviews, { scenarios: {} });
+  setReviewState(reviews, 'login-valid.feature', 'approved', { ...LOGIN, content: feature('Valid login'), reviewer: 'dana' });
+  setReviewState(reviews, 'login-remember.feature', 'rejected', { ...LOGIN, content: feature('Remember me'), reason: 'Not in scope' });
+  setReviewState(reviews, 'login-locked.feature', 'approved', { ...LOGIN, content: feature('Locked account') });
+  assert.strictEqual(setReviewState(reviews, 'login-locked.feature', 'draft', LOGIN), null);
+  assert.throws(() => setReviewState(reviews, 'login-x.feature', 'rejected', { ...LOGIN, content: feature('X') }), /A reason is required/);
+  assert.throws(() => setReviewState(reviews, 'login-x.feature', 'pinned', { ...LOGIN, content: feature('X') }), /Unknown review state "pinned"/);
+  await saveReviews(file, reviews);
+
+  const reloaded = await loadReviews(file);
+  assert.deepStrictEqual([reviewState(reloaded, 'login-valid.feature'), reviewState(reloaded, 'login-remember.feature'), reviewState(reloaded, 'login-locked.feature')], ['approved', 'rejected', 'draft']);
+  assert.deepStrictEqual([reloaded.scenarios['login-valid.feature'].scenario, reloaded.scenarios['login-valid.feature'].reviewer], ['Valid login', 'dana']);
+  assert.strictEqual(reviewFeedback(componentReviews(reloaded, 'Login.js#Login')), [
+    '**Approved Scenarios (kept as they are; describe the same behaviour with the same names):**',
+    '- Valid login',
+    '',
+    '**Rejected Scenarios (do not generate these or equivalent scenarios again):**',
+    '- Remember me: Not in scope',
+  ].join('\n    '));
+  assert.deepStrictEqual(componentReviews(reloaded, 'Signup.js#Signup'), []);
+});
+
+test('regenerated scenarios keep approved ones, become proposals or are suppressed when rejected', async () => {
+  const reviews = { scenarios: {} };
+  setReviewState(reviews, 'login-valid.feature', 'approved', { ...LOGIN, content: feature('Valid login') });
+  setReviewState(reviews, 'login-remember.feature', 'rejected', { ...LOGIN, content: feature('Remember me'), reason: 'Not in scope' });
+  const candidates = [
+    // Renamed file, same scenario name and a changed step: a proposal for the approved file
+    { fileName: 'login-valid-login.feature', content: feature('Valid login', 'I see my accounts') },
+    { fileName: 'login-remember.feature', content: feature('Remember me') },
+    { fileName: 'login-wrong-password.feature', content: feature('Wrong password', 'I see an error') },
+  ];
+
+  const result = await applyReviews(candidates, componentReviews(reviews, 'Login.js#Login'));
+  assert.deepStrictEqual(result.drafts.map(draft => draft.fileName), ['login-wrong-password.feature']);
+  assert.deepStrictEqual(result.approved, [{ fileName: 'login-valid.feature', content: feature('Valid login') }]);
+  assert.deepStrictEqual(result.suppressed, [{ featureFile: 'login-remember.feature', scenario: 'Remember me', rejected: 'login-remember.feature', reason: 'Not in scope' }]);
+  assert.strictEqual(result.proposals.length, 1);
+  assert.strictEqual(result.proposals[0].featureFile, 'login-valid.feature');
+  assert.strictEqual(result.proposals[0].diff, [
+    '--- login-valid.feature (approved)',
+    '+++ login-valid.feature (regenerated)',
+    '@@ -1,4 +1,4 @@',
+    ' Feature: Login',
+    '   Scenario: Valid login',
+    '     When I log in',
+    '-    Then I see the dashboard',
+    '+    Then I see my accounts',
+    '',
+  ].join('\n'));
+  assert.deepStrictEqual((await applyReviews(candidates, componentReviews(reviews, 'Login.js#Login'), { propose: false })).proposals, []);
+});
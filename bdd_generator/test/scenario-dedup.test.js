@@ -0,0 +1,58 @@
+// bdd_generator/test/scenario-dedup.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+import { dedupeScenarios, mergeScenario } from '../scenario-dedup.js';
+
+const OUTLINE = `Feature: Transfer
+
+  Scenario Outline: Transfer money
+    When I enter "<amount>" as the amount
+    And I click the 'Transfer' button
+    Then I see "<message>"
+
+    Examples:
+      | amount | message             |
+      | 10     | Transfer successful |
+`;
+
+test('a duplicate outline adds its missing Examples rows and Then steps', () => {
+  const duplicate = `Feature: Transfer
+
+  Scenario Outline: Send money
+    When I enter "<amount>" as the amount
+    And I click the 'Transfer' button
+    Then I see "<message>"
+    And my balance is updated
+
+    Examples:
+      | message             | amount |
+      | Transfer failed     | -5     |
+      | Transfer successful | 10     |
+`;
+  const merged = mergeScenario(OUTLINE, duplicate);
+  assert.strictEqual(merged.rows, 1);
+  assert.strictEqual(merged.steps, 1);
+  assert.match(merged.content, /Then I see "<message>"\n {4}And my balance is updated\n/);
+  assert.match(merged.content, /\| 10 {5}\| Transfer successful \|\n {6}\| -5 \| Transfer failed \|\n$/);
+});
+
+test('a plain duplicate of an outline becomes one of its Examples rows', async () => {
+  const plain = `Feature: Transfer
+
+  Scenario: Transfer too much
+    When I enter "5000" as the amount
+    And I click the 'Transfer' button
+    Then I see "Transfer failed"
+`;
+  const { kept, removed } = await dedupeScenarios([
+    { fileName: 'dashboard-transfer-too-much.feature', content: plain },
+    { fileName: 'dashboard-transfer-money.feature', content: OUTLINE },
+  ], { componentName: 'Dashboard', embed: async () => [1], similarity: () => 1, threshold: 0.9 });
+
+  assert.deepStrictEqual(kept.map(feature => feature.fileName), ['dashboard-transfer-money.feature']);
+  assert.match(kept[0].content, /\| 5000 \| Transfer failed \|/);
+  assert.strictEqual(removed[0].action, 'merged');
+  assert.match(removed[0].reason, /is an outline; 1 Examples row\(s\) merged/);
+});
@@ -0,0 +1,49 @@
+// bdd_generator/test/scenario-diff.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { buildProjectCodeGraph } from '../code-graph.js';
+import { componentGraphChanges, diffSteps } from '../scenario-diff.js';
+import { unifiedDiff } from '../review.js';
+
+const TRANSFER = prefix => `import React from 'react';
+${prefix}
+export default function Transfer() {
+  return (
+    <form onSubmit={() => {}}>
+      <input placeholder="Amount" />
+      <button>Send</button>
+    </form>
+  );
+}
+`;
+
+async function graphOf(code) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-graph-'));
+  try {
+    await fs.writeFile(path.join(dir, 'Transfer.js'), code);
+    return await buildProjectCodeGraph(dir, { knowledgeGraph: { code: {} } });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('elements without an id or text keep their key when code above them changes', async () => {
+  const before = await graphOf(TRANSFER(''));
+  const after = await graphOf(TRANSFER('// Sends money to another account\nconst CURRENCY = "EUR";\n'));
+  assert.ok(after.nodes['Transfer.js#Transfer:form-1']);
+  assert.ok(after.nodes['Transfer.js#Transfer:Amount']);
+  assert.deepStrictEqual(componentGraphChanges(before, after, 'Transfer.js#Transfer'), []);
+});
+
+test('step and line diffs share one alignment', () => {
+  const step = text => ({ keyword: 'When', text });
+  const changes = diffSteps([step('I log in'), step('I send 10'), step('I log out')], [step('I log in'), step('I send 20'), step('I log out')]);
+  assert.deepStrictEqual(changes.map(change => [change.change, change.before.text, change.after.text]), [['modified', 'I send 10', 'I send 20']]);
+  assert.strictEqual(unifiedDiff('a\nb\nc\n', 'a\nx\nc\n'), '--- a\n+++ b\n@@ -1,3 +1,3 @@\n a\n-b\n+x\n c\n');
+  assert.strictEqual(unifiedDiff('a\nb\n', 'x\ny\n'), '--- a\n+++ b\n@@ -1,2 +1,2 @@\n-a\n-b\n+x\n+y\n');
+});
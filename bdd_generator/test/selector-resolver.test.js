@@ -0,0 +1,54 @@
+// bdd_generator/test/selector-resolver.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+import { extractReferences, matchElement, resolveFeatureSelectors } from '../selector-resolver.js';
+
+const candidate = (key, element) => ({ key, component: 'Transfer.js#Transfer', element });
+const CANDIDATES = [
+  candidate('Transfer.js#Transfer:Send', { tag: 'button', text: 'Send' }),
+  candidate('Transfer.js#Transfer:amount', { tag: 'input', id: 'amount', label: 'Amount to send' }),
+  candidate('Transfer.js#Transfer:to-user', { tag: 'input', name: 'toUser', placeholder: 'Recipient' }),
+  candidate('Transfer.js#Transfer:Terms', { tag: 'input', inputType: 'checkbox', label: 'Terms' }),
+  candidate('Transfer.js#Transfer:Help', { tag: 'a', text: 'Help' }),
+];
+
+test('element references are taken from quoted names, element words and entry phrases', () => {
+  assert.deepStrictEqual(extractReferences('I click the "Send" button'), [{ reference: 'Send', kind: 'button' }]);
+  assert.deepStrictEqual(extractReferences('I click "Log in"'), [{ reference: 'Log in', kind: null }]);
+  assert.deepStrictEqual(extractReferences('I fill in the to-user field and the Amount box'), [{ reference: 'to-user', kind: 'field' }, { reference: 'Amount', kind: 'box' }]);
+  assert.deepStrictEqual(extractReferences('I log in as the admin'), [{ reference: 'admin', kind: 'field' }]);
+  assert.deepStrictEqual(extractReferences('I enter the recipient'), [{ reference: 'recipient', kind: 'field' }]);
+  // Value words name no element, and URLs are not read as quoted names
+  assert.deepStrictEqual(extractReferences('I see an empty form'), []);
+  assert.deepStrictEqual(extractReferences('I open https://bank.example/"Send" link'), []);
+});
+
+test('references match the element whose tag fits and whose descriptor covers them', () => {
+  const match = reference => {
+    const best = matchElement(reference, CANDIDATES);
+    return best && [best.key, best.matchedBy];
+  };
+  assert.deepStrictEqual(match({ reference: 'Send', kind: 'button' }), ['Transfer.js#Transfer:Send', 'text']);
+  assert.deepStrictEqual(match({ reference: 'amount', kind: 'field' }), ['Transfer.js#Transfer:amount', 'id']);
+  assert.deepStrictEqual(match({ reference: 'to user', kind: 'field' }), ['Transfer.js#Transfer:to-user', 'name']);
+  assert.deepStrictEqual(match({ reference: 'recipient', kind: 'field' }), ['Transfer.js#Transfer:to-user', 'placeholder']);
+  assert.deepStrictEqual(match({ reference: 'terms', kind: 'checkbox' }), ['Transfer.js#Transfer:Terms', 'label']);
+  assert.deepStrictEqual(match({ reference: 'Help', kind: null }), ['Transfer.js#Transfer:Help', 'text']);
+  // A link is not a button, and a text box is not a checkbox
+  assert.strictEqual(match({ reference: 'Help', kind: 'button' }), null);
+  assert.strictEqual(match({ reference: 'amount', kind: 'checkbox' }), null);
+  assert.strictEqual(match({ reference: 'currency', kind: 'field' }), null);
+});
+
+test('steps naming elements the component lacks are reported as unresolved', () => {
+  const graph = {
+    nodes: Object.fromEntries([['Transfer.js#Transfer', { type: 'component', name: 'Transfer' }], ...CANDIDATES.map(({ key, element }) => [key, { type: 'element', ...element }])]),
+    edges: CANDIDATES.map(({ key }) => ({ from: 'Transfer.js#Transfer', to: key, relation: 'contains' })),
+  };
+  const feature = 'Feature: Transfer\n  Scenario: Send money\n    When I enter the amount\n    And I click the "Send" button\n    Then I see the "Receipt" link\n';
+  const map = resolveFeatureSelectors('transfer-send-money.feature', feature, graph, 'Transfer.js#Transfer');
+  assert.deepStrictEqual(map.scenarios[0].steps.map(step => step.elements.map(element => element.element)), [['Transfer.js#Transfer:amount'], ['Transfer.js#Transfer:Send'], []]);
+  assert.deepStrictEqual(map.unresolved, [{ scenario: 'Send money', line: 5, step: 'Then I see the "Receipt" link', reference: 'Receipt', kind: 'link' }]);
+});
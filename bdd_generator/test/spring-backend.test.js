@@ -0,0 +1,114 @@
+// bdd_generator/test/spring-backend.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { buildBackendKnowledgeGraph, linkBackendToCodeGraph } from '../spring-backend.js';
+
+const FILES = {
+  'controller/TransferController.java': `package com.example.bank.controller;
+
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+@RestController
+@RequestMapping("/api/accounts")
+public class TransferController {
+    private final TransferService transferService;
+
+    public TransferController(TransferService transferService) {
+        this.transferService = transferService;
+    }
+
+    @PostMapping("/{id}/transfers")
+    public ResponseEntity<String> transfer(@PathVariable Long id, @RequestBody TransferRequest request) {
+        // A comment with a brace { and a "quote" the parser has to skip
+        if (request.getAmount() <= 0) {
+            return ResponseEntity.badRequest().body("Amount must be positive");
+        }
+        boolean done = transferService.transfer(id, request.getTo(), request.getAmount());
+        if (!done) {
+            return ResponseEntity.status(422).body("Insufficient funds");
+        }
+        return ResponseEntity.ok("Transfer successful");
+    }
+
+    @GetMapping("/{id}/balance")
+    public double balance(@PathVariable Long id, @RequestParam(required = false) String currency) {
+        return transferService.balance(id);
+    }
+}
+`,
+  'service/TransferService.java': `package com.example.bank.service;
+
+public class TransferService {
+    public boolean transfer(Long from, String to, double amount) {
+        if (balance(from) < amount) {
+            return false;
+        }
+        return true;
+    }
+
+    public double balance(Long id) {
+        return 100;
+    }
+}
+`,
+  'model/TransferRequest.java': `package com.example.bank.model;
+
+public class TransferRequest {
+    private String to;
+    private double amount;
+    public String getTo() { return to; }
+    public double getAmount() { return amount; }
+}
+`,
+};
+
+test('controllers become endpoints with body fields, responses and the service failures they call', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-backend-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  for (const [file, source] of Object.entries(FILES)) {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), source);
+  }
+  const log = console.log;
+  console.log = () => {};
+  t.after(() => { console.log = log; });
+
+  const cache = { knowledgeGraph: {} };
+  const graph = await buildBackendKnowledgeGraph(dir, cache);
+  const transfer = graph.nodes['endpoint:POST /api/accounts/{id}/transfers'];
+  assert.deepStrictEqual([transfer.controller, transfer.handler, transfer.file], ['TransferController', 'transfer', path.join('controller', 'TransferController.java')]);
+  assert.deepStrictEqual([transfer.bodyFields, transfer.pathVariables], [['to', 'amount'], ['id']]);
+  assert.deepStrictEqual(transfer.errorResponses, [
+    { status: 400, message: 'Amount must be positive', condition: 'request.getAmount() <= 0' },
+    { status: 422, message: 'Insufficient funds', condition: '!done' },
+  ]);
+  assert.deepStrictEqual(transfer.successResponses, [{ status: 200, message: 'Transfer successful', condition: null }]);
+  assert.deepStrictEqual(graph.nodes['endpoint:GET /api/accounts/{id}/balance'].requestParams, ['currency']);
+  assert.deepStrictEqual(graph.nodes['TransferService.transfer'].failureConditions, [{ condition: 'balance(from) < amount', result: 'false' }]);
+  assert.deepStrictEqual(graph.edges.map(edge => `${edge.from} -${edge.relation}-> ${edge.to}`), [
+    'endpoint:POST /api/accounts/{id}/transfers -calls-> TransferService.transfer',
+    'endpoint:GET /api/accounts/{id}/balance -calls-> TransferService.balance',
+  ]);
+  assert.strictEqual(await buildBackendKnowledgeGraph(dir, cache), graph, 'an unchanged backend is served from the cache');
+
+  // Frontend calls match endpoints by method and path, whatever their path variables are called
+  const warn = console.warn;
+  console.warn = () => {};
+  t.after(() => { console.warn = warn; });
+  const linked = linkBackendToCodeGraph({
+    nodes: {
+      'POST /api/accounts/{accountId}/transfers': { type: 'api', method: 'POST', path: '/api/accounts/{accountId}/transfers' },
+      'GET /api/accounts/{accountId}/transfers': { type: 'api', method: 'GET', path: '/api/accounts/{accountId}/transfers' },
+    },
+    edges: [],
+  }, graph);
+  assert.deepStrictEqual(linked.edges.filter(edge => edge.relation === 'served-by'), [
+    { from: 'POST /api/accounts/{accountId}/transfers', to: 'endpoint:POST /api/accounts/{id}/transfers', relation: 'served-by' },
+  ]);
+});
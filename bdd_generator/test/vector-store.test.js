@@ -0,0 +1,49 @@
+// bdd_generator/test/vector-store.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { openVectorStore } from '../vector-store.js';
+
+const OPTIONS = { dimensions: 4, tables: 2, bits: 8 };
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-vectors-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('queries fall back to an exact scan when the hash buckets hold too few matches', async t => {
+  const store = await openVectorStore(await tempDir(t), OPTIONS);
+  store.upsert('scenario:login', [1, 0.9, 0.8, 0.7], { kind: 'scenario', componentName: 'Login' });
+  store.upsert('scenario:logout', [0.9, 1, 0.7, 0.8], { kind: 'scenario', componentName: 'Login' });
+  store.upsert('component:Login', [1, 1, 1, 1], { kind: 'component' });
+
+  // The opposite vector flips every hyperplane bit, so no bucket holds a candidate
+  const opposite = store.query([-1, -0.9, -0.8, -0.7], { k: 1 });
+  assert.strictEqual(opposite.length, 1);
+  assert.ok(opposite[0].score < 0);
+  // The buckets of the query hold the component too, but the filter leaves only the scenarios
+  assert.deepStrictEqual(store.query([1, 0.9, 0.8, 0.7], { k: 2, filter: { kind: 'scenario' } }).map(result => result.id), ['scenario:login', 'scenario:logout']);
+  assert.deepStrictEqual(store.query([1, 0.9, 0.8, 0.7], { k: 5, filter: { kind: ['component'] } }).map(result => result.id), ['component:Login']);
+  assert.deepStrictEqual(store.query([-1, -0.9, -0.8, -0.7], { k: 3, minScore: 0 }), []);
+});
+
+test('entries survive a save and reopen, and removed ones leave the index', async t => {
+  const dir = await tempDir(t);
+  const store = await openVectorStore(dir, OPTIONS);
+  store.upsert('a', [1, 0, 0, 0], { kind: 'scenario', featureFile: 'login-a.feature' });
+  store.upsert('b', [0, 1, 0, 0], { kind: 'scenario', featureFile: 'login-b.feature' });
+  store.upsert('b', [0, 0, 1, 0], { kind: 'scenario', featureFile: 'login-b.feature' });
+  assert.throws(() => store.upsert('c', [1, 0], {}), /has 2 dimensions, expected 4/);
+  await store.save();
+
+  const reopened = await openVectorStore(dir, OPTIONS);
+  assert.strictEqual(reopened.size(), 2);
+  assert.deepStrictEqual(Array.from(reopened.get('b').vector), [0, 0, 1, 0]);
+  assert.strictEqual(reopened.removeWhere({ featureFile: file => file.startsWith('login-a') }), 1);
+  assert.deepStrictEqual(reopened.query([1, 0, 0, 0], { k: 5 }).map(result => result.id), ['b']);
+});
@@ -0,0 +1,43 @@
+// bdd_generator/test/watch-mode.test.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+import { watchPaths } from '../watch-mode.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('edits are debounced per file, filtered and handled one at a time', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bdd-watch-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const log = console.log;
+  console.log = () => {};
+  t.after(() => { console.log = log; });
+
+  const handled = [];
+  let running = 0;
+  const watcher = watchPaths([{ name: 'components', dir, filter: file => file.endsWith('.js') }], {
+    debounceMs: 100,
+    onChange: async (target, fileName) => {
+      running += 1;
+      assert.strictEqual(running, 1, 'changes overlap');
+      await sleep(50);
+      handled.push(`${target.name}:${fileName}`);
+      running -= 1;
+    },
+  });
+  t.after(() => watcher.close());
+
+  for (let i = 0; i < 3; i++) {
+    await fs.writeFile(path.join(dir, 'Login.js'), `// edit ${i}\n`);
+    await sleep(10);
+  }
+  await fs.writeFile(path.join(dir, 'Signup.js'), '// new\n');
+  await fs.writeFile(path.join(dir, 'App.css'), 'body {}\n');
+  for (let waited = 0; handled.length < 2 && waited < 3000; waited += 50) await sleep(50);
+  await sleep(200);
+  assert.deepStrictEqual(handled.sort(), ['components:Login.js', 'components:Signup.js']);
+});
@@ -0,0 +1,147 @@
+// bdd_generator/vector-store.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const fs = require('fs').promises;
+const path = require('path');
+
+const INDEX_FILE = 'index.json';
+const VECTORS_FILE = 'vectors.bin';
+
+// Deterministic pseudo-random numbers (mulberry32), so the same seed always yields the same hyperplanes
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Random hyperplanes for locality-sensitive hashing: tables x bits normal vectors of the given dimension
+function hyperplanes(dimensions, tables, bits, seed) {
+  const random = seededRandom(seed);
+  const gaussian = () => Math.sqrt(-2 * Math.log(random() || Number.MIN_VALUE)) * Math.cos(2 * Math.PI * random());
+  return Array.from({ length: tables }, () => Array.from({ length: bits }, () => Float32Array.from({ length: dimensions }, gaussian)));
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function cosine(a, b) {
+  const norms = Math.sqrt(dot(a, a)) * Math.sqrt(dot(b, b));
+  return norms === 0 ? 0 : dot(a, b) / norms;
+}
+
+// Whether an entry's metadata passes a filter: { key: value } for equality, { key: [values] } for
+// membership and { key: value => boolean } for anything else. Every key must match.
+function matchesFilter(metadata, filter) {
+  return Object.entries(filter).every(([key, expected]) => {
+    if (typeof expected === 'function') return expected(metadata[key]);
+    if (Array.isArray(expected)) return expected.includes(metadata[key]);
+    return metadata[key] === expected;
+  });
+}
+
+// Open (or create) a vector store in dir. Vectors are kept as float32 in vectors.bin and ids plus
+// metadata in index.json; an approximate-nearest-neighbour index over random-hyperplane hashes is
+// rebuilt from them on open. Queries score candidates from the matching hash buckets and fall back to
+// an exact scan when the buckets hold fewer than k entries passing the filter. model names the embedder;
+// vectors stored by another one are dropped rather than compared with.
+async function openVectorStore(dir, { dimensions = 384, tables = 8, bits = 8, seed = 42, model = null } = {}) {
+  const planes = hyperplanes(dimensions, tables, bits, seed);
+  const entries = new Map();
+  const buckets = planes.map(() => new Map());
+
+  const hashes = vector => planes.map(table => table.reduce((hash, plane, bit) => (dot(plane, vector) >= 0 ? hash | (1 << bit) : hash), 0));
+  const addToIndex = (id, entryHashes) => entryHashes.forEach((hash, table) => {
+    if (!buckets[table].has(hash)) buckets[table].set(hash, new Set());
+    buckets[table].get(hash).add(id);
+  });
+  const removeFromIndex = (id, entryHashes) => entryHashes.forEach((hash, table) => buckets[table].get(hash)?.delete(id));
+
+  const put = (id, vector, metadata) => {
+    if (vector.length !== dimensions) throw new Error(`Vector for ${id} has ${vector.length} dimensions, expected ${dimensions}`);
+    if (entries.has(id)) removeFromIndex(id, entries.get(id).hashes);
+    const entry = { vector: Float32Array.from(vector), metadata: { ...metadata }, hashes: null };
+    entry.hashes = hashes(entry.vector);
+    entries.set(id, entry);
+    addToIndex(id, entry.hashes);
+  };
+
+  const remove = id => {
+    const entry = entries.get(id);
+    if (!entry) return false;
+    removeFromIndex(id, entry.hashes);
+    return entries.delete(id);
+  };
+
+  try {
+    const index = JSON.parse(await fs.readFile(path.join(dir, INDEX_FILE), 'utf-8'));
+    const buffer = await fs.readFile(path.join(dir, VECTORS_FILE));
+    if (index.dimensions !== dimensions) throw new Error(`stored vectors have ${index.dimensions} dimensions, expected ${dimensions}`);
+    if ((index.model ?? null) !== model) throw new Error(`stored vectors come from the ${index.model || 'unnamed'} embedder, not ${model || 'unnamed'}`);
+    const vectors = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / Float32Array.BYTES_PER_ELEMENT);
+    index.entries.forEach(({ id, metadata }, position) => put(id, vectors.subarray(position * dimensions, (position + 1) * dimensions), metadata));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Vector store in ${dir} could not be read (${error.message}); starting empty`);
+  }
+
+  return {
+    upsert: put,
+
+    get(id) {
+      const entry = entries.get(id);
+      return entry ? { id, vector: entry.vector, metadata: entry.metadata } : null;
+    },
+
+    remove,
+
+    // Remove every entry whose metadata passes the filter; returns how many were removed
+    removeWhere(filter) {
+      const ids = [...entries].filter(([, entry]) => matchesFilter(entry.metadata, filter)).map(([id]) => id);
+      ids.forEach(remove);
+      return ids.length;
+    },
+
+    // Top-k entries most similar to vector among those passing filter, best first.
+    // Returns [{ id, score, metadata }].
+    query(vector, { k = 5, filter = {}, minScore = -1 } = {}) {
+      const queryVector = Float32Array.from(vector);
+      const passes = id => matchesFilter(entries.get(id).metadata, filter);
+      let candidates = new Set();
+      hashes(queryVector).forEach((hash, table) => buckets[table].get(hash)?.forEach(id => candidates.add(id)));
+      candidates = [...candidates].filter(passes);
+      if (candidates.length < k) candidates = [...entries.keys()].filter(passes);
+
+      return candidates
+        .map(id => ({ id, score: cosine(queryVector, entries.get(id).vector), metadata: entries.get(id).metadata }))
+        .filter(result => result.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+    },
+
+    size() {
+      return entries.size;
+    },
+
+    async save() {
+      await fs.mkdir(dir, { recursive: true });
+      const ids = [...entries.keys()];
+      const vectors = new Float32Array(ids.length * dimensions);
+      ids.forEach((id, position) => vectors.set(entries.get(id).vector, position * dimensions));
+      await fs.writeFile(path.join(dir, VECTORS_FILE), Buffer.from(vectors.buffer));
+      await fs.writeFile(path.join(dir, INDEX_FILE), JSON.stringify({
+        dimensions,
+        model,
+        entries: ids.map(id => ({ id, metadata: entries.get(id).metadata })),
+      }, null, 2));
+    },
+  };
+}
+
+export { openVectorStore };
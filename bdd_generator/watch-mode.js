@@ -0,0 +1,48 @@
+// bdd_generator/watch-mode.js
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const { watch } = require('fs');
+const path = require('path');
+
+// Watch directories and call onChange(target, fileName) once edits settle.
+// Each target is { name, dir, filter(fileName) }; changes are debounced per file and
+// handled one at a time so concurrent edits never race on the shared cache.
+function watchPaths(targets, { debounceMs = 300, onChange }) {
+  const timers = new Map();
+  let queue = Promise.resolve();
+
+  const schedule = (target, fileName) => {
+    const key = `${target.name}:${fileName}`;
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      queue = queue
+        .then(() => onChange(target, fileName))
+        .catch(error => console.error(`[watch] Failed to process ${path.join(target.dir, fileName)}:`, error));
+    }, debounceMs));
+  };
+
+  const watchers = targets.map(target => {
+    const watcher = watch(target.dir, { recursive: Boolean(target.recursive) }, (eventType, fileName) => {
+      if (!fileName) return;
+      const relativeName = fileName.toString();
+      if (target.filter && !target.filter(relativeName)) return;
+      schedule(target, relativeName);
+    });
+    watcher.on('error', error => console.error(`[watch] Watcher for ${target.dir} failed:`, error));
+    console.log(`[watch] Watching ${target.dir} (${target.name})`);
+    return watcher;
+  });
+
+  return {
+    // Stop watching and wait for the change currently being processed
+    async close() {
+      watchers.forEach(watcher => watcher.close());
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      await queue;
+    },
+  };
+}
+
+export { watchPaths };